@@ -6,20 +6,48 @@
  * @see https://github.com/prabogo
  */
 
-import { mount } from './src/core/joko-dom.js';
+import { mount, hydrate } from './src/core/joko-dom.js';
+import { initTheme } from './src/core/joko-theme.js';
+import { defineLocale, initI18n } from './src/core/joko-i18n.js';
+import { defineElement } from './src/core/joko-element.js';
+import { installDevtools } from './src/core/joko-devtools.js';
 import { App } from './src/components/App.js';
+import { CounterCard } from './src/components/CounterCard.js';
+
+// Message catalogs, each downloaded only when its language is first used
+defineLocale('en', () => import('./src/locales/en.js'));
+defineLocale('id', () => import('./src/locales/id.js'));
+
+// <joko-counter count="3"> works in any page that loads this script
+defineElement('joko-counter', CounterCard, { attributes: { count: Number } });
 
 // Initialize JokoUI when DOM is ready
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
     console.log('╔═══════════════════════════════════════╗');
     console.log('║         🎯 JokoUI Framework           ║');
     console.log('║   Vanilla JS • Reactive • Lightweight ║');
     console.log('║   For Prabogo Backend (Go-based)      ║');
     console.log('╚═══════════════════════════════════════╝');
 
-    // Create and mount the App component
+    // Apply the saved (or OS-preferred) theme before the first paint
+    initTheme();
+
+    // Load the saved (or browser-preferred) language so the first render is translated.
+    // A catalog that fails to download is reported and English is used instead; this never blocks mounting.
+    await initI18n({ fallback: 'en' });
+
+    // Opt-in devtools (open the page with ?devtools); installed first so the whole tree is tracked
+    if (new URLSearchParams(location.search).has('devtools')) {
+        installDevtools();
+    }
+
+    // Create and mount the App component (adopting server markup when the page was pre-rendered)
     const app = new App();
-    mount(app, 'app');
+    if (document.getElementById('joko-state')) {
+        hydrate(app, 'app');
+    } else {
+        mount(app, 'app');
+    }
 
     // Expose app instance for debugging (optional)
     if (typeof window !== 'undefined') {
@@ -1,21 +1,59 @@
 /**
  * App Component - Demo application for JokoUI Framework
- * Demonstrates counter reactivity and Prabogo API integration
+ * Composes the counter and Prabogo API demo cards
  */
 
 import { JokoComponent } from '../core/joko-state.js';
+import { html } from '../core/joko-html.js';
 import { prabogoClient } from '../core/prabogo-connect.js';
+import { css } from '../core/joko-styles.js';
+import { getTheme, setTheme, onThemeChange } from '../core/joko-theme.js';
+import { t, getLocale, getLocales, setLocale } from '../core/joko-i18n.js';
+import { CounterCard } from './CounterCard.js';
+import { UserCard } from './UserCard.js';
+
+// Order the theme toggle cycles through
+const THEMES = ['auto', 'light', 'dark', 'high-contrast'];
 
 export class App extends JokoComponent {
-    constructor() {
-        super();
+    static styles = css`
+        .app-header {
+            position: relative;
+        }
+
+        .header-actions {
+            position: absolute;
+            top: var(--space-4);
+            right: 0;
+            display: flex;
+            gap: var(--space-2);
+        }
+
+        .theme-toggle,
+        .locale-toggle {
+            padding: var(--space-2) var(--space-4);
+            background: var(--color-bg-card);
+            border: 1px solid var(--color-border);
+            border-radius: var(--radius-full);
+            color: var(--color-text-secondary);
+            font-family: inherit;
+            font-size: var(--font-size-sm);
+            cursor: pointer;
+            transition: border-color var(--transition-fast), color var(--transition-fast);
+        }
+
+        .theme-toggle:hover,
+        .locale-toggle:hover {
+            border-color: var(--color-border-hover);
+            color: var(--color-text-primary);
+        }
+    `;
+
+    constructor(props) {
+        super(props);
 
-        // Initialize reactive state
         this.setState({
-            count: 0,
-            user: null,
-            loading: false,
-            error: null
+            theme: getTheme()
         });
     }
 
@@ -27,149 +65,71 @@ export class App extends JokoComponent {
 
         // Configure Prabogo client (demo URL)
         prabogoClient.setBaseUrl('https://jsonplaceholder.typicode.com');
-    }
 
-    /**
-     * Increment counter
-     */
-    increment() {
-        this.state.count = this.state.count + 1;
-    }
-
-    /**
-     * Decrement counter
-     */
-    decrement() {
-        this.state.count = this.state.count - 1;
-    }
+        // Repeated fetches within 5 minutes are served from cache
+        prabogoClient.enableCache({ ttl: 5 * 60 * 1000 });
 
-    /**
-     * Reset counter
-     */
-    reset() {
-        this.state.count = 0;
+        // Follow theme changes made elsewhere (or by the OS in auto mode)
+        this.addCleanup(onThemeChange(theme => {
+            this.state.theme = theme;
+        }));
     }
 
     /**
-     * Fetch user profile from Prabogo Backend (simulated)
+     * Switch to the next theme
      */
-    async fetchUser() {
-        this.state.loading = true;
-        this.state.error = null;
-
-        try {
-            // Simulate API call to Prabogo backend
-            // Using JSONPlaceholder as demo API
-            const response = await prabogoClient.get('/users/1');
-
-            this.state.user = response.data;
-            this.state.loading = false;
-
-        } catch (error) {
-            console.error('Failed to fetch user:', error);
-            this.state.error = error.message;
-            this.state.loading = false;
-        }
+    cycleTheme() {
+        const index = THEMES.indexOf(this.state.theme.name);
+        setTheme(THEMES[(index + 1) % THEMES.length]);
     }
 
     /**
-     * Clear user data
+     * Switch to the next registered language
+     * Every mounted component re-renders in it.
+     * @returns {Promise<string>} Rejects (reaching the error hook) if the catalog fails to load
      */
-    clearUser() {
-        this.state.user = null;
-        this.state.error = null;
+    cycleLocale() {
+        const locales = getLocales();
+        const index = locales.indexOf(getLocale());
+        return setLocale(locales[(index + 1) % locales.length]);
     }
 
     /**
      * Render the component
-     * @returns {string} HTML template
+     * @returns {SafeHTML} Escaped HTML template
      */
     render() {
-        const { count, user, loading, error } = this.state;
+        const { theme } = this.state;
+        const themeLabel = theme.name === 'auto' ? t('app.themeAuto', { theme: theme.resolved }) : theme.name;
 
-        return `
+        return html`
             <div class="joko-app">
                 <header class="app-header">
+                    <div class="header-actions">
+                        <button class="locale-toggle" data-joko-click="cycleLocale" title="${t('app.switchLanguage')}">
+                            🌍 ${getLocale().toUpperCase()}
+                        </button>
+                        <button class="theme-toggle" data-joko-click="cycleTheme" title="${t('app.switchTheme')}">
+                            🎨 ${themeLabel}
+                        </button>
+                    </div>
                     <div class="logo">
                         <span class="logo-icon">🎯</span>
                         <h1>JokoUI</h1>
                     </div>
-                    <p class="tagline">A lightweight vanilla JS framework for Prabogo Backend</p>
+                    <p class="tagline">${t('app.tagline')}</p>
                 </header>
                 
                 <main class="app-content">
                     <!-- Counter Section -->
-                    <section class="card counter-section">
-                        <h2>⚡ Reactive Counter</h2>
-                        <p class="description">Test the reactivity system using ES6 Proxy</p>
-                        
-                        <div class="counter-display">
-                            <span class="count ${count < 0 ? 'negative' : count > 0 ? 'positive' : ''}">${count}</span>
-                        </div>
-                        
-                        <div class="button-group">
-                            <button class="btn btn-primary" data-joko-click="decrement">
-                                <span>−</span> Decrease
-                            </button>
-                            <button class="btn btn-secondary" data-joko-click="reset">
-                                <span>↺</span> Reset
-                            </button>
-                            <button class="btn btn-primary" data-joko-click="increment">
-                                <span>+</span> Increase
-                            </button>
-                        </div>
-                    </section>
+                    ${this.child('counter', CounterCard)}
                     
                     <!-- API Section -->
-                    <section class="card api-section">
-                        <h2>🌐 Prabogo API Demo</h2>
-                        <p class="description">Test the PrabogoConnect HTTP client</p>
-                        
-                        <div class="button-group">
-                            <button 
-                                class="btn btn-accent" 
-                                data-joko-click="fetchUser"
-                                ${loading ? 'disabled' : ''}
-                            >
-                                ${loading ? '⏳ Loading...' : '📡 Fetch User Profile'}
-                            </button>
-                            ${user ? `
-                                <button class="btn btn-secondary" data-joko-click="clearUser">
-                                    🗑️ Clear
-                                </button>
-                            ` : ''}
-                        </div>
-                        
-                        ${error ? `
-                            <div class="error-message">
-                                <span>❌</span> ${error}
-                            </div>
-                        ` : ''}
-                        
-                        ${user ? `
-                            <div class="user-card">
-                                <div class="user-avatar">
-                                    ${user.name ? user.name.charAt(0).toUpperCase() : '?'}
-                                </div>
-                                <div class="user-info">
-                                    <h3>${user.name || 'Unknown'}</h3>
-                                    <p class="user-email">📧 ${user.email || 'N/A'}</p>
-                                    <p class="user-phone">📱 ${user.phone || 'N/A'}</p>
-                                    <p class="user-company">🏢 ${user.company?.name || 'N/A'}</p>
-                                    <p class="user-website">🌍 ${user.website || 'N/A'}</p>
-                                </div>
-                            </div>
-                        ` : `
-                            <div class="placeholder">
-                                <span>👤</span>
-                                <p>Click "Fetch User Profile" to load data from Prabogo Backend</p>
-                            </div>
-                        `}
-                    </section>
+                    ${this.child('user', UserCard, { userId: 1 })}
                 </main>
                 
                 <footer class="app-footer">
-                    <p>Built with <span class="heart">❤️</span> using JokoUI Framework</p>
+                    <p>${t('app.footer', { heart: html`<span class="heart">❤️</span>` })}</p>
                     <p class="version">v1.0.0</p>
                 </footer>
             </div>
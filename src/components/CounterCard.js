@@ -0,0 +1,140 @@
+/**
+ * CounterCard Component - Reactive counter demo card
+ * Emits `change` with the new count whenever it changes
+ */
+
+import { JokoComponent } from '../core/joko-state.js';
+import { html } from '../core/joko-html.js';
+import { css } from '../core/joko-styles.js';
+import { persist } from '../core/joko-persist.js';
+import { t, formatNumber } from '../core/joko-i18n.js';
+
+export class CounterCard extends JokoComponent {
+    static styles = css`
+        .counter-display {
+            display: flex;
+            justify-content: center;
+            margin: var(--space-8) 0 var(--space-2);
+        }
+
+        .counter-summary {
+            margin-bottom: var(--space-6);
+            text-align: center;
+            color: var(--color-text-muted);
+            font-size: var(--font-size-sm);
+        }
+
+        .count {
+            font-size: 5rem;
+            font-weight: 700;
+            color: var(--color-text-primary);
+            transition: color var(--transition-fast), transform var(--transition-fast);
+            min-width: 150px;
+            text-align: center;
+        }
+
+        .count.positive {
+            color: var(--color-accent);
+        }
+
+        .count.negative {
+            color: var(--color-danger);
+        }
+
+        @media (max-width: 768px) {
+            .count {
+                font-size: 3.5rem;
+            }
+        }
+
+        @media (max-width: 480px) {
+            .count {
+                font-size: 3rem;
+            }
+        }
+    `;
+
+    static computed = {
+        /**
+         * Color modifier for the count display
+         * @returns {string} 'positive', 'negative' or ''
+         */
+        countClass() {
+            const { count } = this.state;
+            return count < 0 ? 'negative' : count > 0 ? 'positive' : '';
+        }
+    };
+
+    static watch = {
+        count(value) {
+            this.emit('change', value);
+        }
+    };
+
+    constructor(props) {
+        super(props);
+
+        // Initialize reactive state
+        this.setState({
+            count: 0
+        });
+
+        // Survive reloads and stay in step with other open tabs
+        persist(this, { key: 'counter', paths: ['count'] });
+    }
+
+    /**
+     * Increment counter
+     */
+    increment() {
+        this.state.count = this.state.count + 1;
+    }
+
+    /**
+     * Decrement counter
+     */
+    decrement() {
+        this.state.count = this.state.count - 1;
+    }
+
+    /**
+     * Reset counter
+     */
+    reset() {
+        this.state.count = 0;
+    }
+
+    /**
+     * Render the component
+     * @returns {SafeHTML} Escaped HTML template
+     */
+    render() {
+        const { count } = this.state;
+
+        return html`
+            <section class="card counter-section">
+                <h2>${t('counter.title')}</h2>
+                <p class="description">${t('counter.description')}</p>
+                
+                <div class="counter-display">
+                    <span class="count ${this.countClass}">${formatNumber(count)}</span>
+                </div>
+                <p class="counter-summary">${t('counter.summary', { count: Math.abs(count) })}</p>
+                
+                <div class="button-group">
+                    <button class="btn btn-primary" data-joko-click="decrement">
+                        <span>−</span> ${t('counter.decrease')}
+                    </button>
+                    <button class="btn btn-secondary" data-joko-click="reset">
+                        <span>↺</span> ${t('counter.reset')}
+                    </button>
+                    <button class="btn btn-primary" data-joko-click="increment">
+                        <span>+</span> ${t('counter.increase')}
+                    </button>
+                </div>
+            </section>
+        `;
+    }
+}
+
+export default CounterCard;
@@ -0,0 +1,137 @@
+/**
+ * UserCard Component - Prabogo API demo card
+ * Fetches a user profile through PrabogoConnect
+ */
+
+import { JokoComponent } from '../core/joko-state.js';
+import { html } from '../core/joko-html.js';
+import { useResource } from '../core/joko-resource.js';
+import { t } from '../core/joko-i18n.js';
+import { NotFoundError, NetworkError, TimeoutError, ServerError } from '../core/prabogo-errors.js';
+
+export class UserCard extends JokoComponent {
+    static computed = {
+        /**
+         * Avatar initial of the loaded user
+         * @returns {string} Uppercase first letter of the name, or '?'
+         */
+        initial() {
+            const user = this.profile.data;
+            return user && user.name ? user.name.charAt(0).toUpperCase() : '?';
+        }
+    };
+
+    constructor(props) {
+        super(props);
+
+        // Fetched on demand; cached data is shown while revalidating
+        this.profile = useResource(this, () => `/users/${this.props.userId}`, {
+            immediate: false
+        });
+    }
+
+    /**
+     * Fetch user profile from Prabogo Backend (simulated)
+     */
+    fetchUser() {
+        // Using JSONPlaceholder as demo API
+        this.profile.refetch();
+    }
+
+    /**
+     * Clear user data
+     */
+    clearUser() {
+        this.profile.mutate(null);
+    }
+
+    /**
+     * Turn a request error into a message for the user
+     * @param {Error} error - Error from the profile request
+     * @returns {string} Message to display
+     */
+    describeError(error) {
+        if (error instanceof NotFoundError) return t('user.errors.notFound', { id: this.props.userId });
+        if (error instanceof NetworkError) return t('user.errors.network');
+        if (error instanceof TimeoutError) return t('user.errors.timeout');
+        if (error instanceof ServerError) return t('user.errors.server');
+        return error.message;
+    }
+
+    /**
+     * Shown instead of the card when rendering it fails (e.g. unexpected API data)
+     * @param {Error} error - Error thrown while rendering
+     * @returns {SafeHTML} Escaped HTML template
+     */
+    renderFallback(error) {
+        return html`
+            <section class="card api-section">
+                <h2>${t('user.title')}</h2>
+                <div class="error-message">
+                    <span>💥</span> ${t('user.crashed', { message: error.message })}
+                </div>
+                <div class="button-group">
+                    <button class="btn btn-secondary" data-joko-click="resetError">${t('user.tryAgain')}</button>
+                </div>
+            </section>
+        `;
+    }
+
+    /**
+     * Render the component
+     * @returns {SafeHTML} Escaped HTML template
+     */
+    render() {
+        const { data: user, loading, validating, error } = this.profile;
+
+        return html`
+            <section class="card api-section">
+                <h2>${t('user.title')}</h2>
+                <p class="description">${t('user.description')}</p>
+                
+                <div class="button-group">
+                    <button 
+                        class="btn btn-accent" 
+                        data-joko-click="fetchUser"
+                        ${loading || validating ? 'disabled' : ''}
+                    >
+                        ${loading || validating ? t('user.loading') : t('user.fetch')}
+                    </button>
+                    ${user ? html`
+                        <button class="btn btn-secondary" data-joko-click="clearUser">
+                            ${t('user.clear')}
+                        </button>
+                    ` : ''}
+                </div>
+                
+                ${error ? html`
+                    <div class="error-message">
+                        <span>❌</span> ${this.describeError(error)}
+                    </div>
+                ` : ''}
+                
+                ${user ? html`
+                    <div class="user-card">
+                        <div class="user-avatar">
+                            ${this.initial}
+                        </div>
+                        <div class="user-info">
+                            <h3>${user.name || t('user.unknown')}</h3>
+                            <p class="user-email">📧 ${user.email || t('user.notAvailable')}</p>
+                            <p class="user-phone">📱 ${user.phone || t('user.notAvailable')}</p>
+                            <p class="user-company">🏢 ${user.company?.name || t('user.notAvailable')}</p>
+                            <p class="user-website">🌍 ${user.website || t('user.notAvailable')}</p>
+                        </div>
+                    </div>
+                ` : html`
+                    <div class="placeholder">
+                        <span>👤</span>
+                        <p>${t('user.placeholder')}</p>
+                    </div>
+                `}
+            </section>
+        `;
+    }
+}
+
+export default UserCard;
@@ -0,0 +1,83 @@
+/**
+ * JokoUI Configuration Module
+ * Global framework settings and development warnings
+ */
+
+/**
+ * Global JokoUI settings
+ * @property {boolean} dev - Enable development warnings
+ * @property {Function|null} onError - (error, info) => void, receives every component error (for reporting)
+ */
+export const config = {
+    dev: true,
+    onError: null
+};
+
+/**
+ * Update global settings
+ * @param {Object} options - Settings to merge into the config
+ * @returns {Object} The updated config
+ */
+export function configure(options = {}) {
+    return Object.assign(config, options);
+}
+
+/**
+ * Log a development warning (silent when config.dev is false)
+ * @param {string} message - Warning message
+ * @param {...*} details - Extra values logged alongside the message
+ */
+export function warn(message, ...details) {
+    if (config.dev) {
+        console.warn(`JokoUI: ${message}`, ...details);
+    }
+}
+
+/**
+ * Send a component error to the global onError hook, or the console
+ * @param {*} error - Thrown value
+ * @param {Object} info - { phase, component, handler, hook, handled }
+ */
+export function reportError(error, info = {}) {
+    if (typeof config.onError === 'function') {
+        try {
+            config.onError(error, info);
+            return;
+        } catch (hookError) {
+            console.error('JokoUI: onError hook failed', hookError);
+        }
+    }
+
+    const where = info.component ? ` in ${info.component.constructor.name}` : '';
+    console.error(`JokoUI: ${info.phase || 'Unexpected'} error${where}`, error);
+}
+
+// Receiver of framework events while joko-devtools.js is installed
+let devtoolsHook = null;
+
+/**
+ * Route framework events (mount, state, render, ...) to a devtools hook
+ * @param {Object|null} hook - Object with an emit(event, payload) method, or null to stop
+ */
+export function setDevtoolsHook(hook) {
+    devtoolsHook = hook;
+}
+
+/**
+ * Whether a devtools hook is listening (lets callers skip measuring)
+ * @returns {boolean}
+ */
+export function devtoolsEnabled() {
+    return devtoolsHook !== null;
+}
+
+/**
+ * Send a framework event to the devtools hook, if any
+ * @param {string} event - Event name
+ * @param {Object} payload - Event details
+ */
+export function notifyDevtools(event, payload) {
+    if (devtoolsHook) {
+        devtoolsHook.emit(event, payload);
+    }
+}
@@ -0,0 +1,764 @@
+/**
+ * JokoUI Devtools
+ * Opt-in inspector for development: tracks mounted components, records
+ * every reactive state change and PrabogoClient request, steps back and
+ * forth through recorded changes, and shows it all in an in-page panel.
+ * Everything is exposed on `window.__JOKO_DEVTOOLS__` for other tools.
+ */
+
+import { setDevtoolsHook } from './joko-config.js';
+import { JokoComponent, getPath, setPath, toRaw, applySnapshot } from './joko-state.js';
+import { escapeHtml } from './joko-html.js';
+import { prabogoClient } from './prabogo-connect.js';
+
+// Name of the global hook
+export const DEVTOOLS_GLOBAL = '__JOKO_DEVTOOLS__';
+
+// Bumped when the hook's shape changes in an incompatible way
+const HOOK_VERSION = 1;
+
+// Stable ids for components, kept across remounts
+const componentIds = new WeakMap();
+let lastComponentId = 0;
+
+// The installed hook, if any
+let activeHook = null;
+
+/**
+ * Start recording and expose the devtools hook
+ * Install before mounting, so the whole tree is tracked.
+ * @example
+ * if (location.search.includes('devtools')) installDevtools();
+ * @param {Object} options - Options
+ * @param {Array<PrabogoClient>} options.clients - Clients whose requests are logged (default [prabogoClient])
+ * @param {number} options.maxEntries - State changes kept in the timeline (default 500)
+ * @param {number} options.maxRequests - Requests kept in the log (default 200)
+ * @param {boolean} options.overlay - Show the in-page panel toggle (default true)
+ * @param {string|false} options.hotkey - Key that opens the panel with Ctrl+Shift (default 'D')
+ * @returns {Object} The devtools hook
+ */
+export function installDevtools(options = {}) {
+    if (activeHook) {
+        return activeHook;
+    }
+
+    activeHook = createHook({
+        clients: options.clients || [prabogoClient],
+        maxEntries: options.maxEntries || 500,
+        maxRequests: options.maxRequests || 200
+    });
+    setDevtoolsHook(activeHook);
+
+    if (typeof window !== 'undefined') {
+        window[DEVTOOLS_GLOBAL] = activeHook;
+
+        if (options.overlay !== false && typeof document !== 'undefined') {
+            activeHook._overlay = createOverlay(activeHook, options.hotkey === undefined ? 'D' : options.hotkey);
+        }
+    }
+
+    return activeHook;
+}
+
+/**
+ * Stop recording, remove the panel and the global hook
+ */
+export function uninstallDevtools() {
+    if (!activeHook) return;
+
+    setDevtoolsHook(null);
+    activeHook._dispose();
+
+    if (typeof window !== 'undefined' && window[DEVTOOLS_GLOBAL] === activeHook) {
+        delete window[DEVTOOLS_GLOBAL];
+    }
+    activeHook = null;
+}
+
+/**
+ * Build the hook object that receives framework events
+ * @private
+ * @param {Object} settings - { clients, maxEntries, maxRequests }
+ * @returns {Object} Devtools hook
+ */
+function createHook(settings) {
+    const components = new Set();
+    const listeners = new Set();
+    const timeline = [];
+    const requests = [];
+    const cleanups = [];
+
+    // Number of timeline entries currently applied; below timeline.length while time-travelling
+    let cursor = 0;
+    let travelling = false;
+    let lastEntryId = 0;
+
+    const publish = (event, payload) => {
+        for (const listener of [...listeners]) {
+            listener(event, payload);
+        }
+    };
+
+    const hook = {
+        version: HOOK_VERSION,
+
+        /**
+         * Receive an event from the framework (see notifyDevtools)
+         * @param {string} event - 'mount', 'unmount', 'state' or 'render'
+         * @param {Object} payload - Event details
+         */
+        emit(event, payload) {
+            const { component } = payload;
+
+            switch (event) {
+                case 'mount':
+                    components.add(component);
+                    break;
+
+                case 'unmount':
+                    components.delete(component);
+                    break;
+
+                case 'state':
+                    if (travelling) return;
+                    recordChange(payload);
+                    break;
+
+                case 'render':
+                    // The render following a change is credited to its pending entries
+                    for (let i = timeline.length - 1; i >= 0 && timeline[i].renderDuration === null; i--) {
+                        if (timeline[i].owner === component) {
+                            timeline[i].renderDuration = payload.duration;
+                        }
+                    }
+                    break;
+            }
+
+            publish(event, describeEvent(payload));
+        },
+
+        /**
+         * Mounted component tree, one node per root
+         * @returns {Array<Object>} { id, name, children }
+         */
+        getTree() {
+            const roots = [...components].filter(component => !component._parent || !components.has(component._parent));
+            const toNode = component => ({
+                id: componentId(component),
+                name: component.constructor.name,
+                children: [...component._children.values()]
+                    .filter(child => components.has(child))
+                    .map(toNode)
+            });
+            return roots.map(toNode);
+        },
+
+        /**
+         * Current props and state of a component
+         * @param {number} id - Component id from getTree()
+         * @returns {Object|null} { id, name, props, state, errors }
+         */
+        inspect(id) {
+            const component = findComponent(components, id);
+            if (!component) return null;
+
+            return {
+                id,
+                name: component.constructor.name,
+                props: snapshot(component.props),
+                state: snapshot(toRaw(component.state)),
+                errors: snapshot(toRaw(component.errors))
+            };
+        },
+
+        /**
+         * Recorded state changes, oldest first
+         * @returns {Array<Object>} { id, componentId, componentName, source, path, type, oldValue, newValue, handler, time, renderDuration }
+         */
+        getTimeline() {
+            return timeline.map(entry => {
+                const { owner, state, ...rest } = entry;
+                return { ...rest };
+            });
+        },
+
+        /**
+         * Logged PrabogoClient requests, oldest first
+         * @returns {Array<Object>} { id, method, url, status, duration, error, ... }
+         */
+        getRequests() {
+            return requests.map(({ client, ...request }) => request);
+        },
+
+        /**
+         * Number of timeline entries currently applied
+         * @returns {number}
+         */
+        get cursor() {
+            return cursor;
+        },
+
+        /**
+         * Whether the app shows a past state
+         * @returns {boolean}
+         */
+        get isTravelling() {
+            return cursor < timeline.length;
+        },
+
+        /**
+         * Move state to just after a timeline entry
+         * Changes are undone (or redone) one by one on the live state, so the
+         * DOM re-renders as usual while watchers and persist() stay quiet. A
+         * new change made while looking at the past drops the entries after it.
+         * @param {number} position - Number of entries to apply (0 = before the first)
+         */
+        travelTo(position) {
+            const target = Math.max(0, Math.min(timeline.length, position));
+            travelling = true;
+
+            try {
+                applySnapshot(() => {
+                    while (cursor > target) {
+                        applyChange(timeline[--cursor], 'undo');
+                    }
+                    while (cursor < target) {
+                        applyChange(timeline[cursor++], 'redo');
+                    }
+                });
+            } finally {
+                travelling = false;
+            }
+
+            publish('travel', { cursor });
+        },
+
+        /** Undo one state change */
+        back() {
+            hook.travelTo(cursor - 1);
+        },
+
+        /** Redo one state change */
+        forward() {
+            hook.travelTo(cursor + 1);
+        },
+
+        /** Return to the latest state */
+        resume() {
+            hook.travelTo(timeline.length);
+        },
+
+        /** Forget the timeline and the request log */
+        clear() {
+            timeline.length = 0;
+            requests.length = 0;
+            cursor = 0;
+            publish('clear', {});
+        },
+
+        /**
+         * Listen to everything the hook records
+         * @param {Function} listener - (event, payload) for 'mount', 'unmount', 'state', 'render', 'request', 'travel', 'clear'
+         * @returns {Function} Function that removes the listener
+         */
+        subscribe(listener) {
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+        },
+
+        /** Show the in-page panel */
+        openOverlay() {
+            if (hook._overlay) hook._overlay.open();
+        },
+
+        /** Hide the in-page panel */
+        closeOverlay() {
+            if (hook._overlay) hook._overlay.close();
+        },
+
+        _overlay: null,
+
+        /**
+         * Remove monitors and the panel
+         * @private
+         */
+        _dispose() {
+            cleanups.splice(0).forEach(cleanup => cleanup());
+            if (hook._overlay) hook._overlay.destroy();
+            listeners.clear();
+        }
+    };
+
+    /**
+     * Append a state change to the timeline
+     * @param {Object} payload - { owner, source, state, change, handler }
+     */
+    function recordChange({ owner, source, state, change, handler }) {
+        // Changing state while looking at the past starts a new branch
+        if (cursor < timeline.length) {
+            timeline.length = cursor;
+        }
+
+        const collection = change.state instanceof Map || change.state instanceof Set;
+
+        timeline.push({
+            id: ++lastEntryId,
+            owner,
+            state,
+            ...describeOwner(owner),
+            source,
+            path: change.path,
+            type: change.type,
+            key: collection ? change.property : undefined,
+            collection,
+            oldValue: snapshot(change.oldValue),
+            newValue: snapshot(change.newValue),
+            handler: handler || null,
+            time: Date.now(),
+            renderDuration: null
+        });
+
+        if (timeline.length > settings.maxEntries) {
+            timeline.shift();
+        }
+        cursor = timeline.length;
+    }
+
+    // Request log
+    for (const client of settings.clients) {
+        cleanups.push(client.monitor((type, entry) => {
+            const index = requests.findIndex(request => request.id === entry.id && request.client === client);
+            const record = { ...entry, client, error: entry.error ? describeError(entry.error) : undefined };
+
+            if (index === -1) {
+                requests.push(record);
+                if (requests.length > settings.maxRequests) {
+                    requests.shift();
+                }
+            } else {
+                requests[index] = record;
+            }
+
+            const { client: omitted, ...details } = record;
+            publish('request', { type, ...details });
+        }));
+    }
+
+    return hook;
+}
+
+/**
+ * Undo or redo one recorded change on its live state
+ * @private
+ * @param {Object} entry - Timeline entry
+ * @param {string} direction - 'undo' or 'redo'
+ */
+function applyChange(entry, direction) {
+    // setState() replaces a component's state object, so look it up again
+    const state = entry.owner instanceof JokoComponent && entry.source === 'state' ? entry.owner.state : entry.state;
+    const undo = direction === 'undo';
+
+    if (entry.collection) {
+        const parentPath = entry.type === 'clear' ? entry.path : entry.path.split('.').slice(0, -1).join('.');
+        applyCollectionChange(getPath(state, parentPath), entry, undo);
+        return;
+    }
+
+    const removes = undo ? entry.type === 'add' : entry.type === 'delete';
+
+    if (removes) {
+        const keys = entry.path.split('.');
+        const last = keys.pop();
+        const parent = getPath(state, keys.join('.'));
+        if (Array.isArray(parent)) {
+            // Undoing a push shrinks the array instead of leaving a hole
+            parent.splice(Number(last), 1);
+        } else if (parent && typeof parent === 'object') {
+            delete parent[last];
+        }
+    } else {
+        setPath(state, entry.path, snapshot(undo ? entry.oldValue : entry.newValue));
+    }
+}
+
+/**
+ * Undo or redo a Map/Set change
+ * @private
+ * @param {Map|Set} collection - Reactive collection
+ * @param {Object} entry - Timeline entry
+ * @param {boolean} undo - True to undo, false to redo
+ */
+function applyCollectionChange(collection, entry, undo) {
+    if (!collection) return;
+
+    const isMap = toRaw(collection) instanceof Map;
+    const { type, key } = entry;
+
+    if (type === 'clear') {
+        if (!undo) {
+            collection.clear();
+        } else if (isMap) {
+            entry.oldValue.forEach((value, mapKey) => collection.set(mapKey, value));
+        } else {
+            entry.oldValue.forEach(value => collection.add(value));
+        }
+        return;
+    }
+
+    const removes = undo ? type === 'add' : type === 'delete';
+    if (removes) {
+        collection.delete(key);
+    } else if (isMap) {
+        collection.set(key, snapshot(undo ? entry.oldValue : entry.newValue));
+    } else {
+        collection.add(key);
+    }
+}
+
+/**
+ * Copy a value so later mutations don't change what was recorded
+ * @private
+ * @param {*} value - Any value
+ * @returns {*} Deep copy, or the value itself when it can't be cloned
+ */
+function snapshot(value) {
+    if (value === null || typeof value !== 'object') {
+        return value;
+    }
+
+    try {
+        return structuredClone(toRaw(value));
+    } catch {
+        return value;
+    }
+}
+
+/**
+ * Id of a component, assigned on first sight
+ * @private
+ * @param {JokoComponent} component - Component
+ * @returns {number} Id
+ */
+function componentId(component) {
+    if (!componentIds.has(component)) {
+        componentIds.set(component, ++lastComponentId);
+    }
+    return componentIds.get(component);
+}
+
+/**
+ * Find a tracked component by id
+ * @private
+ * @param {Set<JokoComponent>} components - Tracked components
+ * @param {number} id - Component id
+ * @returns {JokoComponent|null}
+ */
+function findComponent(components, id) {
+    for (const component of components) {
+        if (componentIds.get(component) === Number(id)) return component;
+    }
+    return null;
+}
+
+/**
+ * Id and name of whatever holds a piece of state
+ * Only components get an id; stores and standalone state are named only.
+ * @private
+ * @param {JokoComponent|Object|null} owner - Component, store, or null
+ * @returns {Object} { componentId, componentName }
+ */
+function describeOwner(owner) {
+    if (owner instanceof JokoComponent) {
+        return { componentId: componentId(owner), componentName: owner.constructor.name };
+    }
+    return { componentId: null, componentName: owner ? owner.constructor.name : 'state' };
+}
+
+/**
+ * Payload for subscribers: component references replaced by id and name
+ * @private
+ * @param {Object} payload - Framework event payload
+ * @returns {Object} Serializable details
+ */
+function describeEvent(payload) {
+    const { component, owner, state, change, ...rest } = payload;
+    const details = { ...rest, ...describeOwner(component || owner) };
+
+    if (change) {
+        details.path = change.path;
+        details.type = change.type;
+    }
+    return details;
+}
+
+/**
+ * Short description of a request error
+ * @private
+ * @param {Error} error - Error from PrabogoClient
+ * @returns {string}
+ */
+function describeError(error) {
+    return `${error.name || 'Error'}: ${error.message}`;
+}
+
+/**
+ * One-line preview of a value for the panel
+ * @private
+ * @param {*} value - Any value
+ * @returns {string}
+ */
+function preview(value) {
+    if (value === undefined) return 'undefined';
+    if (value instanceof Map) return `Map(${value.size})`;
+    if (value instanceof Set) return `Set(${value.size})`;
+
+    let text;
+    try {
+        text = JSON.stringify(value);
+    } catch {
+        text = String(value);
+    }
+    return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+}
+
+/**
+ * Pretty JSON for the state inspector
+ * @private
+ * @param {*} value - Any value
+ * @returns {string}
+ */
+function formatJson(value) {
+    try {
+        return JSON.stringify(value, (key, item) => {
+            if (item instanceof Map) return Object.fromEntries(item);
+            if (item instanceof Set) return [...item];
+            return item === undefined ? '(undefined)' : item;
+        }, 2);
+    } catch {
+        return String(value);
+    }
+}
+
+// Panel styles, independent of the app's theme
+const OVERLAY_STYLES = `
+.joko-devtools-toggle { position: fixed; right: 16px; bottom: 16px; z-index: 2147483646; width: 40px; height: 40px; border: 0; border-radius: 50%; background: #1e1e2e; color: #fff; font-size: 18px; cursor: pointer; box-shadow: 0 2px 10px rgba(0,0,0,.4); }
+.joko-devtools { position: fixed; right: 16px; bottom: 64px; z-index: 2147483647; width: min(560px, calc(100vw - 32px)); height: min(420px, 60vh); display: flex; flex-direction: column; background: #1e1e2e; color: #e2e8f0; font: 12px/1.5 ui-monospace, SFMono-Regular, Menlo, monospace; border: 1px solid #3b3b58; border-radius: 8px; box-shadow: 0 8px 32px rgba(0,0,0,.5); overflow: hidden; }
+.joko-devtools[hidden] { display: none; }
+.joko-devtools header { display: flex; gap: 4px; align-items: center; padding: 6px 8px; background: #27273a; border-bottom: 1px solid #3b3b58; }
+.joko-devtools header strong { margin-right: auto; }
+.joko-devtools button { background: #33334d; color: inherit; border: 1px solid #3b3b58; border-radius: 4px; padding: 2px 8px; font: inherit; cursor: pointer; }
+.joko-devtools button[aria-pressed="true"] { background: #6366f1; border-color: #6366f1; }
+.joko-devtools button:disabled { opacity: .4; cursor: default; }
+.joko-devtools .jd-body { flex: 1; display: flex; min-height: 0; }
+.joko-devtools .jd-list { flex: 1; overflow: auto; margin: 0; padding: 4px 0; list-style: none; }
+.joko-devtools .jd-list li { padding: 2px 8px; cursor: pointer; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+.joko-devtools .jd-list li:hover, .joko-devtools .jd-list li.jd-selected { background: #33334d; }
+.joko-devtools .jd-list li.jd-future { opacity: .4; }
+.joko-devtools .jd-muted { color: #94a3b8; }
+.joko-devtools .jd-error { color: #f87171; }
+.joko-devtools pre { flex: 1; margin: 0; padding: 8px; overflow: auto; border-left: 1px solid #3b3b58; }
+.joko-devtools .jd-toolbar { display: flex; gap: 4px; align-items: center; padding: 4px 8px; border-bottom: 1px solid #3b3b58; }
+`;
+
+/**
+ * Create the in-page panel: a toggle button plus Components, Timeline and Network tabs
+ * @private
+ * @param {Object} hook - Devtools hook
+ * @param {string|false} hotkey - Ctrl+Shift key that toggles the panel
+ * @returns {Object} { open, close, toggle, destroy }
+ */
+function createOverlay(hook, hotkey) {
+    const style = document.createElement('style');
+    style.setAttribute('data-joko-devtools', '');
+    style.textContent = OVERLAY_STYLES;
+    document.head.appendChild(style);
+
+    const toggle = document.createElement('button');
+    toggle.className = 'joko-devtools-toggle';
+    toggle.title = 'JokoUI Devtools';
+    toggle.textContent = '🎯';
+
+    const panel = document.createElement('div');
+    panel.className = 'joko-devtools';
+    panel.hidden = true;
+
+    document.body.append(toggle, panel);
+
+    const view = { tab: 'components', selected: null };
+    let pending = false;
+
+    const render = () => {
+        pending = false;
+        if (panel.hidden) return;
+        panel.innerHTML = renderPanel(hook, view);
+    };
+
+    // Many events can arrive per frame; redraw once
+    const scheduleRender = () => {
+        if (pending || panel.hidden) return;
+        pending = true;
+        setTimeout(render, 50);
+    };
+
+    const unsubscribe = hook.subscribe(scheduleRender);
+
+    const overlay = {
+        open() {
+            panel.hidden = false;
+            render();
+        },
+        close() {
+            panel.hidden = true;
+        },
+        toggle() {
+            if (panel.hidden) overlay.open();
+            else overlay.close();
+        },
+        destroy() {
+            unsubscribe();
+            document.removeEventListener('keydown', onKeydown);
+            style.remove();
+            toggle.remove();
+            panel.remove();
+        }
+    };
+
+    const onKeydown = event => {
+        if (hotkey && event.ctrlKey && event.shiftKey && event.key.toUpperCase() === hotkey.toUpperCase()) {
+            event.preventDefault();
+            overlay.toggle();
+        }
+    };
+
+    toggle.addEventListener('click', () => overlay.toggle());
+    document.addEventListener('keydown', onKeydown);
+
+    panel.addEventListener('click', event => {
+        const target = event.target.closest('[data-jd-action]');
+        if (!target) return;
+
+        const value = target.getAttribute('data-jd-value');
+
+        switch (target.getAttribute('data-jd-action')) {
+            case 'tab': view.tab = value; break;
+            case 'select': view.selected = Number(value); break;
+            case 'travel': hook.travelTo(Number(value)); break;
+            case 'back': hook.back(); break;
+            case 'forward': hook.forward(); break;
+            case 'resume': hook.resume(); break;
+            case 'clear': hook.clear(); break;
+            case 'close': overlay.close(); return;
+        }
+        render();
+    });
+
+    return overlay;
+}
+
+/**
+ * Markup of the panel for the current tab
+ * @private
+ * @param {Object} hook - Devtools hook
+ * @param {Object} view - { tab, selected }
+ * @returns {string} HTML
+ */
+function renderPanel(hook, view) {
+    const tabs = [['components', 'Components'], ['timeline', 'Timeline'], ['network', 'Network']]
+        .map(([id, label]) => `<button data-jd-action="tab" data-jd-value="${id}" aria-pressed="${view.tab === id}">${label}</button>`)
+        .join('');
+
+    let body;
+    if (view.tab === 'timeline') {
+        body = renderTimeline(hook);
+    } else if (view.tab === 'network') {
+        body = renderNetwork(hook);
+    } else {
+        body = renderComponents(hook, view);
+    }
+
+    return `
+        <header><strong>🎯 JokoUI Devtools</strong>${tabs}<button data-jd-action="close" title="Close">✕</button></header>
+        ${body}
+    `;
+}
+
+/**
+ * Components tab: tree on the left, selected component's data on the right
+ * @private
+ * @param {Object} hook - Devtools hook
+ * @param {Object} view - { selected }
+ * @returns {string} HTML
+ */
+function renderComponents(hook, view) {
+    const rows = [];
+    const walk = (nodes, depth) => nodes.forEach(node => {
+        rows.push(`<li class="${node.id === view.selected ? 'jd-selected' : ''}" data-jd-action="select" data-jd-value="${node.id}" style="padding-left:${8 + depth * 14}px">${escapeHtml(node.name)} <span class="jd-muted">#${node.id}</span></li>`);
+        walk(node.children, depth + 1);
+    });
+    walk(hook.getTree(), 0);
+
+    const details = view.selected !== null ? hook.inspect(view.selected) : null;
+    const { id, name, ...data } = details || {};
+
+    return `
+        <div class="jd-body">
+            <ul class="jd-list">${rows.join('') || '<li class="jd-muted">No mounted components</li>'}</ul>
+            <pre>${details ? escapeHtml(formatJson(data)) : '<span class="jd-muted">Select a component</span>'}</pre>
+        </div>
+    `;
+}
+
+/**
+ * Timeline tab: state changes with time-travel controls
+ * @private
+ * @param {Object} hook - Devtools hook
+ * @returns {string} HTML
+ */
+function renderTimeline(hook) {
+    const entries = hook.getTimeline();
+    const cursor = hook.cursor;
+
+    const rows = entries.map((entry, index) => {
+        const duration = entry.renderDuration === null ? '' : ` <span class="jd-muted">${entry.renderDuration.toFixed(1)}ms</span>`;
+        const handler = entry.handler ? ` <span class="jd-muted">(${escapeHtml(entry.handler)})</span>` : '';
+        const source = entry.source === 'state' ? '' : `${entry.source}.`;
+
+        return `<li class="${index >= cursor ? 'jd-future' : ''}" data-jd-action="travel" data-jd-value="${index + 1}" title="Go to the state after this change">` +
+            `${escapeHtml(entry.componentName)}.${escapeHtml(source + entry.path)} ` +
+            `<span class="jd-muted">${escapeHtml(preview(entry.oldValue))} →</span> ${escapeHtml(preview(entry.newValue))}${handler}${duration}</li>`;
+    }).reverse();
+
+    return `
+        <div class="jd-toolbar">
+            <button data-jd-action="back" ${cursor === 0 ? 'disabled' : ''}>◀ Back</button>
+            <button data-jd-action="forward" ${cursor === entries.length ? 'disabled' : ''}>Forward ▶</button>
+            <button data-jd-action="resume" ${cursor === entries.length ? 'disabled' : ''}>Latest ⏭</button>
+            <span class="jd-muted">${cursor} / ${entries.length}</span>
+            <button data-jd-action="clear" style="margin-left:auto">Clear</button>
+        </div>
+        <div class="jd-body"><ul class="jd-list">${rows.join('') || '<li class="jd-muted">No state changes yet</li>'}</ul></div>
+    `;
+}
+
+/**
+ * Network tab: PrabogoClient requests, newest first
+ * @private
+ * @param {Object} hook - Devtools hook
+ * @returns {string} HTML
+ */
+function renderNetwork(hook) {
+    const rows = hook.getRequests().reverse().map(request => {
+        const status = request.error
+            ? `<span class="jd-error">${escapeHtml(request.error)}</span>`
+            : request.status !== undefined
+                ? `<span class="${request.status >= 400 ? 'jd-error' : ''}">${request.status}</span>`
+                : '<span class="jd-muted">pending</span>';
+        const duration = request.duration !== undefined ? ` <span class="jd-muted">${request.duration}ms</span>` : '';
+
+        return `<li title="${escapeHtml(request.url)}">${escapeHtml(request.method)} ${escapeHtml(request.url)} ${status}${duration}</li>`;
+    });
+
+    return `<div class="jd-body"><ul class="jd-list">${rows.join('') || '<li class="jd-muted">No requests yet</li>'}</ul></div>`;
+}
+
+export default installDevtools;
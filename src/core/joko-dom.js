@@ -3,117 +3,879 @@
  * Handles rendering and mounting components to the DOM
  */
 
+import { escapeHtml, isSafeHTML, unsafeHTML } from './joko-html.js';
+import { config, warn, devtoolsEnabled, notifyDevtools } from './joko-config.js';
+import { acquireStyles, releaseStyles } from './joko-styles.js';
+
+// Node type constants (avoids depending on the global Node interface)
+const ELEMENT_NODE = 1;
+const TEXT_NODE = 3;
+const COMMENT_NODE = 8;
+
+// Tracks which component currently owns each mount target
+const mountedRoots = new WeakMap();
+
+// Every mounted component (roots and children), for app-wide re-renders
+const mountedComponents = new Set();
+
+// Default id of the <script> carrying server state (see serializeState)
+const STATE_SCRIPT_ID = 'joko-state';
+
+// Marks a vnode whose children render without a wrapper element
+export const Fragment = Symbol('joko.fragment');
+
+// Elements without a closing tag
+const VOID_ELEMENTS = new Set([
+    'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'
+]);
+
+// Vnode prop names that differ from their HTML attribute
+const ATTRIBUTE_ALIASES = { className: 'class', htmlFor: 'for' };
+
+// Style properties whose numeric values have no unit
+const UNITLESS_STYLES = new Set([
+    'opacity', 'zIndex', 'fontWeight', 'lineHeight', 'flex', 'flexGrow', 'flexShrink', 'order', 'zoom'
+]);
+
+// Gives each component that renders function handlers a unique prefix
+let vnodeOwnerCount = 0;
+
 /**
  * Mount a JokoComponent to a target DOM element
+ * If the target already holds a mounted component, the existing DOM is
+ * patched in place instead of being thrown away. Child components used
+ * in the template are mounted before the parent's onMount runs.
  * @param {JokoComponent} component - The component instance to mount
- * @param {string} targetId - The ID of the target DOM element
+ * @param {string|Element} targetId - The ID of the target DOM element, or the element itself
  * @returns {JokoComponent} The mounted component instance
  */
 export function mount(component, targetId) {
-    const target = document.getElementById(targetId);
+    const target = typeof targetId === 'string' ? document.getElementById(targetId) : targetId;
 
     if (!target) {
         throw new Error(`JokoUI: Target element with id "${targetId}" not found`);
     }
 
-    // Render the component
-    const html = component.render();
+    const wasMounted = component._mounted;
+    const start = devtoolsEnabled() ? performance.now() : null;
 
-    // Parse HTML and create element
-    const template = document.createElement('template');
-    template.innerHTML = html.trim();
-    const element = template.content.firstChild;
+    // Render the component; without a boundary, show a default error instead of a stuck loading screen
+    let html;
+    try {
+        html = component._render();
+    } catch (error) {
+        component._captureError(error, { phase: 'mount' });
+
+        // An onError without renderFallback handles the error but renders nothing
+        if (!fallbackPending(component)) {
+            target.innerHTML = errorMarkup(error);
+        }
+        return component;
+    }
+
+    let element = htmlToElement(html);
+
+    // Re-mount: reconcile against the previously mounted root
+    const previous = mountedRoots.get(target);
+    if (previous && previous._element && previous._element.parentNode === target) {
+        const existing = previous._element;
 
-    // Clear target and append new element
-    target.innerHTML = '';
-    target.appendChild(element);
+        if (previous !== component) {
+            teardown(previous);
+        }
+
+        element = patch(existing, element);
+    } else {
+        // Clear target and append new element
+        target.innerHTML = '';
+        target.appendChild(element);
+    }
+
+    mountedRoots.set(target, component);
 
     // Store reference to DOM element
     component._element = element;
     component._mounted = true;
+    mountedComponents.add(component);
+
+    // First mount: inject the class's scoped <style>, start declared watchers and effects.
+    // Only now: a render that throws leaves the component unmounted, so nothing would stop them.
+    if (!wasMounted) {
+        acquireStyles(component.constructor);
+        component._setupWatchers();
+        component._startEffects();
+    } else {
+        component._updateEffects();
+    }
 
     // Bind event handlers
     component._bindEvents();
 
+    // Reflect state into bound form controls
+    component._syncModels();
+
+    // Mount child components into their placeholders
+    component._syncChildren();
+
+    if (start !== null) {
+        notifyDevtools(wasMounted ? 'render' : 'mount', { component, duration: performance.now() - start });
+    }
+
     // Call lifecycle hook
-    component.onMount();
+    component._runHook(wasMounted ? 'onUpdate' : 'onMount');
 
     return component;
 }
 
 /**
- * Unmount a component from the DOM
+ * Adopt server-rendered markup instead of re-creating it
+ * Restores the state written by serializeState(), renders the component
+ * once to compare against the existing DOM (warning on mismatches in dev
+ * and patching them), then binds events and runs onMount for the whole
+ * tree. Child components hydrate into their own server markup.
+ * @param {JokoComponent} component - The component instance to hydrate
+ * @param {string|Element} targetId - The ID of the target DOM element, or the element itself
+ * @param {Object} options - Options
+ * @param {Object} options.state - State snapshot (defaults to the JSON in the serializeState() script)
+ * @param {string} options.stateId - Id of the state script (default 'joko-state')
+ * @returns {JokoComponent} The hydrated component instance
+ */
+export function hydrate(component, targetId, options = {}) {
+    const target = typeof targetId === 'string' ? document.getElementById(targetId) : targetId;
+
+    if (!target) {
+        throw new Error(`JokoUI: Target element with id "${targetId}" not found`);
+    }
+
+    const snapshot = options.state !== undefined
+        ? options.state
+        : readStateScript(options.stateId || STATE_SCRIPT_ID);
+
+    if (!target.firstElementChild) {
+        warn('hydrate() found no server markup, falling back to mount()');
+        restoreState(component, snapshot);
+        return mount(component, target);
+    }
+
+    hydrateTree(component, target, snapshot);
+    return component;
+}
+
+/**
+ * Hydrate one component into its target, then its children
+ * @private
+ * @param {JokoComponent} component - Component to hydrate
+ * @param {Element} target - Element holding the server markup
+ * @param {Object|null} snapshot - { state, children } from serializeState()
+ */
+function hydrateTree(component, target, snapshot) {
+    restoreState(component, snapshot);
+
+    let html;
+    try {
+        html = component._render();
+    } catch (error) {
+        component._captureError(error, { phase: 'mount' });
+
+        if (!fallbackPending(component)) {
+            target.innerHTML = errorMarkup(error);
+        }
+        return;
+    }
+
+    const existing = target.firstElementChild;
+    const rendered = htmlToElement(html);
+
+    if (!existing) {
+        warn(`hydrate(): no server markup for ${component.constructor.name}, rendering it from scratch`);
+        target.innerHTML = '';
+        target.appendChild(rendered);
+    } else {
+        const mismatch = findMismatch(existing, rendered, existing.tagName.toLowerCase());
+        if (mismatch) {
+            warn(`Hydration mismatch in ${component.constructor.name} at ${mismatch}. The client render wins.`);
+        }
+    }
+
+    // patch() keeps matching nodes, so only mismatched parts are replaced
+    const element = existing ? patch(existing, rendered) : rendered;
+
+    mountedRoots.set(target, component);
+    component._element = element;
+    component._mounted = true;
+    mountedComponents.add(component);
+    acquireStyles(component.constructor);
+    component._setupWatchers();
+    component._startEffects();
+
+    component._bindEvents();
+    component._syncModels();
+
+    // Children adopt the markup inside their placeholders
+    element.querySelectorAll('[data-joko-child]').forEach(host => {
+        if (!component._ownsElement(host)) return;
+
+        const key = host.getAttribute('data-joko-child');
+        const instance = component._children.get(key);
+        if (instance && !instance._mounted) {
+            hydrateTree(instance, host, snapshot && snapshot.children ? snapshot.children[key] : null);
+        }
+    });
+    component._syncChildren();
+
+    notifyDevtools('mount', { component, duration: 0 });
+    component._runHook('onMount');
+}
+
+/**
+ * Put serialized state back into a component before its first render
+ * @private
+ * @param {JokoComponent} component - Component to restore
+ * @param {Object|null} snapshot - { state, children } from serializeState()
+ */
+function restoreState(component, snapshot) {
+    if (snapshot && snapshot.state) {
+        component.setState({ ...JSON.parse(JSON.stringify(component.state)), ...snapshot.state });
+    }
+}
+
+/**
+ * Read the state snapshot written by serializeState()
+ * @private
+ * @param {string} id - Script element id
+ * @returns {Object|null} Snapshot, or null when missing or invalid
+ */
+function readStateScript(id) {
+    const script = document.getElementById(id);
+    if (!script) return null;
+
+    try {
+        return JSON.parse(script.textContent);
+    } catch (error) {
+        warn(`Could not parse hydration state in #${id}: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Describe the first difference between server and client markup
+ * Content owned by child components and router outlets is skipped.
+ * @private
+ * @param {Node} server - Existing (server-rendered) node
+ * @param {Node} client - Freshly rendered node
+ * @param {string} path - Readable location of the nodes
+ * @returns {string|null} Description of the difference, or null if they match
+ */
+function findMismatch(server, client, path) {
+    if (server.nodeType !== client.nodeType || server.nodeName !== client.nodeName) {
+        return `${path}: expected <${client.nodeName.toLowerCase()}>, found <${server.nodeName.toLowerCase()}>`;
+    }
+
+    if (server.nodeType === TEXT_NODE) {
+        return server.nodeValue.trim() !== client.nodeValue.trim()
+            ? `${path}: text "${client.nodeValue.trim()}" vs "${server.nodeValue.trim()}"`
+            : null;
+    }
+    if (server.nodeType !== ELEMENT_NODE) {
+        return null;
+    }
+
+    for (const { name, value } of Array.from(client.attributes)) {
+        if (server.getAttribute(name) !== value) {
+            return `${path}: attribute ${name}="${value}" vs "${server.getAttribute(name)}"`;
+        }
+    }
+    for (const { name } of Array.from(server.attributes)) {
+        if (!client.hasAttribute(name)) {
+            return `${path}: unexpected attribute ${name}`;
+        }
+    }
+
+    if (client.hasAttribute('data-joko-child') || client.hasAttribute('data-joko-view')) {
+        return null;
+    }
+
+    const serverChildren = Array.from(server.childNodes);
+    const clientChildren = Array.from(client.childNodes);
+
+    if (serverChildren.length !== clientChildren.length) {
+        return `${path}: expected ${clientChildren.length} child nodes, found ${serverChildren.length}`;
+    }
+
+    for (let i = 0; i < clientChildren.length; i++) {
+        const childPath = `${path} > ${clientChildren[i].nodeName.toLowerCase()}:nth-child(${i + 1})`;
+        const mismatch = findMismatch(serverChildren[i], clientChildren[i], childPath);
+        if (mismatch) return mismatch;
+    }
+
+    return null;
+}
+
+/**
+ * Every currently mounted component, parents before their children
+ * Used for app-wide changes such as switching the locale.
+ * @returns {Array<JokoComponent>} Mounted components
+ */
+export function getMountedComponents() {
+    return Array.from(mountedComponents);
+}
+
+/**
+ * Unmount a component (and its children) from the DOM
  * @param {JokoComponent} component - The component instance to unmount
  */
 export function unmount(component) {
     if (component._mounted && component._element) {
-        // Call lifecycle hook
-        component.onUnmount();
+        const element = component._element;
+        const target = element.parentNode;
+
+        if (target && mountedRoots.get(target) === component) {
+            mountedRoots.delete(target);
+        }
+
+        teardown(component);
 
         // Remove from DOM
-        component._element.remove();
+        element.remove();
+    }
+}
+
+/**
+ * Run unmount lifecycle for a component and its children, leaving the DOM alone
+ * @private
+ * @param {JokoComponent} component - The component being unmounted
+ */
+function teardown(component) {
+    // Call lifecycle hook
+    component._runHook('onUnmount');
+    notifyDevtools('unmount', { component });
+
+    // Run registered cleanups (store subscriptions, listeners, ...)
+    component._cleanups.splice(0).forEach(cleanup => cleanup());
+
+    // Children go down with their parent
+    for (const child of component._children.values()) {
+        if (child._mounted) {
+            teardown(child);
+        }
+    }
+    component._children.clear();
+
+    releaseStyles(component.constructor);
+
+    // Clean up references
+    mountedComponents.delete(component);
+    component._element = null;
+    component._mounted = false;
+}
+
+/**
+ * Whether a mounted ancestor boundary is about to replace a failed component with its fallback
+ * The component's own fallback already ran inside _render(), so reaching
+ * the caller's catch means it threw too.
+ * @private
+ * @param {JokoComponent} component - Component whose render threw
+ * @returns {boolean} True if a fallback will cover the target
+ */
+function fallbackPending(component) {
+    for (let ancestor = component._parent; ancestor; ancestor = ancestor._parent) {
+        if (ancestor._failure && ancestor._mounted) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Default UI for a component that failed to render with no boundary to catch it
+ * @private
+ * @param {*} error - Thrown value
+ * @returns {string} HTML markup
+ */
+function errorMarkup(error) {
+    const details = config.dev
+        ? `<pre class="joko-error-details">${escapeHtml(error && error.stack ? error.stack : String(error))}</pre>`
+        : '';
+
+    return `<div class="joko-error" role="alert"><strong>Something went wrong.</strong>` +
+        `<p>Please reload the page.</p>${details}</div>`;
+}
+
+/**
+ * Parse an HTML string into a single root element
+ * @param {string} html - HTML markup with one root element
+ * @returns {Node} The parsed root node
+ */
+export function htmlToElement(html) {
+    const template = document.createElement('template');
+    template.innerHTML = html.trim();
+    return template.content.firstChild;
+}
+
+/**
+ * Reconcile an existing DOM node against a freshly rendered one.
+ * Only attributes, text and children that actually changed are touched,
+ * so focus, caret position, scroll offsets and transitions survive.
+ * Children carrying a `data-joko-key` attribute are matched by key and
+ * moved instead of being re-created.
+ * @param {Node} oldNode - Node currently in the document
+ * @param {Node} newNode - Freshly rendered node (will be consumed)
+ * @returns {Node} The node that is in the document after patching
+ */
+export function patch(oldNode, newNode) {
+    if (!isSameNode(oldNode, newNode)) {
+        oldNode.replaceWith(newNode);
+        return newNode;
+    }
+
+    if (oldNode.nodeType === ELEMENT_NODE) {
+        const oldDefault = oldNode.tagName === 'TEXTAREA' ? oldNode.defaultValue : null;
 
-        // Clean up references
-        component._element = null;
-        component._mounted = false;
+        patchAttributes(oldNode, newNode);
+
+        // Child placeholders and router outlets are owned by another component, leave their content alone
+        if (!oldNode.hasAttribute('data-joko-child') && !oldNode.hasAttribute('data-joko-view')) {
+            patchChildren(oldNode, newNode);
+        }
+
+        // Textarea content only seeds the value, so sync it when the template changed
+        if (oldDefault !== null && oldDefault !== newNode.defaultValue && oldNode.value !== newNode.defaultValue) {
+            oldNode.value = newNode.defaultValue;
+        }
+    } else if (oldNode.nodeType === TEXT_NODE || oldNode.nodeType === COMMENT_NODE) {
+        if (oldNode.nodeValue !== newNode.nodeValue) {
+            oldNode.nodeValue = newNode.nodeValue;
+        }
+    }
+
+    return oldNode;
+}
+
+/**
+ * Check whether two nodes can be patched into each other
+ * @private
+ * @param {Node} a - Existing node
+ * @param {Node} b - New node
+ * @returns {boolean} True if the nodes are compatible
+ */
+function isSameNode(a, b) {
+    return a.nodeType === b.nodeType &&
+        a.nodeName === b.nodeName &&
+        getKey(a) === getKey(b);
+}
+
+/**
+ * Get the reconciliation key of a node
+ * @private
+ * @param {Node} node - DOM node
+ * @returns {string|null} Value of data-joko-key, if any
+ */
+function getKey(node) {
+    return node.nodeType === ELEMENT_NODE ? node.getAttribute('data-joko-key') : null;
+}
+
+/**
+ * Sync attributes (and their live form properties) from newEl onto el
+ * @private
+ * @param {Element} el - Existing element
+ * @param {Element} newEl - Freshly rendered element
+ */
+function patchAttributes(el, newEl) {
+    // Remove attributes that no longer exist
+    for (const { name } of Array.from(el.attributes)) {
+        if (!newEl.hasAttribute(name)) {
+            el.removeAttribute(name);
+            syncProperty(el, name, null);
+        }
+    }
+
+    // Add or update changed attributes
+    for (const { name, value } of Array.from(newEl.attributes)) {
+        if (el.getAttribute(name) !== value) {
+            el.setAttribute(name, value);
+            syncProperty(el, name, value);
+        }
+    }
+}
+
+/**
+ * Keep live form properties in step with their attributes, since the
+ * attribute alone stops affecting the element once the user interacts
+ * @private
+ * @param {Element} el - Element whose attribute changed
+ * @param {string} name - Attribute name
+ * @param {string|null} value - New attribute value (null when removed)
+ */
+function syncProperty(el, name, value) {
+    if (name === 'value' && 'value' in el && el.value !== (value ?? '')) {
+        el.value = value ?? '';
+    } else if (name === 'checked' && 'checked' in el) {
+        el.checked = value !== null;
+    } else if (name === 'selected' && 'selected' in el) {
+        el.selected = value !== null;
     }
 }
 
 /**
- * Create a virtual element helper (for future virtual DOM implementation)
- * @param {string} tag - HTML tag name
- * @param {Object} props - Element properties/attributes
- * @param {Array} children - Child elements or text content
+ * Reconcile the child list of parent against newParent
+ * Keyed children are matched by key, the rest by position.
+ * @private
+ * @param {Element} parent - Existing element
+ * @param {Element} newParent - Freshly rendered element
+ */
+function patchChildren(parent, newParent) {
+    const oldChildren = Array.from(parent.childNodes);
+    const newChildren = Array.from(newParent.childNodes);
+
+    const keyed = new Map();
+    const unkeyed = [];
+
+    for (const child of oldChildren) {
+        const key = getKey(child);
+        if (key !== null) {
+            keyed.set(key, child);
+        } else {
+            unkeyed.push(child);
+        }
+    }
+
+    let unkeyedIndex = 0;
+
+    newChildren.forEach((newChild, index) => {
+        const key = getKey(newChild);
+        let match;
+
+        if (key !== null) {
+            match = keyed.get(key);
+            keyed.delete(key);
+        } else {
+            match = unkeyed[unkeyedIndex++];
+        }
+
+        const node = match ? patch(match, newChild) : newChild;
+
+        // Move (or insert) the node into its new position if needed
+        const current = parent.childNodes[index];
+        if (current !== node) {
+            parent.insertBefore(node, current || null);
+        }
+    });
+
+    // Everything past the new length is left over from the old render
+    while (parent.childNodes.length > newChildren.length) {
+        parent.lastChild.remove();
+    }
+}
+
+/**
+ * Create a virtual element (hyperscript / JSX pragma)
+ * `tag` is an HTML tag name, a JokoComponent class, or Fragment.
+ * @example
+ * createElement('button', { className: 'btn', onClick: () => this.save() }, 'Save')
+ * @param {string|Function|Symbol} tag - Tag name, component class or Fragment
+ * @param {Object|null} props - Attributes, event handlers (`onClick`) and `key`
+ * @param {...*} children - Child vnodes, strings, numbers or html`` fragments
  * @returns {Object} Virtual element object
  */
-export function createElement(tag, props = {}, ...children) {
+export function createElement(tag, props, ...children) {
     return {
         tag,
-        props,
-        children: children.flat()
+        props: props || {},
+        children: children.flat(Infinity)
     };
 }
 
 /**
- * Render a virtual element to HTML string (utility function)
- * @param {Object} vElement - Virtual element object
+ * Check whether a value is a virtual element from createElement()
+ * @param {*} value - Value to check
+ * @returns {boolean} True for vnodes
+ */
+export function isVNode(value) {
+    return !!value && typeof value === 'object' && 'tag' in value && Array.isArray(value.children);
+}
+
+/**
+ * Render a component tree or a virtual element to an HTML string
+ * Components render with their current state, and child components are
+ * rendered into their placeholders. No DOM is needed, so this also runs
+ * in Node for server-side rendering; lifecycle hooks are not called.
+ * Text children and attribute values are escaped; wrap trusted markup
+ * with unsafeHTML() to insert it as-is.
+ * When rendering for a component (`owner`), function event props become
+ * handlers of that component and component tags become its children.
+ * @param {JokoComponent|Object} vElement - Component instance or virtual element object
+ * @param {JokoComponent} owner - Component whose render() produced the vnode
  * @returns {string} HTML string
  */
-export function renderToString(vElement) {
+export function renderToString(vElement, owner = null) {
+    if (vElement && typeof vElement._render === 'function') {
+        return renderComponentToString(vElement);
+    }
+
+    if (isSafeHTML(vElement)) {
+        return vElement.toString();
+    }
+
+    if (Array.isArray(vElement)) {
+        return vElement.map(child => renderToString(child, owner)).join('');
+    }
+
     if (typeof vElement === 'string' || typeof vElement === 'number') {
-        return String(vElement);
+        return escapeHtml(vElement);
     }
 
-    if (!vElement || !vElement.tag) {
+    if (!isVNode(vElement)) {
         return '';
     }
 
     const { tag, props, children } = vElement;
 
+    if (tag === Fragment) {
+        return renderToString(children, owner);
+    }
+
+    if (typeof tag === 'function') {
+        return renderComponentVNode(vElement, owner);
+    }
+
     // Build attributes string
     const attrs = Object.entries(props || {})
-        .map(([key, value]) => {
-            if (key === 'className') {
-                return `class="${value}"`;
-            }
-            if (typeof value === 'boolean') {
-                return value ? key : '';
-            }
-            return `${key}="${value}"`;
-        })
+        .map(([key, value]) => renderAttribute(key, value, owner))
         .filter(Boolean)
         .join(' ');
 
-    // Build children HTML
-    const childrenHtml = (children || [])
-        .map(child => renderToString(child))
-        .join('');
-
     // Self-closing tags
-    const selfClosing = ['img', 'input', 'br', 'hr', 'meta', 'link'];
-    if (selfClosing.includes(tag)) {
+    if (VOID_ELEMENTS.has(tag)) {
         return `<${tag}${attrs ? ' ' + attrs : ''} />`;
     }
 
-    return `<${tag}${attrs ? ' ' + attrs : ''}>${childrenHtml}</${tag}>`;
+    return `<${tag}${attrs ? ' ' + attrs : ''}>${renderToString(children, owner)}</${tag}>`;
+}
+
+/**
+ * Render one vnode prop as an HTML attribute
+ * @private
+ * @param {string} key - Prop name
+ * @param {*} value - Prop value
+ * @param {JokoComponent|null} owner - Component receiving event handlers
+ * @returns {string} Attribute markup, or '' to omit it
+ */
+function renderAttribute(key, value, owner) {
+    if (value === null || value === undefined || value === false) {
+        return '';
+    }
+
+    // onClick={fn} or onClick="methodName" -> data-joko-click
+    if (/^on[A-Z]/.test(key)) {
+        const type = eventTypeFromProp(key);
+
+        if (typeof value === 'string') {
+            return `data-joko-${type}="${escapeHtml(value)}"`;
+        }
+        if (typeof value === 'function' && owner) {
+            return `data-joko-${type}="${escapeHtml(registerHandler(owner, value))}"`;
+        }
+        return '';
+    }
+
+    if (key === 'key') {
+        return `data-joko-key="${escapeHtml(value)}"`;
+    }
+    if (key === 'style' && typeof value === 'object') {
+        const css = styleToString(value);
+        return css ? `style="${escapeHtml(css)}"` : '';
+    }
+
+    const name = ATTRIBUTE_ALIASES[key] || key;
+
+    if (name === 'class' && typeof value === 'object') {
+        const classes = Array.isArray(value)
+            ? value.filter(Boolean)
+            : Object.keys(value).filter(className => value[className]);
+        return classes.length > 0 ? `class="${escapeHtml(classes.join(' '))}"` : '';
+    }
+    if (value === true) {
+        return name;
+    }
+    if (typeof value === 'function') {
+        return '';
+    }
+
+    return `${name}="${escapeHtml(value)}"`;
+}
+
+/**
+ * Render a component tag: a child() of the owner, or standalone without one
+ * Children become the default slot; children with a `slot` prop go to
+ * that named slot.
+ * @private
+ * @param {Object} vElement - Vnode whose tag is a JokoComponent class
+ * @param {JokoComponent|null} owner - Parent component
+ * @returns {string} HTML string
+ */
+function renderComponentVNode(vElement, owner) {
+    const { tag: ComponentClass, children } = vElement;
+    const { key, ...props } = vElement.props || {};
+
+    const slotChildren = {};
+    for (const child of children) {
+        let name = 'default';
+        let node = child;
+
+        // The slot prop only picks the slot; it is not rendered as the slotted element's attribute
+        if (isVNode(child) && child.props.slot) {
+            const { slot, ...childProps } = child.props;
+            name = slot;
+            node = { ...child, props: childProps };
+        }
+        (slotChildren[name] = slotChildren[name] || []).push(node);
+    }
+
+    const slots = {};
+    for (const [name, nodes] of Object.entries(slotChildren)) {
+        slots[name] = unsafeHTML(renderToString(nodes, owner));
+    }
+
+    if (!owner) {
+        const instance = new ComponentClass(props);
+        instance._slots = slots;
+        return renderComponentToString(instance);
+    }
+
+    // Unkeyed component tags are keyed by class and position in the render
+    const childKey = key !== undefined ? String(key) : nextAutoKey(owner, ComponentClass);
+    return owner.child(childKey, ComponentClass, props, slots).toString();
+}
+
+/**
+ * Give a function handler a generated name on its owner for this render
+ * Names are positional, so unchanged renders produce identical markup.
+ * @private
+ * @param {JokoComponent} owner - Component that renders the handler
+ * @param {Function} handler - Event handler
+ * @returns {string} Generated handler name
+ */
+function registerHandler(owner, handler) {
+    if (!owner._vnodeId) {
+        owner._vnodeId = ++vnodeOwnerCount;
+    }
+
+    const name = `$h${owner._vnodeId}_${owner._handlers.size}`;
+    owner._handlers.set(name, handler);
+    return name;
+}
+
+/**
+ * Positional key for an unkeyed component tag
+ * @private
+ * @param {JokoComponent} owner - Parent component
+ * @param {Function} ComponentClass - Child component class
+ * @returns {string} Child key
+ */
+function nextAutoKey(owner, ComponentClass) {
+    const name = ComponentClass.name || 'Component';
+    const index = owner._autoKeys.get(name) || 0;
+    owner._autoKeys.set(name, index + 1);
+    return `${name}:${index}`;
+}
+
+/**
+ * Map an event prop name to a DOM event type
+ * @private
+ * @param {string} prop - Prop like onClick or onKeyDown
+ * @returns {string} Event type like click or keydown
+ */
+function eventTypeFromProp(prop) {
+    const type = prop.slice(2).toLowerCase();
+    return type === 'doubleclick' ? 'dblclick' : type;
+}
+
+/**
+ * Turn a style object into a CSS declaration string
+ * Numbers get `px` unless the property is unitless; custom properties
+ * (`--accent`) are kept as written.
+ * @private
+ * @param {Object} style - Style object, e.g. { backgroundColor: 'red', fontSize: 14 }
+ * @returns {string} CSS text
+ */
+function styleToString(style) {
+    return Object.entries(style)
+        .filter(([, value]) => value !== null && value !== undefined && value !== false && value !== '')
+        .map(([property, value]) => {
+            const name = property.startsWith('--')
+                ? property
+                : property.replace(/[A-Z]/g, char => `-${char.toLowerCase()}`);
+            const unit = typeof value === 'number' && value !== 0 && !UNITLESS_STYLES.has(property) ? 'px' : '';
+            return `${name}: ${value}${unit}`;
+        })
+        .join('; ');
+}
+
+/**
+ * Render a component and, recursively, the children in its placeholders
+ * @private
+ * @param {JokoComponent} component - Component instance
+ * @returns {string} HTML string
+ */
+function renderComponentToString(component) {
+    const html = component._render();
+
+    return html.replace(
+        /(<joko-child data-joko-child="([^"]*)"[^>]*>)(<\/joko-child>)/g,
+        (match, open, escapedKey, close) => {
+            const key = unescapeAttribute(escapedKey);
+            const child = component._children.get(key);
+            return child ? open + renderComponentToString(child) + close : match;
+        }
+    );
+}
+
+/**
+ * Serialize the state of a component tree for hydrate()
+ * Call after renderToString() so child components exist. State must be
+ * JSON-serializable (Maps, Sets and class instances are not preserved).
+ * @param {JokoComponent} component - Root component
+ * @param {Object} options - Options
+ * @param {string} options.id - Id of the generated script (default 'joko-state')
+ * @returns {string} `<script type="application/json">` tag to put in the page
+ */
+export function serializeState(component, options = {}) {
+    const json = JSON.stringify(snapshotState(component))
+        // Keep the payload from closing the script tag or breaking JS parsers
+        .replace(/</g, '\\u003c')
+        .replace(/\u2028/g, '\\u2028')
+        .replace(/\u2029/g, '\\u2029');
+
+    return `<script type="application/json" id="${escapeHtml(options.id || STATE_SCRIPT_ID)}">${json}</script>`;
+}
+
+/**
+ * Collect { state, children } for a component tree
+ * @private
+ * @param {JokoComponent} component - Component instance
+ * @returns {Object} Snapshot
+ */
+function snapshotState(component) {
+    const children = {};
+    for (const [key, child] of component._children) {
+        children[key] = snapshotState(child);
+    }
+
+    return { state: JSON.parse(JSON.stringify(component.state)), children };
+}
+
+/**
+ * Reverse escapeHtml() for an attribute value
+ * @private
+ * @param {string} value - Escaped value
+ * @returns {string} Original value
+ */
+function unescapeAttribute(value) {
+    return value
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/&#96;/g, '`')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&');
 }
@@ -0,0 +1,286 @@
+/**
+ * JokoUI Custom Elements Module
+ * Wraps a JokoComponent as a native Web Component, so widgets can be
+ * dropped into any page (e.g. server-rendered Prabogo templates)
+ * without a dedicated #app root.
+ */
+
+import { mount, unmount } from './joko-dom.js';
+import { unsafeHTML, escapeHtml } from './joko-html.js';
+import { renderStyles } from './joko-styles.js';
+import { warn } from './joko-config.js';
+
+/**
+ * Register a component as a custom element
+ * Observed attributes become props, or state when the component has a
+ * state key of the same name. Each attribute also gets a matching
+ * property on the element for non-string values (`el.items = [...]`).
+ * Events passed to `this.emit()` are re-dispatched on the element as
+ * bubbling, composed CustomEvents with the arguments in `detail`.
+ * @example
+ * defineElement('joko-counter', CounterCard, { attributes: { count: Number } });
+ * // <joko-counter count="5"></joko-counter>
+ * document.querySelector('joko-counter').addEventListener('change', e => console.log(e.detail));
+ * @param {string} tagName - Element name, must contain a dash
+ * @param {Function} ComponentClass - JokoComponent subclass
+ * @param {Object} options - Options
+ * @param {Array<string>|Object} options.attributes - Attribute names, or { propName: String|Number|Boolean|Object }
+ *        (defaults to the class's `static attributes`)
+ * @param {boolean|string} options.shadow - Render into a Shadow DOM: true/'open' or 'closed' (default false)
+ * @param {Array<string>} options.stylesheets - Stylesheet URLs to link inside the shadow root (e.g. style.css)
+ * @returns {Function|null} The element class, or null without Custom Elements support
+ */
+export function defineElement(tagName, ComponentClass, options = {}) {
+    if (typeof customElements === 'undefined') {
+        warn(`defineElement(): Custom Elements are not supported here, <${tagName}> was not defined`);
+        return null;
+    }
+
+    const existing = customElements.get(tagName);
+    if (existing) {
+        warn(`defineElement(): <${tagName}> is already defined`);
+        return existing;
+    }
+
+    const attributes = normalizeAttributes(options.attributes || ComponentClass.attributes || {});
+    const shadowMode = options.shadow === true ? 'open' : options.shadow || null;
+    const stylesheets = options.stylesheets || [];
+
+    class JokoElement extends HTMLElement {
+        static get observedAttributes() {
+            return Object.keys(attributes);
+        }
+
+        constructor() {
+            super();
+
+            // The component is created on first connect, props collected until then
+            this.component = null;
+            this._props = {};
+            this._root = shadowMode ? this.attachShadow({ mode: shadowMode }) : this;
+        }
+
+        /**
+         * Create the component on first connect, then mount it (runs onMount)
+         */
+        connectedCallback() {
+            if (!this.component) {
+                this.component = this._createComponent();
+            }
+
+            mount(this.component, this._root);
+
+            if (shadowMode) {
+                this._adoptStyles();
+            }
+        }
+
+        /**
+         * Unmount the component (runs onUnmount); it keeps its state for a later reconnect
+         */
+        disconnectedCallback() {
+            if (this.component) {
+                unmount(this.component);
+            }
+        }
+
+        /**
+         * Forward an observed attribute to the component
+         * @param {string} name - Attribute name
+         * @param {string|null} oldValue - Previous value
+         * @param {string|null} value - New value (null when removed)
+         */
+        attributeChangedCallback(name, oldValue, value) {
+            if (oldValue === value) return;
+
+            const { prop, type } = attributes[name];
+            this._setProp(prop, parseAttribute(value, type));
+        }
+
+        /**
+         * Build the component from the collected props and the light DOM
+         * @private
+         * @returns {JokoComponent} Component instance
+         */
+        _createComponent() {
+            const component = new ComponentClass(this._splitProps(null).props);
+            const { state } = this._splitProps(component);
+
+            // Attributes naming a state key seed that state
+            Object.assign(component.state, state);
+
+            // Without a shadow root the element's own content would be wiped, pass it in as slots
+            if (!shadowMode) {
+                component._slots = collectSlots(this);
+            }
+
+            // Component events also bubble out of the element
+            const emit = component.emit.bind(component);
+            component.emit = (event, ...args) => {
+                const handled = emit(event, ...args);
+
+                this.dispatchEvent(new CustomEvent(event, {
+                    detail: args.length > 1 ? args : args[0],
+                    bubbles: true,
+                    composed: true
+                }));
+
+                return handled;
+            };
+
+            return component;
+        }
+
+        /**
+         * Set a prop (or state key) from an attribute or property
+         * @private
+         * @param {string} prop - Prop name
+         * @param {*} value - New value
+         */
+        _setProp(prop, value) {
+            this._props[prop] = value;
+
+            const component = this.component;
+            if (!component) return;
+
+            if (Object.prototype.hasOwnProperty.call(component._state, prop)) {
+                component.state[prop] = value;
+            } else {
+                component._receiveProps(this._splitProps(component).props, component._slots);
+            }
+        }
+
+        /**
+         * Separate collected values into props and state keys of a component
+         * @private
+         * @param {JokoComponent|null} component - Component (null before it exists)
+         * @returns {Object} { props, state }
+         */
+        _splitProps(component) {
+            const props = {};
+            const state = {};
+
+            for (const [prop, value] of Object.entries(this._props)) {
+                if (component && Object.prototype.hasOwnProperty.call(component._state, prop)) {
+                    state[prop] = value;
+                } else {
+                    props[prop] = value;
+                }
+            }
+
+            return { props, state };
+        }
+
+        /**
+         * Put stylesheet links and the tree's scoped styles into the shadow root
+         * Styles injected into <head> don't reach inside it.
+         * @private
+         */
+        _adoptStyles() {
+            const links = stylesheets
+                .map(href => `<link rel="stylesheet" href="${escapeHtml(href)}">`)
+                .join('');
+
+            const template = document.createElement('template');
+            template.innerHTML = links + renderStyles(this.component);
+            this._root.prepend(template.content);
+        }
+    }
+
+    // Property access for every observed attribute
+    for (const { prop } of Object.values(attributes)) {
+        Object.defineProperty(JokoElement.prototype, prop, {
+            get() {
+                return this._props[prop];
+            },
+            set(value) {
+                this._setProp(prop, value);
+            },
+            configurable: true
+        });
+    }
+
+    customElements.define(tagName, JokoElement);
+    return JokoElement;
+}
+
+/**
+ * Normalize the attributes option to { attribute-name: { prop, type } }
+ * @private
+ * @param {Array<string>|Object} attributes - Names, or { propName: type }
+ * @returns {Object} Attribute descriptors
+ */
+function normalizeAttributes(attributes) {
+    const entries = Array.isArray(attributes)
+        ? attributes.map(name => [name, String])
+        : Object.entries(attributes);
+
+    const result = {};
+    for (const [name, type] of entries) {
+        const prop = name.replace(/-([a-z])/g, (match, char) => char.toUpperCase());
+        const attribute = prop.replace(/[A-Z]/g, char => `-${char.toLowerCase()}`);
+        result[attribute] = { prop, type: type || String };
+    }
+    return result;
+}
+
+/**
+ * Convert an attribute string to its declared type
+ * @private
+ * @param {string|null} value - Attribute value (null when absent)
+ * @param {Function} type - String, Number, Boolean, Object or Array
+ * @returns {*} Typed value
+ */
+function parseAttribute(value, type) {
+    if (type === Boolean) {
+        return value !== null && value !== 'false';
+    }
+    if (value === null) {
+        return undefined;
+    }
+    if (type === Number) {
+        return Number(value);
+    }
+    if (type === Object || type === Array) {
+        try {
+            return JSON.parse(value);
+        } catch {
+            warn(`defineElement(): attribute value is not valid JSON: ${value}`);
+            return undefined;
+        }
+    }
+    return value;
+}
+
+/**
+ * Take the element's initial content as slot markup
+ * Children with a `slot="name"` attribute fill that slot, the rest
+ * fills the default slot.
+ * @private
+ * @param {Element} element - Custom element
+ * @returns {Object} Slots of SafeHTML markup
+ */
+function collectSlots(element) {
+    const slots = {};
+    let fallback = '';
+
+    for (const node of Array.from(element.childNodes)) {
+        const name = node.nodeType === 1 && node.getAttribute('slot');
+
+        if (name) {
+            node.removeAttribute('slot');
+            slots[name] = unsafeHTML((slots[name] || '') + node.outerHTML);
+        } else if (node.nodeType === 1) {
+            fallback += node.outerHTML;
+        } else if (node.nodeType === 3) {
+            fallback += escapeHtml(node.textContent);
+        }
+    }
+
+    if (fallback.trim()) {
+        slots.default = unsafeHTML(fallback);
+    }
+    return slots;
+}
+
+export default defineElement;
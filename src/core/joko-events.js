@@ -0,0 +1,207 @@
+/**
+ * JokoUI Events Module
+ * Parses data-joko-* event attributes for delegated event handling
+ *
+ * Syntax: data-joko-<event>[.<modifier>...]="method" or "method(arg, ...)"
+ * e.g. data-joko-keydown.enter.prevent="save($event, 'draft')"
+ */
+
+// data-joko-* attributes that are directives, not events
+export const RESERVED_ATTRIBUTES = new Set(['key', 'child', 'model', 'link', 'view', 'owner', 'style', 'scope']);
+
+// Events that don't bubble, so the root listener has to capture them
+export const NON_BUBBLING_EVENTS = new Set([
+    'focus', 'blur', 'mouseenter', 'mouseleave', 'pointerenter', 'pointerleave',
+    'load', 'error', 'scroll', 'play', 'pause', 'ended'
+]);
+
+// Modifiers that control handling rather than filter keys
+const FLOW_MODIFIERS = new Set(['prevent', 'stop', 'once', 'self']);
+
+// System keys that must be held down
+const SYSTEM_MODIFIERS = new Set(['ctrl', 'shift', 'alt', 'meta']);
+
+// Key aliases usable as modifiers (compared against KeyboardEvent.key)
+const KEY_ALIASES = {
+    enter: ['Enter'],
+    esc: ['Escape', 'Esc'],
+    escape: ['Escape', 'Esc'],
+    space: [' ', 'Spacebar'],
+    tab: ['Tab'],
+    up: ['ArrowUp', 'Up'],
+    down: ['ArrowDown', 'Down'],
+    left: ['ArrowLeft', 'Left'],
+    right: ['ArrowRight', 'Right'],
+    delete: ['Delete', 'Backspace', 'Del'],
+    backspace: ['Backspace']
+};
+
+const ATTRIBUTE_PREFIX = 'data-joko-';
+
+// Marks slot content with the depth of the component that wrote it
+export const OWNER_ATTRIBUTE = 'data-joko-owner';
+
+// Opening tags (comments are matched only to be skipped)
+const TAG_PATTERN = /<!--[\s\S]*?-->|<([a-zA-Z][\w-]*)([^>]*)/g;
+
+/**
+ * Marker for the `$event` argument, replaced with the DOM event on call
+ */
+export const EVENT_ARG = Symbol('joko.$event');
+
+// Parsed handler expressions, keyed by attribute value
+const handlerCache = new Map();
+
+/**
+ * Parse an attribute name into an event binding
+ * @param {string} name - Attribute name, e.g. "data-joko-keydown.enter"
+ * @returns {{type: string, modifiers: Array<string>}|null} Binding, or null if not an event attribute
+ */
+export function parseEventAttribute(name) {
+    if (!name.startsWith(ATTRIBUTE_PREFIX)) {
+        return null;
+    }
+
+    const [type, ...modifiers] = name.slice(ATTRIBUTE_PREFIX.length).split('.');
+
+    if (!type || RESERVED_ATTRIBUTES.has(type)) {
+        return null;
+    }
+
+    return { type, modifiers };
+}
+
+/**
+ * Collect the event types used in a rendered template
+ * Scans the markup string rather than the DOM, so it stays cheap.
+ * @param {string} markup - Rendered HTML
+ * @returns {Set<string>} Event types
+ */
+export function extractEventTypes(markup) {
+    const types = new Set();
+    const pattern = /\sdata-joko-([\w-]+)[\w.-]*\s*=/g;
+    let match;
+
+    while ((match = pattern.exec(markup))) {
+        if (!RESERVED_ATTRIBUTES.has(match[1])) {
+            types.add(match[1]);
+        }
+    }
+
+    return types;
+}
+
+/**
+ * Record which component wrote some markup, so handler names in it are
+ * looked up on that component wherever the markup ends up (slots)
+ * Elements already marked by a component further up keep their owner.
+ * @param {string} markup - Trusted HTML
+ * @param {number} depth - Owner's depth in the component tree (0 for a root)
+ * @returns {string} Markup with every element marked
+ */
+export function markOwner(markup, depth) {
+    const owner = ` ${OWNER_ATTRIBUTE}="${depth}"`;
+
+    return markup.replace(TAG_PATTERN, (match, tag, attributes) => {
+        if (!tag || attributes.includes(`${OWNER_ATTRIBUTE}=`)) return match;
+        return `<${tag}${owner}${attributes}`;
+    });
+}
+
+/**
+ * Parse a handler expression such as `remove(3, 'draft', $event)`
+ * @param {string} expression - Attribute value
+ * @returns {{name: string, args: Array|null}} Method name and static args (null when none given)
+ */
+export function parseHandler(expression) {
+    if (handlerCache.has(expression)) {
+        return handlerCache.get(expression);
+    }
+
+    const match = /^\s*([\w$]+)\s*(?:\((.*)\))?\s*$/s.exec(expression);
+    const parsed = match
+        ? { name: match[1], args: match[2] === undefined ? null : parseArguments(match[2]) }
+        : { name: expression.trim(), args: null };
+
+    handlerCache.set(expression, parsed);
+    return parsed;
+}
+
+/**
+ * Check whether an event passes the key and system-key modifiers
+ * @param {Event} event - DOM event
+ * @param {Array<string>} modifiers - Modifiers from the attribute name
+ * @returns {boolean} True if the handler should run
+ */
+export function matchesModifiers(event, modifiers) {
+    for (const modifier of modifiers) {
+        if (FLOW_MODIFIERS.has(modifier)) {
+            continue;
+        }
+
+        if (SYSTEM_MODIFIERS.has(modifier)) {
+            if (!event[`${modifier}Key`]) return false;
+            continue;
+        }
+
+        // Anything else is a key filter, only meaningful for keyboard events
+        if (typeof event.key !== 'string') {
+            return false;
+        }
+
+        const keys = KEY_ALIASES[modifier];
+        const matches = keys
+            ? keys.includes(event.key)
+            : event.key.toLowerCase() === modifier;
+
+        if (!matches) return false;
+    }
+
+    return true;
+}
+
+/**
+ * Parse the comma-separated argument list of a handler expression
+ * Supports strings, numbers, true/false/null/undefined and $event.
+ * @private
+ * @param {string} source - Text between the parentheses
+ * @returns {Array} Argument descriptors ($event is kept as a marker)
+ */
+function parseArguments(source) {
+    const args = [];
+    const pattern = /\s*('(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*"|[^,]+?)\s*(?:,|$)/gy;
+    let match;
+
+    if (!source.trim()) {
+        return args;
+    }
+
+    while (pattern.lastIndex < source.length && (match = pattern.exec(source))) {
+        args.push(parseLiteral(match[1]));
+    }
+
+    return args;
+}
+
+/**
+ * Convert a single argument token to its value
+ * @private
+ * @param {string} token - Argument source text
+ * @returns {*} Parsed value
+ */
+function parseLiteral(token) {
+    if (/^(['"]).*\1$/s.test(token)) {
+        return token.slice(1, -1).replace(/\\(.)/g, '$1');
+    }
+
+    switch (token) {
+        case 'true': return true;
+        case 'false': return false;
+        case 'null': return null;
+        case 'undefined': return undefined;
+        case '$event': return EVENT_ARG;
+    }
+
+    const number = Number(token);
+    return token !== '' && !Number.isNaN(number) ? number : token;
+}
@@ -0,0 +1,112 @@
+/**
+ * JokoUI HTML Module
+ * Safe tagged-template rendering with automatic escaping
+ */
+
+const ESCAPE_MAP = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;',
+    '`': '&#96;'
+};
+
+/**
+ * Wrapper marking a string as trusted markup that must not be escaped
+ */
+export class SafeHTML {
+    /**
+     * @param {string} value - Trusted HTML markup
+     */
+    constructor(value) {
+        this.value = String(value);
+    }
+
+    toString() {
+        return this.value;
+    }
+}
+
+/**
+ * Escape a value for use in HTML text or a quoted attribute
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped string
+ */
+export function escapeHtml(value) {
+    return String(value).replace(/[&<>"'`]/g, char => ESCAPE_MAP[char]);
+}
+
+/**
+ * Mark a string as trusted markup (opt-out of escaping)
+ * Only use this for HTML you control — never for server or user data.
+ * @param {string} value - Trusted HTML markup
+ * @returns {SafeHTML} Markup that html`` will insert as-is
+ */
+export function unsafeHTML(value) {
+    return value instanceof SafeHTML ? value : new SafeHTML(value ?? '');
+}
+
+/**
+ * Check whether a value is trusted markup
+ * @param {*} value - Value to check
+ * @returns {boolean} True for html`` results and unsafeHTML() values
+ */
+export function isSafeHTML(value) {
+    return value instanceof SafeHTML;
+}
+
+/**
+ * Tagged template that escapes every interpolated value by default
+ * Nested html`` fragments and unsafeHTML() values are inserted as-is,
+ * arrays are rendered item by item, and null/undefined/false render nothing.
+ * @example
+ * html`<li class="${cls}">${user.name}</li>`
+ * @param {TemplateStringsArray} strings - Static template parts
+ * @param {...*} values - Interpolated values
+ * @returns {SafeHTML} Escaped markup
+ */
+export function html(strings, ...values) {
+    let result = strings[0];
+
+    values.forEach((value, index) => {
+        result += renderValue(value) + strings[index + 1];
+    });
+
+    return new SafeHTML(result);
+}
+
+/**
+ * Convert a render() result (string or SafeHTML) to a markup string
+ * Plain strings are trusted as before, so existing templates keep working.
+ * @param {string|SafeHTML} output - Value returned by render()
+ * @returns {string} HTML markup
+ */
+export function toHtmlString(output) {
+    if (output === null || output === undefined || output === false) {
+        return '';
+    }
+    return String(output);
+}
+
+/**
+ * Render a single interpolated value
+ * @private
+ * @param {*} value - Interpolated value
+ * @returns {string} Escaped (or trusted) markup
+ */
+function renderValue(value) {
+    if (value === null || value === undefined || value === false) {
+        return '';
+    }
+
+    if (value instanceof SafeHTML) {
+        return value.value;
+    }
+
+    if (Array.isArray(value)) {
+        return value.map(renderValue).join('');
+    }
+
+    return escapeHtml(value);
+}
@@ -0,0 +1,535 @@
+/**
+ * JokoUI i18n Module
+ * Lazy-loaded message catalogs, ICU-style messages (interpolation,
+ * plural, select), Intl formatting and runtime locale switching
+ */
+
+import { getMountedComponents } from './joko-dom.js';
+import { scheduleUpdate } from './joko-scheduler.js';
+import { warn, reportError } from './joko-config.js';
+import { escapeHtml, unsafeHTML, isSafeHTML } from './joko-html.js';
+import { prabogoClient } from './prabogo-connect.js';
+
+// localStorage key of the chosen locale
+const STORAGE_KEY = 'joko:locale';
+
+// Registered locales: code -> { messages, loader }
+const locales = new Map();
+
+// Active and fallback locale
+let current = null;
+let fallback = 'en';
+
+// Clients that receive the Accept-Language header
+let clients = [prabogoClient];
+
+// Locale change listeners
+const listeners = new Set();
+
+// Parsed messages and Intl formatters, reused between renders
+const parsedMessages = new Map();
+const formatters = new Map();
+
+/**
+ * Register a locale's messages, or a loader that imports them on first use
+ * @example
+ * defineLocale('en', { greeting: 'Hello {name}' });
+ * defineLocale('id', () => import('../locales/id.js'));
+ * @param {string} locale - BCP 47 code, e.g. 'en' or 'id'
+ * @param {Object|Function} messages - Nested messages, or () => Promise<module with default export>
+ */
+export function defineLocale(locale, messages) {
+    const entry = typeof messages === 'function'
+        ? { messages: null, loader: messages }
+        : { messages, loader: null };
+
+    locales.set(locale, entry);
+    clearParsed(locale);
+}
+
+/**
+ * Load the saved, browser-preferred or fallback locale
+ * Await it before mounting so the first render is already translated.
+ * It never rejects: when a catalog fails to load (network error, stale
+ * chunk) the error is reported and the fallback locale is tried, and if
+ * that fails too the app renders untranslated keys.
+ * @param {Object} options - Options
+ * @param {Object} options.locales - { code: messages or loader }, passed to defineLocale()
+ * @param {string} options.fallback - Locale used for missing keys and unknown languages (default 'en')
+ * @param {string} options.locale - Force a locale instead of detecting one
+ * @param {Array<PrabogoClient>} options.clients - Clients that get Accept-Language (default [prabogoClient])
+ * @returns {Promise<string>} The active locale
+ */
+export async function initI18n(options = {}) {
+    for (const [locale, messages] of Object.entries(options.locales || {})) {
+        defineLocale(locale, messages);
+    }
+
+    fallback = options.fallback || fallback;
+    clients = options.clients || clients;
+
+    const requested = options.locale || detectLocale();
+
+    for (const locale of new Set([requested, fallback])) {
+        try {
+            return await setLocale(locale);
+        } catch (error) {
+            reportError(error, { phase: 'i18n', locale });
+        }
+    }
+    return getLocale();
+}
+
+/**
+ * Switch the active locale
+ * Loads the catalog if needed, then updates <html lang>, the
+ * Accept-Language header and every mounted component.
+ * @param {string} locale - Locale code
+ * @returns {Promise<string>} The active locale
+ */
+export async function setLocale(locale) {
+    const resolved = matchLocale(locale);
+    if (!resolved) {
+        throw new Error(`JokoUI: Unknown locale "${locale}"`);
+    }
+
+    await loadLocale(resolved);
+    if (resolved !== fallback) {
+        // Missing keys fall back, so that catalog has to be ready too
+        await loadLocale(fallback).catch(() => {});
+    }
+
+    const changed = resolved !== current;
+    current = resolved;
+
+    try {
+        localStorage.setItem(STORAGE_KEY, resolved);
+    } catch {
+        // Storage disabled: detection runs again on the next visit
+    }
+
+    if (typeof document !== 'undefined') {
+        document.documentElement.lang = resolved;
+    }
+
+    for (const client of clients) {
+        client.setHeader('Accept-Language', resolved);
+
+        // Cached responses were fetched in the previous language
+        if (changed && client.cache) {
+            client.cache.clear();
+        }
+    }
+
+    if (changed) {
+        getMountedComponents().forEach(component => scheduleUpdate(component));
+        listeners.forEach(listener => listener(resolved));
+    }
+
+    return resolved;
+}
+
+/**
+ * Active locale code
+ * @returns {string} Locale, or the fallback before initI18n()
+ */
+export function getLocale() {
+    return current || fallback;
+}
+
+/**
+ * Registered locale codes
+ * @returns {Array<string>}
+ */
+export function getLocales() {
+    return Array.from(locales.keys());
+}
+
+/**
+ * Listen for locale switches
+ * @param {Function} listener - Called with the new locale
+ * @returns {Function} Function that removes the listener
+ */
+export function onLocaleChange(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+/**
+ * Translate a message key
+ * Messages use ICU-style syntax:
+ * - `{name}` inserts a parameter
+ * - `{count, plural, =0 {No items} one {# item} other {# items}}` picks by plural rules (`#` is the number)
+ * - `{role, select, admin {Admin} other {Member}}` picks by value
+ * - `{price, number, currency}` / `{total, number}` / `{when, date, short}` format with Intl
+ * @example
+ * t('cart.items', { count: 3 })   // "3 barang"
+ * t('app.footer', { heart: html`<span class="heart">❤️</span>` })
+ * @param {string} key - Dotted key, e.g. 'user.fetch'
+ * @param {Object} params - Values for the placeholders; html`` values are kept as markup
+ * @returns {string|SafeHTML} Translated text (the key itself when missing), or
+ *          escaped markup when a parameter is html``
+ */
+export function t(key, params = {}) {
+    const locale = getLocale();
+    let message = lookup(locale, key);
+    let messageLocale = locale;
+
+    if (message === undefined && locale !== fallback) {
+        message = lookup(fallback, key);
+        messageLocale = fallback;
+    }
+
+    if (typeof message !== 'string') {
+        warn(`Missing translation "${key}" for locale "${locale}"`);
+        return key;
+    }
+
+    const cacheKey = `${messageLocale}\u0000${key}`;
+    if (!parsedMessages.has(cacheKey)) {
+        parsedMessages.set(cacheKey, parseMessage(message));
+    }
+
+    // An html`` parameter makes the result markup, so everything else gets escaped
+    if (Object.values(params).some(isSafeHTML)) {
+        return unsafeHTML(formatParts(parsedMessages.get(cacheKey), params, locale, escapeHtml));
+    }
+    return formatParts(parsedMessages.get(cacheKey), params, locale, text => text);
+}
+
+/**
+ * Format a number for the active locale
+ * @param {number} value - Number
+ * @param {Object} options - Intl.NumberFormat options
+ * @returns {string}
+ */
+export function formatNumber(value, options = {}) {
+    return getFormatter('NumberFormat', options).format(value);
+}
+
+/**
+ * Format an amount of money for the active locale
+ * @param {number} value - Amount
+ * @param {string} currency - ISO 4217 code (default 'IDR')
+ * @param {Object} options - Extra Intl.NumberFormat options
+ * @returns {string} e.g. "Rp 15.000,00" or "IDR 15,000.00"
+ */
+export function formatCurrency(value, currency = 'IDR', options = {}) {
+    return getFormatter('NumberFormat', { style: 'currency', currency, ...options }).format(value);
+}
+
+/**
+ * Format a date for the active locale
+ * @param {Date|number|string} value - Date, timestamp or ISO string
+ * @param {Object|string} options - Intl.DateTimeFormat options, or 'short' | 'medium' | 'long' | 'full'
+ * @returns {string}
+ */
+export function formatDate(value, options = 'medium') {
+    const resolved = typeof options === 'string' ? { dateStyle: options } : options;
+    return getFormatter('DateTimeFormat', resolved).format(value instanceof Date ? value : new Date(value));
+}
+
+/**
+ * Format a relative time for the active locale
+ * @example
+ * formatRelativeTime(-3, 'day')   // "3 hari yang lalu"
+ * @param {number} value - Amount (negative for the past)
+ * @param {string} unit - 'second', 'minute', 'hour', 'day', 'week', 'month' or 'year'
+ * @param {Object} options - Intl.RelativeTimeFormat options (default { numeric: 'auto' })
+ * @returns {string}
+ */
+export function formatRelativeTime(value, unit, options = { numeric: 'auto' }) {
+    return getFormatter('RelativeTimeFormat', options).format(value, unit);
+}
+
+/**
+ * Load a locale's catalog if it is lazy
+ * @private
+ * @param {string} locale - Locale code
+ * @returns {Promise<void>}
+ */
+async function loadLocale(locale) {
+    const entry = locales.get(locale);
+    if (!entry) {
+        throw new Error(`JokoUI: Unknown locale "${locale}"`);
+    }
+
+    if (!entry.messages) {
+        const module = await entry.loader();
+        entry.messages = module && module.default ? module.default : module;
+        clearParsed(locale);
+    }
+}
+
+/**
+ * Pick a registered locale for a requested one ('id-ID' matches 'id')
+ * @private
+ * @param {string} locale - Requested locale
+ * @returns {string|null} Registered locale
+ */
+function matchLocale(locale) {
+    if (!locale) return null;
+    if (locales.has(locale)) return locale;
+
+    const language = locale.toLowerCase().split('-')[0];
+    return getLocales().find(code => code.toLowerCase().split('-')[0] === language) || null;
+}
+
+/**
+ * Locale to start with: saved choice, then the browser's languages, then the fallback
+ * @private
+ * @returns {string} Locale code
+ */
+function detectLocale() {
+    let saved = null;
+    try {
+        saved = localStorage.getItem(STORAGE_KEY);
+    } catch {
+        // Storage disabled
+    }
+
+    const preferred = typeof navigator !== 'undefined'
+        ? navigator.languages || [navigator.language]
+        : [];
+
+    for (const candidate of [saved, ...preferred]) {
+        const match = matchLocale(candidate);
+        if (match) return match;
+    }
+    return fallback;
+}
+
+/**
+ * Find a message in a locale's catalog
+ * @private
+ * @param {string} locale - Locale code
+ * @param {string} key - Dotted key
+ * @returns {*} Message, or undefined
+ */
+function lookup(locale, key) {
+    const entry = locales.get(locale);
+    if (!entry || !entry.messages) return undefined;
+
+    // Flat keys ('user.fetch': '...') win over nesting
+    if (Object.prototype.hasOwnProperty.call(entry.messages, key)) {
+        return entry.messages[key];
+    }
+    return key.split('.').reduce((value, part) => (value == null ? undefined : value[part]), entry.messages);
+}
+
+/**
+ * Forget parsed messages of a locale (after its catalog changed)
+ * @private
+ * @param {string} locale - Locale code
+ */
+function clearParsed(locale) {
+    for (const key of parsedMessages.keys()) {
+        if (key.startsWith(`${locale}\u0000`)) {
+            parsedMessages.delete(key);
+        }
+    }
+}
+
+/**
+ * Cached Intl formatter for the active locale
+ * @private
+ * @param {string} type - 'NumberFormat', 'DateTimeFormat', 'RelativeTimeFormat' or 'PluralRules'
+ * @param {Object} options - Formatter options
+ * @param {string} locale - Locale (default: active)
+ * @returns {Object} Intl formatter
+ */
+function getFormatter(type, options, locale = getLocale()) {
+    const key = `${type}|${locale}|${JSON.stringify(options)}`;
+    if (!formatters.has(key)) {
+        formatters.set(key, new Intl[type](locale, options));
+    }
+    return formatters.get(key);
+}
+
+/**
+ * Parse an ICU-style message into text and placeholder parts
+ * @private
+ * @param {string} message - Message source
+ * @returns {Array} Parts: strings and { name, type, style, options }
+ */
+function parseMessage(message) {
+    const parts = [];
+    let text = '';
+    let index = 0;
+
+    while (index < message.length) {
+        const char = message[index];
+
+        // '{' and '}' are literal when quoted: '{'
+        if (char === "'" && (message[index + 1] === '{' || message[index + 1] === '}') && message[index + 2] === "'") {
+            text += message[index + 1];
+            index += 3;
+            continue;
+        }
+
+        if (char !== '{') {
+            text += char;
+            index++;
+            continue;
+        }
+
+        const end = findClosingBrace(message, index);
+        if (text) parts.push(text);
+        text = '';
+        parts.push(parsePlaceholder(message.slice(index + 1, end)));
+        index = end + 1;
+    }
+
+    if (text) parts.push(text);
+    return parts;
+}
+
+/**
+ * Parse the inside of one `{...}` placeholder
+ * @private
+ * @param {string} source - e.g. "count, plural, one {# item} other {# items}"
+ * @returns {Object} { name, type, style, options }
+ */
+function parsePlaceholder(source) {
+    const [name, type, ...rest] = splitArguments(source);
+    const placeholder = { name: name.trim(), type: type ? type.trim() : null, style: null, options: null };
+
+    if (placeholder.type === 'plural' || placeholder.type === 'select') {
+        placeholder.options = {};
+        const body = rest.join(',');
+        const pattern = /\s*(=?[\w-]+)\s*\{/g;
+        let match;
+
+        while ((match = pattern.exec(body))) {
+            const open = match.index + match[0].length - 1;
+            const close = findClosingBrace(body, open);
+            placeholder.options[match[1]] = parseMessage(body.slice(open + 1, close));
+            pattern.lastIndex = close + 1;
+        }
+    } else if (rest.length) {
+        placeholder.style = rest.join(',').trim();
+    }
+
+    return placeholder;
+}
+
+/**
+ * Split a placeholder on its first two top-level commas
+ * @private
+ * @param {string} source - Placeholder body
+ * @returns {Array<string>} [name, type, rest]
+ */
+function splitArguments(source) {
+    const result = [];
+    let depth = 0;
+    let start = 0;
+
+    for (let i = 0; i < source.length && result.length < 2; i++) {
+        if (source[i] === '{') depth++;
+        else if (source[i] === '}') depth--;
+        else if (source[i] === ',' && depth === 0) {
+            result.push(source.slice(start, i));
+            start = i + 1;
+        }
+    }
+    result.push(source.slice(start));
+    return result;
+}
+
+/**
+ * Index of the '}' matching the '{' at `open`
+ * @private
+ * @param {string} text - Message source
+ * @param {number} open - Index of '{'
+ * @returns {number} Index of the matching '}'
+ */
+function findClosingBrace(text, open) {
+    let depth = 0;
+
+    for (let i = open; i < text.length; i++) {
+        if (text[i] === '{') depth++;
+        else if (text[i] === '}' && --depth === 0) return i;
+    }
+    throw new Error(`JokoUI: Unclosed "{" in message "${text}"`);
+}
+
+/**
+ * Fill parsed message parts with parameters
+ * @private
+ * @param {Array} parts - Parsed message
+ * @param {Object} params - Parameter values
+ * @param {string} locale - Locale for plural rules and formatting
+ * @param {Function} escape - Applied to text that isn't already markup
+ * @param {number} pluralValue - Value `#` stands for inside a plural branch
+ * @returns {string}
+ */
+function formatParts(parts, params, locale, escape, pluralValue) {
+    let output = '';
+
+    for (const part of parts) {
+        if (typeof part === 'string') {
+            output += escape(pluralValue === undefined
+                ? part
+                : part.replace(/#/g, getFormatter('NumberFormat', {}, locale).format(pluralValue)));
+            continue;
+        }
+
+        const value = params[part.name];
+
+        switch (part.type) {
+            case 'plural': {
+                const number = Number(value);
+                const exact = part.options[`=${number}`];
+                const category = getFormatter('PluralRules', {}, locale).select(number);
+                const branch = exact || part.options[category] || part.options.other || [];
+                output += formatParts(branch, params, locale, escape, number);
+                break;
+            }
+            case 'select': {
+                const branch = part.options[String(value)] || part.options.other || [];
+                output += formatParts(branch, params, locale, escape, pluralValue);
+                break;
+            }
+            case 'number':
+                output += escape(formatNumberPart(value, part.style, locale, params));
+                break;
+            case 'date':
+                output += escape(getFormatter('DateTimeFormat', { dateStyle: part.style || 'medium' }, locale)
+                    .format(value instanceof Date ? value : new Date(value)));
+                break;
+            case 'time':
+                output += escape(getFormatter('DateTimeFormat', { timeStyle: part.style || 'short' }, locale)
+                    .format(value instanceof Date ? value : new Date(value)));
+                break;
+            default:
+                if (isSafeHTML(value)) {
+                    output += value.value;
+                } else {
+                    output += escape(value === undefined || value === null ? '' : String(value));
+                }
+        }
+    }
+
+    return output;
+}
+
+/**
+ * Format a `{value, number, style}` placeholder
+ * @private
+ * @param {*} value - Parameter value
+ * @param {string|null} style - null, 'integer', 'percent' or 'currency'
+ * @param {string} locale - Locale
+ * @param {Object} params - All parameters (`currency` picks the currency code)
+ * @returns {string}
+ */
+function formatNumberPart(value, style, locale, params) {
+    const options = {
+        integer: { maximumFractionDigits: 0 },
+        percent: { style: 'percent' },
+        currency: { style: 'currency', currency: params.currency || 'IDR' }
+    }[style] || {};
+
+    return getFormatter('NumberFormat', options, locale).format(Number(value));
+}
+
+export default t;
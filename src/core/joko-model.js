@@ -0,0 +1,129 @@
+/**
+ * JokoUI Model Binding Module
+ * Two-way binding between form controls and state via data-joko-model
+ *
+ * Syntax: data-joko-model[.number][.trim][.lazy]="path.to.field"
+ */
+
+const MODEL_PREFIX = 'data-joko-model';
+
+/**
+ * Find the model binding declared on an element
+ * @param {Element} el - Form control
+ * @returns {{path: string, modifiers: Array<string>}|null} Binding, or null if the element is not bound
+ */
+export function getModelBinding(el) {
+    if (!el || el.nodeType !== 1 || !el.attributes) {
+        return null;
+    }
+
+    for (const { name, value } of Array.from(el.attributes)) {
+        if (name === MODEL_PREFIX || name.startsWith(`${MODEL_PREFIX}.`)) {
+            return {
+                path: value.trim(),
+                modifiers: name.split('.').slice(1)
+            };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Read the value a form control should write into state
+ * @param {Element} el - Form control
+ * @param {*} current - Current state value (used by checkbox arrays)
+ * @param {Array<string>} modifiers - Binding modifiers
+ * @returns {*} Value to store
+ */
+export function readModelValue(el, current, modifiers = []) {
+    const type = (el.type || '').toLowerCase();
+
+    if (type === 'checkbox') {
+        // A checkbox bound to an array toggles its own value in that array
+        if (Array.isArray(current)) {
+            const value = castValue(el.value, modifiers);
+            const others = current.filter(item => String(item) !== String(value));
+            return el.checked ? [...others, value] : others;
+        }
+        return el.checked;
+    }
+
+    if (type === 'radio') {
+        return el.checked ? castValue(el.value, modifiers) : current;
+    }
+
+    if (el.tagName === 'SELECT' && el.multiple) {
+        return Array.from(el.selectedOptions).map(option => castValue(option.value, modifiers));
+    }
+
+    return castValue(el.value, modifiers);
+}
+
+/**
+ * Reflect a state value onto a form control without clobbering what the
+ * user is typing (the caret stays put when the value is already in sync)
+ * @param {Element} el - Form control
+ * @param {*} value - Current state value
+ * @param {Array<string>} modifiers - Binding modifiers
+ */
+export function writeModelValue(el, value, modifiers = []) {
+    const type = (el.type || '').toLowerCase();
+
+    if (type === 'checkbox') {
+        el.checked = Array.isArray(value)
+            ? value.some(item => String(item) === el.value)
+            : Boolean(value);
+        return;
+    }
+
+    if (type === 'radio') {
+        el.checked = value !== null && value !== undefined && String(value) === el.value;
+        return;
+    }
+
+    if (el.tagName === 'SELECT' && el.multiple) {
+        const selected = (Array.isArray(value) ? value : []).map(String);
+        Array.from(el.options).forEach(option => {
+            option.selected = selected.includes(option.value);
+        });
+        return;
+    }
+
+    const text = value === null || value === undefined ? '' : String(value);
+
+    if (el.value === text) {
+        return;
+    }
+
+    // "1." with .number or "a " with .trim already matches state, keep the raw input
+    if (el.ownerDocument.activeElement === el && castValue(el.value, modifiers) === value) {
+        return;
+    }
+
+    el.value = text;
+}
+
+/**
+ * Apply .number and .trim modifiers to a raw control value
+ * @private
+ * @param {string} raw - Value from the control
+ * @param {Array<string>} modifiers - Binding modifiers
+ * @returns {*} Cast value
+ */
+function castValue(raw, modifiers) {
+    let value = raw;
+
+    if (modifiers.includes('trim') && typeof value === 'string') {
+        value = value.trim();
+    }
+
+    if (modifiers.includes('number') && value !== '') {
+        const number = Number(value);
+        if (!Number.isNaN(number)) {
+            value = number;
+        }
+    }
+
+    return value;
+}
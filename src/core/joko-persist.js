@@ -0,0 +1,449 @@
+/**
+ * JokoUI Persist Module
+ * Saves selected paths of reactive state (component, store or plain
+ * createReactiveState) to localStorage, sessionStorage or IndexedDB,
+ * migrates old snapshots and keeps open tabs in sync.
+ */
+
+import { subscribeState, isReactive, isApplyingSnapshot, getPath, setPath, pathsOverlap } from './joko-state.js';
+import { warn } from './joko-config.js';
+
+/**
+ * Storage adapter over localStorage or sessionStorage
+ */
+export class WebStorageAdapter {
+    /**
+     * @param {Storage} storage - window.localStorage or window.sessionStorage
+     * @param {string} prefix - Prefix for storage keys
+     */
+    constructor(storage, prefix = 'joko:persist:') {
+        this.storage = storage;
+        this.prefix = prefix;
+    }
+
+    get(key) {
+        const raw = this.storage.getItem(this.prefix + key);
+        return raw ? JSON.parse(raw) : null;
+    }
+
+    set(key, value) {
+        this.storage.setItem(this.prefix + key, JSON.stringify(value));
+    }
+
+    delete(key) {
+        this.storage.removeItem(this.prefix + key);
+    }
+
+    /**
+     * Listen for writes made by other tabs (the `storage` event)
+     * @param {string} key - Persist key
+     * @param {Function} callback - Called with the new value (null when removed)
+     * @returns {Function} Function that removes the listener
+     */
+    watch(key, callback) {
+        const onStorage = event => {
+            if (event.storageArea !== this.storage || event.key !== this.prefix + key) return;
+
+            try {
+                callback(event.newValue ? JSON.parse(event.newValue) : null);
+            } catch {
+                // Another tab wrote something unreadable; ignore it
+            }
+        };
+
+        window.addEventListener('storage', onStorage);
+        return () => window.removeEventListener('storage', onStorage);
+    }
+}
+
+/**
+ * Storage adapter over IndexedDB, for larger snapshots
+ * All methods are asynchronous. Cross-tab sync goes through BroadcastChannel.
+ */
+export class IndexedDBAdapter {
+    /**
+     * @param {Object} options - Options
+     * @param {string} options.database - Database name (default 'joko')
+     * @param {string} options.store - Object store name (default 'persist')
+     */
+    constructor(options = {}) {
+        this.database = options.database || 'joko';
+        this.storeName = options.store || 'persist';
+        this._db = null;
+    }
+
+    get(key) {
+        return this._request('readonly', store => store.get(key)).then(value => value ?? null);
+    }
+
+    set(key, value) {
+        return this._request('readwrite', store => store.put(value, key));
+    }
+
+    delete(key) {
+        return this._request('readwrite', store => store.delete(key));
+    }
+
+    /**
+     * Open the database once
+     * @private
+     * @returns {Promise<IDBDatabase>}
+     */
+    _open() {
+        if (!this._db) {
+            this._db = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.database, 1);
+                request.onupgradeneeded = () => request.result.createObjectStore(this.storeName);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this._db;
+    }
+
+    /**
+     * Run one request in its own transaction
+     * @private
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} run - (objectStore) => IDBRequest
+     * @returns {Promise<*>} Request result
+     */
+    async _request(mode, run) {
+        const db = await this._open();
+
+        return new Promise((resolve, reject) => {
+            const request = run(db.transaction(this.storeName, mode).objectStore(this.storeName));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+}
+
+/**
+ * Persist reactive state across reloads
+ * Saved data is JSON: Maps, Sets, Dates and class instances don't survive.
+ * Call it right after setState() so the first render already shows the
+ * restored values. On a component, saving and syncing pause while it is
+ * unmounted and resume when it is mounted again.
+ * @example
+ * // In a component constructor
+ * this.setState({ count: 0, draft: { title: '' } });
+ * persist(this, { key: 'editor', paths: ['draft'], version: 2, migrations: { 2: old => ({ draft: { title: old.title } }) } });
+ *
+ * // A store, saved to IndexedDB
+ * persist(cartStore, { key: 'cart', storage: 'indexeddb' });
+ * @param {JokoComponent|JokoStore|Proxy} target - Component, store, or reactive state
+ * @param {Object} options - Options
+ * @param {string} options.key - Storage key (required)
+ * @param {Array<string>} options.paths - State paths to save (default: the whole state)
+ * @param {string|Object} options.storage - 'local' (default), 'session', 'indexeddb', or an adapter { get, set, delete, watch? }
+ * @param {number} options.debounce - Wait this many ms after the last change before writing (default 100)
+ * @param {number} options.version - Schema version of the saved data (default 1)
+ * @param {Object} options.migrations - { [version]: (data) => data } upgrading data from version - 1
+ * @param {boolean|string} options.sync - Sync other tabs: true (default except for 'session'), 'broadcast' or false
+ * @param {Function} options.onError - Called with storage or migration errors (default: dev warning)
+ * @returns {Object} { ready, flush, clear, stop } - `ready` resolves once saved data is applied
+ */
+export function persist(target, options = {}) {
+    if (!options.key) {
+        throw new Error('JokoUI: persist() needs a key');
+    }
+
+    const getState = resolveState(target);
+    const key = options.key;
+    const paths = options.paths || null;
+    const version = options.version || 1;
+    const migrations = options.migrations || {};
+    const delay = options.debounce ?? 100;
+    const onError = options.onError || (error => warn(`persist("${key}"): ${error.message}`));
+    const adapter = resolveAdapter(options.storage || 'local');
+
+    // Nothing to persist to (server rendering, storage disabled)
+    if (!adapter) {
+        const noop = () => Promise.resolve();
+        return { ready: Promise.resolve(), flush: noop, clear: noop, stop() {} };
+    }
+
+    let active = true;
+    let running = false;
+    let started = false;
+    let applying = false;
+    let timer = null;
+    let channel = null;
+    let session = 0;
+    const cleanups = [];
+
+    /**
+     * Write incoming data into state without saving it again
+     * @param {Object|null} snapshot - { version, state }
+     */
+    const apply = snapshot => {
+        const data = upgrade(snapshot, version, migrations, onError);
+        if (!data || !active) return;
+
+        applying = true;
+        try {
+            const state = getState();
+            for (const path of paths || Object.keys(data)) {
+                const value = getPath(data, path);
+                if (value !== undefined) {
+                    setPath(state, path, value);
+                }
+            }
+        } finally {
+            applying = false;
+        }
+    };
+
+    /**
+     * Read the saved data into state
+     * Synchronous for web storage, so the first render has the data.
+     * @returns {Promise<void>} Resolves once it is applied
+     */
+    const load = () => {
+        try {
+            const saved = adapter.get(key);
+            return saved && typeof saved.then === 'function'
+                ? saved.then(apply, onError)
+                : Promise.resolve(apply(saved));
+        } catch (error) {
+            onError(error);
+            return Promise.resolve();
+        }
+    };
+
+    /**
+     * Save the persisted paths now
+     * @returns {Promise<void>}
+     */
+    const write = async () => {
+        clearTimeout(timer);
+        timer = null;
+
+        // The channel may close (unmount) while the write is in flight
+        const broadcast = channel;
+        const snapshot = { version, state: pick(getState(), paths) };
+        try {
+            await adapter.set(key, snapshot);
+            if (broadcast) {
+                broadcast.postMessage(snapshot);
+            }
+        } catch (error) {
+            onError(error);
+        }
+    };
+
+    const listener = change => {
+        // Devtools time travel shows past state without saving it
+        if (!running || applying || isApplyingSnapshot()) return;
+        if (paths && !paths.some(path => pathsOverlap(path, change.path))) return;
+
+        clearTimeout(timer);
+        timer = setTimeout(write, delay);
+    };
+
+    // Cross-tab sync: the adapter's own events (localStorage), or a BroadcastChannel
+    const sync = options.sync ?? options.storage !== 'session';
+
+    /**
+     * Start saving and syncing
+     * @param {Promise<void>} loaded - Resolves once saved data is in
+     */
+    const start = loaded => {
+        if (running || !active) return;
+        running = true;
+
+        const current = ++session;
+
+        if (sync === 'broadcast' || (sync && typeof adapter.watch !== 'function')) {
+            if (typeof BroadcastChannel !== 'undefined') {
+                const opened = new BroadcastChannel(`joko-persist:${key}`);
+                // A channel never receives its own messages, so there is no echo
+                opened.onmessage = event => apply(event.data);
+                channel = opened;
+                cleanups.push(() => opened.close());
+            }
+        } else if (sync) {
+            cleanups.push(adapter.watch(key, apply));
+        }
+
+        // Start saving once saved data is in, so an early write can't replace it unread
+        loaded.then(() => {
+            if (running && session === current) {
+                cleanups.push(subscribeState(getState(), listener));
+            }
+        });
+
+        // Don't lose a pending write when the page goes away
+        const onPageHide = () => {
+            if (timer) write();
+        };
+        if (typeof window !== 'undefined') {
+            window.addEventListener('pagehide', onPageHide);
+            cleanups.push(() => window.removeEventListener('pagehide', onPageHide));
+        }
+    };
+
+    /**
+     * Stop saving and syncing until the next start(), writing pending changes first
+     */
+    const pause = () => {
+        if (!running) return;
+
+        if (timer) write();
+        running = false;
+        channel = null;
+        cleanups.splice(0).forEach(cleanup => cleanup());
+    };
+
+    const ready = load();
+
+    const controller = {
+        ready,
+
+        /**
+         * Write pending changes immediately
+         * @returns {Promise<void>}
+         */
+        flush() {
+            return timer ? write() : Promise.resolve();
+        },
+
+        /**
+         * Delete the saved data (state is left as it is)
+         * @returns {Promise<void>}
+         */
+        async clear() {
+            clearTimeout(timer);
+            timer = null;
+            try {
+                await adapter.delete(key);
+            } catch (error) {
+                onError(error);
+            }
+        },
+
+        /**
+         * Stop saving and syncing for good, writing pending changes first
+         */
+        stop() {
+            pause();
+            active = false;
+        }
+    };
+
+    // On a component, save only while it is mounted; catch up on changes from other tabs when it comes back
+    if (typeof target.addEffect === 'function') {
+        target.addEffect(() => {
+            start(started ? load() : ready);
+            started = true;
+            return pause;
+        });
+    } else {
+        start(ready);
+    }
+
+    return controller;
+}
+
+/**
+ * Getter for the reactive state of a component, store or state proxy
+ * Read on every use, since components may replace their state with setState().
+ * @private
+ * @param {JokoComponent|JokoStore|Proxy} target - Persist target
+ * @returns {Function} () => reactive state
+ */
+function resolveState(target) {
+    if (isReactive(target)) {
+        return () => target;
+    }
+    if (target && isReactive(target.state)) {
+        return () => target.state;
+    }
+    throw new Error('JokoUI: persist() expects a component, a store or reactive state');
+}
+
+/**
+ * Pick the storage adapter for an option value
+ * @private
+ * @param {string|Object} storage - 'local', 'session', 'indexeddb' or an adapter
+ * @returns {Object|null} Adapter, or null when the storage is unavailable
+ */
+function resolveAdapter(storage) {
+    if (typeof storage === 'object') {
+        return storage;
+    }
+    if (typeof window === 'undefined') {
+        return null;
+    }
+
+    try {
+        if (storage === 'indexeddb') {
+            return typeof indexedDB !== 'undefined' ? new IndexedDBAdapter() : null;
+        }
+        return new WebStorageAdapter(storage === 'session' ? window.sessionStorage : window.localStorage);
+    } catch {
+        // Accessing storage throws when cookies are blocked
+        return null;
+    }
+}
+
+/**
+ * Copy the persisted paths out of state as plain JSON data
+ * @private
+ * @param {Proxy} state - Reactive state
+ * @param {Array<string>|null} paths - Paths, or null for everything
+ * @returns {Object} Nested data with only the selected paths
+ */
+function pick(state, paths) {
+    const copy = value => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+    if (!paths) {
+        return copy(state);
+    }
+
+    const data = {};
+    for (const path of paths) {
+        const value = getPath(state, path);
+        if (value !== undefined) {
+            setPath(data, path, copy(value));
+        }
+    }
+    return data;
+}
+
+/**
+ * Bring a saved snapshot up to the current version
+ * @private
+ * @param {Object|null} snapshot - { version, state }
+ * @param {number} version - Current version
+ * @param {Object} migrations - { [version]: (data) => data }
+ * @param {Function} onError - Error callback
+ * @returns {Object|null} Data to apply, or null to ignore the snapshot
+ */
+function upgrade(snapshot, version, migrations, onError) {
+    if (!snapshot || typeof snapshot !== 'object' || !snapshot.state) {
+        return null;
+    }
+
+    const from = snapshot.version || 1;
+    if (from > version) {
+        onError(new Error(`saved data has version ${from}, newer than ${version}; ignoring it`));
+        return null;
+    }
+
+    let data = snapshot.state;
+    try {
+        for (let next = from + 1; next <= version; next++) {
+            if (typeof migrations[next] === 'function') {
+                data = migrations[next](data);
+            }
+        }
+    } catch (error) {
+        onError(error);
+        return null;
+    }
+    return data;
+}
+
+export default persist;
@@ -0,0 +1,216 @@
+/**
+ * JokoUI Resource Module
+ * Stale-while-revalidate data fetching for components
+ */
+
+import { createReactiveState } from './joko-state.js';
+import { scheduleUpdate } from './joko-scheduler.js';
+import { prabogoClient } from './prabogo-connect.js';
+
+// Shared per-key results: key -> { data, error, updatedAt, promise, controller, resources }
+const resourceCache = new Map();
+
+/**
+ * Fetch data for a component and keep it fresh
+ * Returns a reactive object; reading it in render() re-renders the
+ * component whenever it changes. Cached data for the same key is shown
+ * immediately while a fresh copy is fetched in the background. A key
+ * function is re-read after every render, so `this.props.userId`
+ * changing loads the new user.
+ * @example
+ * this.profile = useResource(this, () => `/users/${this.props.userId}`);
+ * // render(): const { data, error, loading, validating } = this.profile;
+ * @param {JokoComponent} component - Component that renders the data
+ * @param {string|Function} key - Endpoint (or function returning one); also the cache key
+ * @param {Object} options - Options
+ * @param {Function} options.fetcher - (key, { signal }) => Promise<data>, defaults to client.get(key).data
+ * @param {PrabogoClient} options.client - Client used by the default fetcher
+ * @param {boolean} options.immediate - Fetch right away (default true)
+ * @param {boolean} options.revalidateOnFocus - Refetch when the window regains focus (default true)
+ * @param {boolean} options.revalidateOnReconnect - Refetch when the browser comes back online (default true)
+ * @param {number} options.dedupeInterval - Skip focus/reconnect refetches within this many ms of the last one (default 2000)
+ * @returns {Proxy} Reactive { data, error, loading, validating, updatedAt, refetch(), mutate(data) }
+ */
+export function useResource(component, key, options = {}) {
+    const {
+        client = prabogoClient,
+        fetcher = (endpoint, { signal }) => client.get(endpoint, {}, { signal }).then(response => response.data),
+        immediate = true,
+        revalidateOnFocus = true,
+        revalidateOnReconnect = true,
+        dedupeInterval = 2000
+    } = options;
+
+    const resolveKey = () => (typeof key === 'function' ? key() : key);
+    const initial = resourceCache.get(resolveKey());
+
+    const state = createReactiveState({
+        data: initial ? initial.data : null,
+        error: initial ? initial.error : null,
+        loading: false,
+        validating: false,
+        updatedAt: initial ? initial.updatedAt : null
+    }, () => {
+        if (component._mounted) {
+            scheduleUpdate(component);
+        }
+    }, { owner: component, source: 'resource' });
+
+    // The methods stay off the reactive state, so devtools and persist() only see data
+    const methods = { refetch, mutate, _sync: sync };
+    const resource = new Proxy(state, {
+        get(target, property) {
+            return Object.prototype.hasOwnProperty.call(methods, property) ? methods[property] : target[property];
+        }
+    });
+
+    /**
+     * Fetch (or join the in-flight fetch for) the current key
+     * @returns {Promise<*>} The fetched data
+     */
+    function refetch() {
+        const currentKey = resolveKey();
+        const entry = cacheEntry(currentKey);
+        entry.resources.add(resource);
+
+        if (!entry.promise) {
+            // Kept on the entry: whichever resource started the fetch, the last one to leave aborts it
+            entry.controller = new AbortController();
+            entry.promise = Promise.resolve(fetcher(currentKey, { signal: entry.controller.signal }))
+                .then(data => {
+                    Object.assign(entry, { data, error: null, updatedAt: Date.now() });
+                    return data;
+                }, error => {
+                    // Keep the stale data, surface the error alongside it
+                    Object.assign(entry, { error, updatedAt: Date.now() });
+                    throw error;
+                })
+                .finally(() => {
+                    entry.promise = null;
+                    entry.controller = null;
+                    entry.resources.forEach(item => item._sync(entry));
+                });
+        }
+
+        entry.resources.forEach(item => {
+            item.validating = true;
+            item.loading = item.data === null;
+        });
+
+        return entry.promise.catch(() => state.data);
+    }
+
+    /**
+     * Replace the data locally (e.g. after a mutation), for every
+     * resource sharing this key
+     * @param {*} data - New data (null clears it)
+     */
+    function mutate(data) {
+        const entry = cacheEntry(resolveKey());
+        Object.assign(entry, { data, error: null, updatedAt: data === null ? null : Date.now() });
+        entry.resources.add(resource);
+        entry.resources.forEach(item => item._sync(entry));
+    }
+
+    /**
+     * Copy a cache entry into this resource's reactive state
+     * @private
+     * @param {Object} entry - Cache entry
+     */
+    function sync(entry) {
+        state.data = entry.data;
+        state.error = entry.error;
+        state.updatedAt = entry.updatedAt;
+        state.loading = false;
+        state.validating = false;
+    }
+
+    // Refetch on focus/reconnect, but only for data that was loaded before
+    const revalidate = () => {
+        if (state.updatedAt !== null && Date.now() - state.updatedAt > dedupeInterval) {
+            resource.refetch();
+        }
+    };
+    const onVisibilityChange = () => {
+        if (document.visibilityState === 'visible') revalidate();
+    };
+
+    let activeKey = resolveKey();
+
+    // Listeners and cache updates live from mount to unmount, and follow the key
+    component.addEffect(() => {
+        const currentKey = resolveKey();
+        const entry = cacheEntry(currentKey);
+        entry.resources.add(resource);
+
+        if (currentKey !== activeKey) {
+            // The key changed (e.g. new props): show its cached data, then fetch it
+            const hadData = state.updatedAt !== null;
+            activeKey = currentKey;
+            resource._sync(entry);
+
+            if (immediate || hadData) {
+                resource.refetch();
+            }
+        } else if (!entry.promise && entry.updatedAt !== state.updatedAt) {
+            // Catch up on results shared while this component was unmounted
+            resource._sync(entry);
+        }
+
+        if (typeof window !== 'undefined') {
+            if (revalidateOnFocus) {
+                window.addEventListener('focus', revalidate);
+                document.addEventListener('visibilitychange', onVisibilityChange);
+            }
+            if (revalidateOnReconnect) {
+                window.addEventListener('online', revalidate);
+            }
+        }
+
+        return () => {
+            if (typeof window !== 'undefined') {
+                window.removeEventListener('focus', revalidate);
+                window.removeEventListener('online', revalidate);
+                document.removeEventListener('visibilitychange', onVisibilityChange);
+            }
+
+            entry.resources.delete(resource);
+
+            // Nobody is waiting for this fetch anymore
+            if (entry.resources.size === 0 && entry.controller) {
+                entry.controller.abort();
+            }
+        };
+    }, resolveKey);
+
+    if (immediate) {
+        resource.refetch();
+    }
+
+    return resource;
+}
+
+/**
+ * Drop shared resource data so the next fetch starts from scratch
+ * @param {string} key - Resource key; omit to clear everything
+ */
+export function clearResourceCache(key) {
+    if (key === undefined) {
+        resourceCache.clear();
+    } else {
+        resourceCache.delete(key);
+    }
+}
+
+/**
+ * Get or create the shared cache entry for a key
+ * @private
+ * @param {string} key - Resource key
+ * @returns {Object} Cache entry
+ */
+function cacheEntry(key) {
+    if (!resourceCache.has(key)) {
+        resourceCache.set(key, { data: null, error: null, updatedAt: null, promise: null, controller: null, resources: new Set() });
+    }
+    return resourceCache.get(key);
+}
@@ -0,0 +1,547 @@
+/**
+ * JokoRouter - Client-side router for JokoUI
+ * Maps URL paths to JokoComponent classes, with History API or hash mode,
+ * route params, query strings, nested routes, guards and lazy loading
+ */
+
+import { JokoComponent } from './joko-state.js';
+import { mount, unmount } from './joko-dom.js';
+import { prabogoClient } from './prabogo-connect.js';
+import { warn, reportError } from './joko-config.js';
+
+// Component class per route record, once resolved (records belong to the caller)
+const resolvedComponents = new WeakMap();
+
+/**
+ * Router that renders the component(s) matching the current URL
+ *
+ * Route records:
+ * {
+ *     path: '/users/:id',          // :param, :param? (optional) and * (wildcard)
+ *     component: UserPage,         // class, or () => import('./UserPage.js')
+ *     children: [...],             // nested routes, rendered into [data-joko-view]
+ *     redirect: '/login',          // redirect instead of rendering
+ *     beforeEnter: (to, from) => true,
+ *     meta: { requiresAuth: true }
+ * }
+ */
+export class JokoRouter {
+    /**
+     * Create a new JokoRouter instance
+     * @param {Object} config - Configuration options
+     * @param {Array<Object>} config.routes - Route records
+     * @param {string} config.mode - 'history' (default) or 'hash'
+     * @param {string} config.base - Base path the app is served under (history mode)
+     */
+    constructor(config = {}) {
+        this.mode = config.mode === 'hash' ? 'hash' : 'history';
+        this.base = (config.base || '').replace(/\/$/, '');
+        this.routes = config.routes || [];
+        this.current = null;
+        this.target = null;
+
+        this._matchers = flattenRoutes(this.routes);
+        this._guards = [];
+        this._afterHooks = [];
+        this._views = [];
+        this._navigationId = 0;
+        this._started = false;
+
+        this._onPopState = () => this._navigate(this._currentLocation(), { fromHistory: true });
+        this._onLinkClick = event => this._handleLinkClick(event);
+    }
+
+    /**
+     * Register a global guard, run before every navigation
+     * A guard returns true/undefined to continue, false to cancel, or a
+     * path string / { path, query } object to redirect.
+     * @param {Function} guard - (to, from) => boolean|string|Object|Promise
+     * @returns {Function} Function that removes the guard
+     */
+    beforeEach(guard) {
+        this._guards.push(guard);
+        return () => {
+            this._guards = this._guards.filter(item => item !== guard);
+        };
+    }
+
+    /**
+     * Register a hook run after every successful navigation
+     * @param {Function} hook - (to, from) => void
+     * @returns {Function} Function that removes the hook
+     */
+    afterEach(hook) {
+        this._afterHooks.push(hook);
+        return () => {
+            this._afterHooks = this._afterHooks.filter(item => item !== hook);
+        };
+    }
+
+    /**
+     * Start listening to URL changes and render the current location
+     * @param {string|Element} target - Mount target for the top-level route component
+     * @returns {Promise<Object|null>} The resolved route
+     */
+    start(target = 'app') {
+        this.target = target;
+
+        if (!this._started) {
+            window.addEventListener(this.mode === 'hash' ? 'hashchange' : 'popstate', this._onPopState);
+            document.addEventListener('click', this._onLinkClick);
+            this._started = true;
+        }
+
+        return this._navigate(this._currentLocation(), { replace: true });
+    }
+
+    /**
+     * Stop listening and unmount every rendered route component
+     */
+    stop() {
+        window.removeEventListener(this.mode === 'hash' ? 'hashchange' : 'popstate', this._onPopState);
+        document.removeEventListener('click', this._onLinkClick);
+        this._started = false;
+        this._unmountFrom(0);
+    }
+
+    /**
+     * Navigate to a new location, adding a history entry
+     * @param {string|Object} location - Path string or { path, query, hash }
+     * @returns {Promise<Object|null>} The resolved route, or null if cancelled or failed
+     */
+    push(location) {
+        return this._navigate(toPath(location));
+    }
+
+    /**
+     * Navigate to a new location, replacing the current history entry
+     * @param {string|Object} location - Path string or { path, query, hash }
+     * @returns {Promise<Object|null>} The resolved route, or null if cancelled or failed
+     */
+    replace(location) {
+        return this._navigate(toPath(location), { replace: true });
+    }
+
+    /**
+     * Go back one history entry
+     */
+    back() {
+        window.history.back();
+    }
+
+    /**
+     * Move through the history stack
+     * @param {number} delta - Number of entries (negative goes back)
+     */
+    go(delta) {
+        window.history.go(delta);
+    }
+
+    /**
+     * Build the href for a path in the current mode
+     * @param {string} path - App path, e.g. '/users/1'
+     * @returns {string} Value for an <a href>
+     */
+    href(path) {
+        return this.mode === 'hash' ? `#${path}` : `${this.base}${path}`;
+    }
+
+    /**
+     * Match a path against the route table
+     * @param {string} fullPath - Path with optional query string and hash
+     * @returns {Object|null} Route { path, fullPath, params, query, hash, meta, matched }
+     */
+    resolve(fullPath) {
+        const { path, query, hash } = splitPath(fullPath);
+
+        for (const matcher of this._matchers) {
+            const match = matcher.regex.exec(path);
+            if (!match) continue;
+
+            const params = {};
+            matcher.keys.forEach((key, index) => {
+                if (match[index + 1] !== undefined) {
+                    params[key] = decodeURIComponent(match[index + 1]);
+                }
+            });
+
+            return {
+                path,
+                fullPath,
+                params,
+                query,
+                hash,
+                matched: matcher.records,
+                meta: Object.assign({}, ...matcher.records.map(record => record.meta || {}))
+            };
+        }
+
+        return null;
+    }
+
+    /**
+     * Run a navigation, turning a throwing guard or a failed lazy import
+     * into a cancelled navigation
+     * Link clicks and Back/Forward don't wait for the result, so errors
+     * go to the onError hook instead of becoming unhandled rejections.
+     * @private
+     * @param {string} fullPath - Target path
+     * @param {Object} options - { replace, fromHistory, redirects }
+     * @returns {Promise<Object|null>} The resolved route, or null if cancelled or failed
+     */
+    async _navigate(fullPath, options = {}) {
+        const from = this.current;
+
+        try {
+            return await this._runNavigation(fullPath, options);
+        } catch (error) {
+            // Back/Forward already changed the URL; keep it in step with the view still shown
+            if (options.fromHistory && from && this.current === from) {
+                this._writeUrl(from.fullPath, true);
+            }
+
+            reportError(error, { phase: 'navigation', path: fullPath });
+            return null;
+        }
+    }
+
+    /**
+     * Resolve, guard, load and render a navigation
+     * @private
+     * @param {string} fullPath - Target path
+     * @param {Object} options - { replace, fromHistory, redirects }
+     * @returns {Promise<Object|null>} The resolved route, or null if cancelled
+     */
+    async _runNavigation(fullPath, options = {}) {
+        const id = ++this._navigationId;
+        const redirects = options.redirects || 0;
+        const from = this.current;
+        const to = this.resolve(fullPath);
+
+        if (!to) {
+            warn(`No route matches "${fullPath}"`);
+            return null;
+        }
+
+        if (redirects > 10) {
+            warn(`Too many redirects while navigating to "${fullPath}"`);
+            return null;
+        }
+
+        // Record-level redirect
+        const leaf = to.matched[to.matched.length - 1];
+        if (leaf.redirect) {
+            const redirect = typeof leaf.redirect === 'function' ? leaf.redirect(to) : leaf.redirect;
+            return this._navigate(toPath(redirect), { ...options, replace: true, redirects: redirects + 1 });
+        }
+
+        // Global guards, then per-route guards from outer to inner
+        const guards = [
+            ...this._guards,
+            ...to.matched.map(record => record.beforeEnter).filter(Boolean)
+        ];
+
+        for (const guard of guards) {
+            const result = await guard(to, from);
+
+            // A newer navigation started while this guard was running
+            if (id !== this._navigationId) return null;
+
+            if (result === false) {
+                // Put the URL back if the browser already changed it
+                if (options.fromHistory && from) this._writeUrl(from.fullPath, true);
+                return null;
+            }
+
+            if (typeof result === 'string' || (result && typeof result === 'object')) {
+                return this._navigate(toPath(result), { replace: true, redirects: redirects + 1 });
+            }
+        }
+
+        // Lazy-load route components
+        const components = await Promise.all(to.matched.map(record => resolveComponent(record)));
+        if (id !== this._navigationId) return null;
+
+        if (!options.fromHistory) {
+            this._writeUrl(fullPath, options.replace);
+        }
+
+        this.current = to;
+        this._renderViews(to, components);
+
+        this._afterHooks.forEach(hook => hook(to, from));
+
+        return to;
+    }
+
+    /**
+     * Mount the matched components, reusing views that did not change
+     * @private
+     * @param {Object} to - Resolved route
+     * @param {Array<Function>} components - Component classes per matched record
+     */
+    _renderViews(to, components) {
+        const props = { route: to, router: this };
+
+        for (let depth = 0; depth < to.matched.length; depth++) {
+            const record = to.matched[depth];
+            const existing = this._views[depth];
+
+            // Same record at this depth: keep the instance, just pass the new route
+            if (existing && existing.record === record) {
+                existing.component._receiveProps(props, {});
+                continue;
+            }
+
+            this._unmountFrom(depth);
+
+            const target = depth === 0 ? this.target : this._outlet(this._views[depth - 1].component);
+            if (!target) {
+                warn(`Route "${record.path}" is nested but its parent renders no [data-joko-view] outlet`);
+                break;
+            }
+
+            const ComponentClass = components[depth];
+            const component = new ComponentClass(props);
+            component._receiveProps(props, {});
+            mount(component, target);
+
+            this._views.push({ record, component });
+        }
+
+        this._unmountFrom(to.matched.length);
+    }
+
+    /**
+     * Unmount views from a depth downwards (deepest first)
+     * @private
+     * @param {number} depth - First depth to remove
+     */
+    _unmountFrom(depth) {
+        while (this._views.length > depth) {
+            const { component } = this._views.pop();
+            unmount(component);
+        }
+    }
+
+    /**
+     * Find the nested-route outlet inside a route component
+     * @private
+     * @param {JokoComponent} component - Parent route component
+     * @returns {Element|null} The [data-joko-view] element
+     */
+    _outlet(component) {
+        if (!component._element) return null;
+        if (component._element.hasAttribute('data-joko-view')) return component._element;
+
+        return Array.from(component._element.querySelectorAll('[data-joko-view]'))
+            .find(el => component._ownsElement(el)) || null;
+    }
+
+    /**
+     * Read the app path from the browser location
+     * @private
+     * @returns {string} Path with query string and hash
+     */
+    _currentLocation() {
+        if (this.mode === 'hash') {
+            return window.location.hash.slice(1) || '/';
+        }
+
+        let path = window.location.pathname;
+        if (this.base && path.startsWith(this.base)) {
+            path = path.slice(this.base.length);
+        }
+
+        return `${path || '/'}${window.location.search}${window.location.hash}`;
+    }
+
+    /**
+     * Write the app path to the browser location
+     * @private
+     * @param {string} fullPath - Path to show
+     * @param {boolean} replace - Replace instead of push
+     */
+    _writeUrl(fullPath, replace) {
+        const url = this.href(fullPath);
+
+        if (url === (this.mode === 'hash' ? window.location.hash : window.location.pathname + window.location.search + window.location.hash)) {
+            return;
+        }
+
+        if (replace) {
+            window.history.replaceState(null, '', url);
+        } else {
+            window.history.pushState(null, '', url);
+        }
+    }
+
+    /**
+     * Intercept clicks on data-joko-link elements
+     * @private
+     * @param {MouseEvent} event - Click event from the document
+     */
+    _handleLinkClick(event) {
+        if (event.defaultPrevented || event.button !== 0) return;
+        if (event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) return;
+
+        const link = event.target.closest && event.target.closest('[data-joko-link]');
+        if (!link || link.getAttribute('target') === '_blank') return;
+
+        let path = link.getAttribute('data-joko-link') || link.getAttribute('href');
+        if (!path) return;
+
+        if (path.startsWith('#')) {
+            path = path.slice(1);
+        } else if (this.base && path.startsWith(this.base)) {
+            path = path.slice(this.base.length);
+        }
+
+        event.preventDefault();
+        this.push(path);
+    }
+}
+
+/**
+ * Guard that redirects to a login page when a route with
+ * `meta.requiresAuth` is visited without an auth token on the client
+ * @param {Object} options - Guard options
+ * @param {PrabogoClient} options.client - Client whose Authorization header is checked
+ * @param {string} options.redirect - Path of the login page
+ * @returns {Function} Guard for router.beforeEach()
+ */
+export function authGuard({ client = prabogoClient, redirect = '/login' } = {}) {
+    return to => {
+        if (to.meta.requiresAuth && !client.defaultHeaders['Authorization']) {
+            return { path: redirect, query: { redirect: to.fullPath } };
+        }
+        return true;
+    };
+}
+
+/**
+ * Flatten nested route records into an ordered list of matchers
+ * Children come before their parent so the most specific route wins.
+ * @private
+ * @param {Array<Object>} routes - Route records
+ * @param {string} parentPath - Full path of the parent record
+ * @param {Array<Object>} parents - Ancestor records
+ * @returns {Array<Object>} Matchers { regex, keys, records }
+ */
+function flattenRoutes(routes, parentPath = '', parents = []) {
+    const matchers = [];
+
+    for (const record of routes) {
+        const fullPath = record.path.startsWith('/')
+            ? record.path
+            : `${parentPath.replace(/\/$/, '')}/${record.path}`;
+        const records = [...parents, record];
+
+        if (record.children) {
+            matchers.push(...flattenRoutes(record.children, fullPath, records));
+        }
+
+        matchers.push({ ...compilePath(fullPath), records });
+    }
+
+    return matchers;
+}
+
+/**
+ * Compile a route path into a regular expression
+ * @private
+ * @param {string} path - Route path, e.g. '/users/:id/:tab?'
+ * @returns {{regex: RegExp, keys: Array<string>}} Compiled matcher
+ */
+function compilePath(path) {
+    const keys = [];
+    const normalized = path.replace(/\/+$/, '') || '/';
+
+    const source = normalized
+        .split('/')
+        .map(segment => {
+            if (segment === '*') {
+                keys.push('pathMatch');
+                return '(?:/(.*))?';
+            }
+
+            const param = /^:(\w+)(\?)?$/.exec(segment);
+            if (param) {
+                keys.push(param[1]);
+                return param[2] ? '(?:/([^/]+))?' : '/([^/]+)';
+            }
+
+            return segment ? `/${segment.replace(/[.+^${}()|[\]\\]/g, '\\$&')}` : '';
+        })
+        .join('');
+
+    return { regex: new RegExp(`^${source || '/'}/?$`), keys };
+}
+
+/**
+ * Split a full path into path, query object and hash
+ * @private
+ * @param {string} fullPath - e.g. '/users?page=2#top'
+ * @returns {{path: string, query: Object, hash: string}} Parts
+ */
+function splitPath(fullPath) {
+    const [beforeHash, hash = ''] = fullPath.split('#');
+    const [path, search = ''] = beforeHash.split('?');
+    const query = {};
+
+    for (const [key, value] of new URLSearchParams(search)) {
+        if (key in query) {
+            query[key] = [].concat(query[key], value);
+        } else {
+            query[key] = value;
+        }
+    }
+
+    return { path: path || '/', query, hash: hash ? `#${hash}` : '' };
+}
+
+/**
+ * Convert a location (string or object) to a path string
+ * @private
+ * @param {string|Object} location - Path or { path, query, hash }
+ * @returns {string} Full path
+ */
+function toPath(location) {
+    if (typeof location === 'string') {
+        return location;
+    }
+
+    const search = new URLSearchParams();
+    for (const [key, value] of Object.entries(location.query || {})) {
+        [].concat(value).forEach(item => search.append(key, item));
+    }
+
+    const query = search.toString();
+    return `${location.path}${query ? `?${query}` : ''}${location.hash || ''}`;
+}
+
+/**
+ * Get the component class of a route record, loading it if lazy
+ * @private
+ * @param {Object} record - Route record
+ * @returns {Promise<Function>} Component class
+ */
+async function resolveComponent(record) {
+    if (!resolvedComponents.has(record)) {
+        const { component } = record;
+
+        if (component && component.prototype instanceof JokoComponent) {
+            resolvedComponents.set(record, component);
+        } else if (typeof component === 'function') {
+            // Lazy route: () => import('./pages/Page.js')
+            const loaded = await component();
+            resolvedComponents.set(record, loaded && loaded.default ? loaded.default : loaded);
+        } else {
+            throw new Error(`JokoUI: Route "${record.path}" has no component`);
+        }
+    }
+
+    return resolvedComponents.get(record);
+}
+
+export default JokoRouter;
@@ -0,0 +1,125 @@
+/**
+ * JokoUI Scheduler Module
+ * Coalesces component re-renders into a single flush per microtask
+ */
+
+import { reportError } from './joko-config.js';
+
+// Components waiting for a re-render (Set keeps each one only once)
+const queue = new Set();
+
+// Promise for the currently scheduled flush, if any
+let pending = null;
+
+let flushing = false;
+let batchDepth = 0;
+
+// Guard against components that keep re-scheduling themselves forever
+const MAX_FLUSH_ROUNDS = 100;
+
+/**
+ * Queue a component for re-render on the next microtask
+ * @param {JokoComponent} component - Component whose state changed
+ */
+export function scheduleUpdate(component) {
+    queue.add(component);
+
+    if (!pending) {
+        pending = new Promise(resolve => {
+            queueMicrotask(() => {
+                try {
+                    flushUpdates();
+                } finally {
+                    // nextTick() awaiters must never hang
+                    resolve();
+                }
+            });
+        });
+    }
+}
+
+/**
+ * Synchronously re-render every queued component
+ * Updates scheduled while flushing are picked up in the same flush.
+ * @returns {Promise<void>} Resolves once the DOM has settled
+ */
+export function flushUpdates() {
+    if (flushing || batchDepth > 0) {
+        return nextTick();
+    }
+
+    flushing = true;
+    pending = null;
+
+    try {
+        let rounds = 0;
+
+        while (queue.size > 0) {
+            if (++rounds > MAX_FLUSH_ROUNDS) {
+                queue.clear();
+                reportError(new Error('Maximum update depth exceeded, a component keeps changing state during render'), { phase: 'update' });
+                break;
+            }
+
+            // Parents first, so children render once with their new props
+            const components = Array.from(queue).sort((a, b) => componentDepth(a) - componentDepth(b));
+            queue.clear();
+
+            for (const component of components) {
+                if (!component._mounted) continue;
+
+                // One failing update must not drop the rest of the batch
+                try {
+                    component._update();
+                } catch (error) {
+                    reportError(error, { phase: 'update', component });
+                }
+            }
+        }
+    } finally {
+        flushing = false;
+    }
+
+    return Promise.resolve();
+}
+
+/**
+ * Wait until all pending re-renders have been flushed to the DOM
+ * @returns {Promise<void>} Resolves after the next flush
+ */
+export function nextTick() {
+    return pending || Promise.resolve();
+}
+
+/**
+ * Run a function with re-renders deferred until it returns, then flush
+ * synchronously so the DOM reflects every change made inside it
+ * @param {Function} fn - Function that mutates state
+ * @returns {*} Whatever fn returns
+ */
+export function batch(fn) {
+    batchDepth++;
+
+    try {
+        return fn();
+    } finally {
+        batchDepth--;
+
+        if (batchDepth === 0) {
+            flushUpdates();
+        }
+    }
+}
+
+/**
+ * Count how many parents a component has
+ * @param {JokoComponent} component - Component to measure
+ * @returns {number} Nesting depth (0 for a root component)
+ */
+export function componentDepth(component) {
+    let level = 0;
+    for (let parent = component._parent; parent; parent = parent._parent) {
+        level++;
+    }
+    return level;
+}
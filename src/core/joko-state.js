@@ -3,25 +3,300 @@
  * Provides reactive state using ES6 Proxy
  */
 
+import { htmlToElement, patch, mount, unmount, renderToString, isVNode } from './joko-dom.js';
+import { scheduleUpdate, nextTick, componentDepth } from './joko-scheduler.js';
+import { escapeHtml, toHtmlString, unsafeHTML, isSafeHTML } from './joko-html.js';
+import {
+    parseEventAttribute,
+    parseHandler,
+    matchesModifiers,
+    extractEventTypes,
+    markOwner,
+    NON_BUBBLING_EVENTS,
+    OWNER_ATTRIBUTE,
+    EVENT_ARG
+} from './joko-events.js';
+import { warn, reportError, devtoolsEnabled, notifyDevtools } from './joko-config.js';
+import { getModelBinding, readModelValue, writeModelValue } from './joko-model.js';
+import { validateValue } from './joko-validation.js';
+import { scopeMarkup, scopeFragment } from './joko-styles.js';
+
+// Elements whose content belongs to another component (child placeholders, router outlets)
+const BOUNDARY_SELECTOR = '[data-joko-child], [data-joko-view]';
+
+// Symbol used to reach the raw object behind a reactive proxy
+const RAW = Symbol('joko.raw');
+
+// Symbol used to reach the per-root context (listeners, root proxy)
+const CONTEXT = Symbol('joko.context');
+
+// Errors already routed to a boundary, with whether one handled them
+const capturedErrors = new WeakMap();
+
+// Collection methods that mutate a Map or Set
+const COLLECTION_MUTATORS = ['set', 'add', 'delete', 'clear'];
+
+// Path segments for object keys of Maps and Sets, which have no useful string form
+const objectKeySegments = new WeakMap();
+let lastObjectKey = 0;
+
+// Dependency collector active while trackDependencies() runs
+let activeTracker = null;
+
+// Handler running right now (e.g. "CounterCard.increment"), reported with state changes
+let activeHandler = null;
+
+// True while devtools time travel writes a recorded change back into state
+let applyingSnapshot = false;
+
 /**
  * Creates a reactive state object that triggers updates on changes
+ * Plain objects, arrays, Maps and Sets are reactive at any depth. Every
+ * change is reported with the full dotted path (e.g. `user.company.name`).
  * @param {Object} initialState - The initial state object
  * @param {Function} onChangeCallback - Callback function to invoke when state changes
+ * @param {Object} options - Options
+ * @param {Object} options.owner - Component or store holding the state, shown in devtools
+ * @param {string} options.source - Which of the owner's states this is, e.g. 'errors' (default 'state')
  * @returns {Proxy} A reactive proxy object
  */
-export function createReactiveState(initialState, onChangeCallback) {
-    const handler = {
+export function createReactiveState(initialState, onChangeCallback, options = {}) {
+    const context = {
+        onChange: onChangeCallback,
+        listeners: new Set(),
+        root: null,
+        owner: options.owner || null,
+        source: options.source || 'state',
+        // target -> (path -> proxy), so repeated reads return the same proxy
+        proxies: new WeakMap()
+    };
+    
+    context.root = reactive({ ...initialState }, [], context);
+    return context.root;
+}
+
+/**
+ * Listen to every change of a reactive state object, in addition to the
+ * callback it was created with
+ * @param {Proxy} state - Root proxy returned by createReactiveState
+ * @param {Function} listener - Called with the change details
+ * @returns {Function} Function that removes the listener
+ */
+export function subscribeState(state, listener) {
+    const context = state && state[CONTEXT];
+    
+    if (!context) {
+        throw new Error('JokoUI: subscribeState() expects a reactive state object');
+    }
+    
+    context.listeners.add(listener);
+    return () => context.listeners.delete(listener);
+}
+
+/**
+ * Run a function and record which reactive state paths it reads
+ * @param {Function} fn - Function to run
+ * @returns {{value: *, deps: Array<{root: Proxy, path: string}>}} Result and dependencies
+ */
+export function trackDependencies(fn) {
+    const previous = activeTracker;
+    const deps = [];
+    activeTracker = deps;
+    
+    try {
+        return { value: fn(), deps };
+    } finally {
+        activeTracker = previous;
+    }
+}
+
+/**
+ * Add already-known dependencies to the running trackDependencies() call
+ * Used by cached values (e.g. memoized getters) that skip re-reading state.
+ * @param {Array<{root: Proxy, path: string}>} deps - Dependencies to record
+ */
+export function recordDependencies(deps) {
+    if (activeTracker) {
+        activeTracker.push(...deps);
+    }
+}
+
+/**
+ * Check whether a change at one path can affect a value read at another
+ * @param {string} a - Dotted path
+ * @param {string} b - Dotted path
+ * @returns {boolean} True if the paths are equal or one contains the other
+ */
+export function pathsOverlap(a, b) {
+    return a === b || a === '' || b === '' || a.startsWith(`${b}.`) || b.startsWith(`${a}.`);
+}
+
+/**
+ * Check whether a change affects any of the given dependencies
+ * @param {Array<{root: Proxy, path: string}>} deps - Recorded dependencies
+ * @param {Object} change - Change details from createReactiveState
+ * @returns {boolean} True if one of the dependencies is affected
+ */
+export function dependsOn(deps, change) {
+    return deps.some(dep => dep.root === change.root && pathsOverlap(dep.path, change.path));
+}
+
+/**
+ * Get the raw object behind a reactive proxy
+ * @param {*} value - Reactive proxy or any value
+ * @returns {*} The underlying object, or the value itself
+ */
+export function toRaw(value) {
+    return (value && value[RAW]) || value;
+}
+
+/**
+ * Check whether a value is a reactive proxy
+ * @param {*} value - Value to check
+ * @returns {boolean} True if the value was created by createReactiveState
+ */
+export function isReactive(value) {
+    return Boolean(value && value[RAW]);
+}
+
+/**
+ * Write a recorded state back without side effects (devtools time travel)
+ * Components still re-render, but watchers and persist() don't react.
+ * @param {Function} fn - Function that mutates state
+ * @returns {*} Whatever fn returns
+ */
+export function applySnapshot(fn) {
+    const previous = applyingSnapshot;
+    applyingSnapshot = true;
+    
+    try {
+        return fn();
+    } finally {
+        applyingSnapshot = previous;
+    }
+}
+
+/**
+ * Whether applySnapshot() is running
+ * @returns {boolean}
+ */
+export function isApplyingSnapshot() {
+    return applyingSnapshot;
+}
+
+/**
+ * Check whether a value should be wrapped in a reactive proxy
+ * @private
+ * @param {*} value - Value to check
+ * @returns {boolean} True for plain objects, arrays, Maps and Sets
+ */
+function isObservable(value) {
+    if (!value || typeof value !== 'object') {
+        return false;
+    }
+    
+    if (Array.isArray(value) || value instanceof Map || value instanceof Set) {
+        return true;
+    }
+    
+    const proto = Object.getPrototypeOf(value);
+    return proto === Object.prototype || proto === null;
+}
+
+/**
+ * Get (or create and cache) the proxy for a target at a given path
+ * @private
+ * @param {Object} target - Raw object to observe
+ * @param {Array<string>} path - Path segments from the state root
+ * @param {Object} context - Shared per-root context
+ * @returns {Proxy} Reactive proxy
+ */
+function reactive(target, path, context) {
+    const key = path.join('.');
+    let byPath = context.proxies.get(target);
+    
+    if (!byPath) {
+        byPath = new Map();
+        context.proxies.set(target, byPath);
+    }
+    
+    if (!byPath.has(key)) {
+        const handler = (target instanceof Map || target instanceof Set)
+            ? collectionHandler(path, context)
+            : objectHandler(path, context);
+        
+        byPath.set(key, new Proxy(target, handler));
+    }
+    
+    return byPath.get(key);
+}
+
+/**
+ * Wrap a value read from state if it is observable
+ * @private
+ */
+function wrap(value, path, context) {
+    return isObservable(value) ? reactive(value, path, context) : value;
+}
+
+/**
+ * Report a change to the root callback
+ * @private
+ */
+function notify(context, change) {
+    change.root = context.root;
+    
+    notifyDevtools('state', {
+        owner: context.owner,
+        source: context.source,
+        state: context.root,
+        change,
+        handler: activeHandler
+    });
+    
+    if (typeof context.onChange === 'function') {
+        context.onChange(change);
+    }
+    
+    for (const listener of Array.from(context.listeners)) {
+        listener(change);
+    }
+}
+
+/**
+ * Record a read for the running trackDependencies() call
+ * @private
+ */
+function track(context, path) {
+    if (activeTracker) {
+        activeTracker.push({ root: context.root, path });
+    }
+}
+
+/**
+ * Proxy handler for plain objects and arrays
+ * @private
+ * @param {Array<string>} path - Path segments of the target
+ * @param {Object} context - Shared per-root context
+ * @returns {Object} Proxy handler
+ */
+function objectHandler(path, context) {
+    return {
         set(target, property, value) {
+            value = toRaw(value);
+            
+            const hadKey = Object.prototype.hasOwnProperty.call(target, property);
             const oldValue = target[property];
             
             // Only trigger update if value actually changed
-            if (oldValue !== value) {
+            if (oldValue !== value || !hadKey) {
                 target[property] = value;
                 
-                // Invoke callback with change details
-                if (typeof onChangeCallback === 'function') {
-                    onChangeCallback({
+                if (typeof property !== 'symbol') {
+                    notify(context, {
+                        type: hadKey ? 'set' : 'add',
                         property,
+                        path: [...path, property].join('.'),
                         oldValue,
                         newValue: value,
                         state: target
@@ -32,19 +307,243 @@ export function createReactiveState(initialState, onChangeCallback) {
             return true;
         },
         
+        deleteProperty(target, property) {
+            if (!Object.prototype.hasOwnProperty.call(target, property)) {
+                return true;
+            }
+            
+            const oldValue = target[property];
+            delete target[property];
+            
+            if (typeof property !== 'symbol') {
+                notify(context, {
+                    type: 'delete',
+                    property,
+                    path: [...path, property].join('.'),
+                    oldValue,
+                    newValue: undefined,
+                    state: target
+                });
+            }
+            
+            return true;
+        },
+        
         get(target, property) {
+            if (property === RAW) {
+                return target;
+            }
+            
+            if (property === CONTEXT) {
+                return context;
+            }
+            
             const value = target[property];
             
-            // If the property is an object, make it reactive too (deep reactivity)
-            if (value && typeof value === 'object' && !Array.isArray(value)) {
-                return createReactiveState(value, onChangeCallback);
+            if (typeof property === 'symbol') {
+                return value;
             }
             
-            return value;
+            track(context, [...path, property].join('.'));
+            
+            // Nested objects, arrays and collections are reactive too (deep reactivity)
+            return wrap(value, [...path, property], context);
+        }
+    };
+}
+
+/**
+ * Proxy handler for Map and Set, whose data lives in internal slots and
+ * therefore has to be observed through their methods
+ * @private
+ * @param {Array<string>} path - Path segments of the target
+ * @param {Object} context - Shared per-root context
+ * @returns {Object} Proxy handler
+ */
+function collectionHandler(path, context) {
+    return {
+        get(target, property, receiver) {
+            if (property === RAW) {
+                return target;
+            }
+            
+            if (property === CONTEXT) {
+                return context;
+            }
+            
+            const isMap = target instanceof Map;
+            const childPath = key => [...path, keySegment(toRaw(key))];
+            
+            // Reading anything but a single entry depends on the whole collection
+            if (property !== 'get' && property !== 'has' && !COLLECTION_MUTATORS.includes(property)) {
+                track(context, path.join('.'));
+            }
+            
+            if (property === 'size') {
+                return target.size;
+            }
+            
+            switch (property) {
+                case 'get':
+                    return key => {
+                        track(context, childPath(key).join('.'));
+                        return wrap(target.get(toRaw(key)), childPath(key), context);
+                    };
+                
+                // Added keys are stored raw, so a reactive key must be unwrapped to be found
+                case 'has':
+                    return key => {
+                        track(context, childPath(key).join('.'));
+                        return target.has(toRaw(key));
+                    };
+                
+                case 'forEach':
+                    return (callback, thisArg) => target.forEach((value, key) => {
+                        callback.call(thisArg, wrap(value, childPath(key), context), key, receiver);
+                    });
+                
+                case 'values':
+                case 'entries':
+                case Symbol.iterator:
+                    return function* () {
+                        for (const [key, value] of target.entries()) {
+                            const wrapped = wrap(value, childPath(key), context);
+                            const yieldEntry = property === 'entries' ||
+                                (property === Symbol.iterator && isMap);
+                            yield yieldEntry ? [key, wrapped] : wrapped;
+                        }
+                    };
+            }
+            
+            if (COLLECTION_MUTATORS.includes(property)) {
+                return collectionMutator(target, property, receiver, path, context);
+            }
+            
+            const value = target[property];
+            return typeof value === 'function' ? value.bind(target) : value;
         }
     };
+}
+
+/**
+ * Path segment for a Map key or Set value
+ * Objects get a stable id of their own, so two object keys never share a path.
+ * @private
+ * @param {*} key - Raw key
+ * @returns {string} Segment without dots
+ */
+function keySegment(key) {
+    if (key === null || (typeof key !== 'object' && typeof key !== 'function')) {
+        return String(key);
+    }
+    
+    if (!objectKeySegments.has(key)) {
+        objectKeySegments.set(key, `#${++lastObjectKey}`);
+    }
+    return objectKeySegments.get(key);
+}
+
+/**
+ * Build a change-reporting version of a Map/Set mutator method
+ * @private
+ */
+function collectionMutator(target, method, receiver, path, context) {
+    const isMap = target instanceof Map;
+    
+    const report = (type, key, oldValue, newValue) => notify(context, {
+        type,
+        property: key,
+        path: [...path, keySegment(key)].join('.'),
+        oldValue,
+        newValue,
+        state: target
+    });
+    
+    switch (method) {
+        case 'set':
+            return (key, value) => {
+                key = toRaw(key);
+                value = toRaw(value);
+                const hadKey = target.has(key);
+                const oldValue = target.get(key);
+                target.set(key, value);
+                if (!hadKey || oldValue !== value) {
+                    report(hadKey ? 'set' : 'add', key, oldValue, value);
+                }
+                return receiver;
+            };
+        
+        case 'add':
+            return value => {
+                value = toRaw(value);
+                if (!target.has(value)) {
+                    target.add(value);
+                    report('add', value, undefined, value);
+                }
+                return receiver;
+            };
+        
+        case 'delete':
+            return key => {
+                key = toRaw(key);
+                const oldValue = isMap ? target.get(key) : key;
+                const deleted = target.delete(key);
+                if (deleted) {
+                    report('delete', key, oldValue, undefined);
+                }
+                return deleted;
+            };
+        
+        case 'clear':
+            return () => {
+                if (target.size > 0) {
+                    const oldValue = isMap ? new Map(target) : new Set(target);
+                    target.clear();
+                    notify(context, {
+                        type: 'clear',
+                        property: null,
+                        path: path.join('.'),
+                        oldValue,
+                        newValue: target,
+                        state: target
+                    });
+                }
+            };
+    }
+}
+
+/**
+ * Read a value at a dotted path
+ * @param {Object} obj - Object (or reactive state) to read from
+ * @param {string} path - Dotted path, e.g. "form.address.city"
+ * @returns {*} The value, or undefined if any segment is missing
+ */
+export function getPath(obj, path) {
+    if (!path) return obj;
+    
+    return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), obj);
+}
+
+/**
+ * Write a value at a dotted path, creating missing objects along the way
+ * Writing through reactive state triggers the usual change notification.
+ * @param {Object} obj - Object (or reactive state) to write to
+ * @param {string} path - Dotted path, e.g. "form.address.city"
+ * @param {*} value - Value to store
+ */
+export function setPath(obj, path, value) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    let target = obj;
+    
+    for (const key of keys) {
+        if (target[key] === null || typeof target[key] !== 'object') {
+            target[key] = {};
+        }
+        target = target[key];
+    }
     
-    return new Proxy({ ...initialState }, handler);
+    target[last] = value;
 }
 
 /**
@@ -52,121 +551,1097 @@ export function createReactiveState(initialState, onChangeCallback) {
  * All JokoUI components should extend this class
  */
 export class JokoComponent {
-    constructor() {
+    /**
+     * @param {Object} props - Props passed down by the parent component
+     */
+    constructor(props = {}) {
         this._mounted = false;
         this._element = null;
         this._state = {};
         
-        // Create reactive state with auto re-render on change
-        this.state = createReactiveState(this._state, () => {
+        // Composition: parent link, child instances by key, props & slots
+        this._parent = null;
+        this._children = new Map();
+        this._renderedChildren = null;
+        this._rendered = null;
+        this._listeners = {};
+        this._slots = {};
+        this._cleanups = [];
+        this._effects = [];
+        this.props = props;
+        
+        // Delegated event handling: one listener per event type on the root
+        this._html = '';
+        this._delegate = event => this._handleEvent(event);
+        this._listenerRoot = null;
+        this._listenedEvents = new Set();
+        this._firedOnce = new WeakMap();
+        
+        // Function handlers and component keys generated by a vnode render()
+        this._handlers = new Map();
+        this._autoKeys = new Map();
+        
+        // Error caught by this boundary ({ error, info }), shown through renderFallback()
+        this._failure = null;
+        
+        // Create reactive state with batched re-render on change
+        this.state = createReactiveState(this._state, change => this._onStateChange(change), { owner: this });
+        
+        // Validation errors by field path, filled by validate()
+        this.errors = createReactiveState({}, () => {
             if (this._mounted) {
-                this._update();
+                scheduleUpdate(this);
             }
-        });
+        }, { owner: this, source: 'errors' });
+        
+        // Computed properties and watchers
+        this._computed = new Map();
+        this._watchers = [];
+        this._setupComputed();
     }
     
     /**
      * Initialize state with reactive proxy
+     * Listeners added with subscribeState() (e.g. persist()) carry over
+     * to the new state object.
      * @param {Object} initialState - Initial state values
      */
     setState(initialState) {
+        const previous = this.state && this.state[CONTEXT];
+        const listeners = previous ? previous.listeners : [];
+        
         this._state = { ...initialState };
-        this.state = createReactiveState(this._state, () => {
+        this.state = createReactiveState(this._state, change => this._onStateChange(change), { owner: this });
+        listeners.forEach(listener => this.state[CONTEXT].listeners.add(listener));
+        this._invalidateComputed();
+    }
+    
+    /**
+     * Wait until pending re-renders have been applied to the DOM
+     * @returns {Promise<void>} Resolves after the next flush
+     */
+    nextTick() {
+        return nextTick();
+    }
+    
+    /**
+     * Register a function to run when this component unmounts
+     * @param {Function} cleanup - Teardown function (e.g. an unsubscribe)
+     */
+    addCleanup(cleanup) {
+        this._cleanups.push(cleanup);
+    }
+    
+    /**
+     * Run a function every time this component mounts; the function it
+     * returns runs on unmount
+     * Unlike setup done once in the constructor, effects come back when a
+     * component is unmounted and mounted again (e.g. a moved custom element).
+     * @example
+     * this.addEffect(() => {
+     *     window.addEventListener('resize', this.onResize);
+     *     return () => window.removeEventListener('resize', this.onResize);
+     * });
+     * this.addEffect(() => connect(this.props.room), () => this.props.room);
+     * @param {Function} effect - Setup function, may return a cleanup function
+     * @param {Function} deps - Optional; the effect re-runs after an update when its result changes
+     */
+    addEffect(effect, deps) {
+        const record = { effect, deps, value: undefined, cleanup: null };
+        this._effects.push(record);
+        
+        if (this._mounted) {
+            this._startEffect(record);
+        }
+    }
+    
+    /**
+     * Re-render this component when a slice of a store changes
+     * The subscription is removed automatically on unmount.
+     * @example
+     * this.useStore(sessionStore, ['user']);
+     * this.useStore(cartStore, (state, getters) => getters.total);
+     * @param {JokoStore} store - Store created with createStore()
+     * @param {Array<string>|Function} slice - State paths or selector function
+     * @returns {JokoStore} The store, for convenience
+     */
+    useStore(store, slice) {
+        const unsubscribe = store.watch(slice, () => {
             if (this._mounted) {
-                this._update();
+                scheduleUpdate(this);
             }
         });
+        
+        this.addCleanup(unsubscribe);
+        return store;
     }
     
     /**
-     * Render method - must be implemented by child classes
-     * @returns {string} HTML template literal
+     * Watch a state path (or a getter function) and run a handler when it changes
+     * A watcher added while mounted (onMount, an effect, a handler) stops on
+     * unmount. One added before mounting (the constructor) lasts as long as
+     * the component, across unmount and remount, until the returned function is called.
+     * @example
+     * this.watch('user.company', (company, previous) => { ... }, { deep: true });
+     * this.watch(() => this.state.count > 10, tooMany => { ... });
+     * @param {string|Function} source - Dotted state path, or a function whose dependencies are tracked
+     * @param {Function|string} handler - (newValue, oldValue) => void, or a method name
+     * @param {Object} options - Watch options
+     * @param {boolean} options.deep - Also fire when something nested inside the value changes
+     * @param {boolean} options.immediate - Run the handler once right away
+     * @returns {Function} Function that stops watching
      */
-    render() {
-        throw new Error('Component must implement render() method');
+    watch(source, handler, options = {}) {
+        const callback = typeof handler === 'string' ? this[handler] : handler;
+        
+        if (typeof callback !== 'function') {
+            throw new Error(`JokoUI: Watch handler "${handler}" is not a function`);
+        }
+        
+        const watcher = {
+            source,
+            callback: callback.bind(this),
+            deep: Boolean(options.deep),
+            value: undefined,
+            deps: []
+        };
+        
+        watcher.value = this._readWatcher(watcher);
+        this._watchers.push(watcher);
+        
+        const unwatch = () => {
+            this._watchers = this._watchers.filter(item => item !== watcher);
+        };
+        if (this._mounted) {
+            this.addCleanup(unwatch);
+        }
+        
+        if (options.immediate) {
+            watcher.callback(watcher.value, undefined);
+        }
+        
+        return unwatch;
     }
     
     /**
-     * Lifecycle hook - called after component is mounted to DOM
+     * Validate fields against the rules declared in `static rules`
+     * @example
+     * static rules = {
+     *     'form.email': [required(), email()],
+     *     'form.age': min(18, 'Adults only')
+     * };
+     * Fields without rules pass, and any error set on them (e.g. by the
+     * server) is cleared.
+     * @param {Array<string>} paths - Field paths to check (defaults to every rule)
+     * @returns {boolean} True if all checked fields are valid
      */
-    onMount() {
-        // Override in child class
+    validate(paths) {
+        const rules = this.constructor.rules || {};
+        let valid = true;
+        
+        for (const path of paths || Object.keys(rules)) {
+            if (!rules[path]) {
+                delete this.errors[path];
+                continue;
+            }
+            
+            const message = validateValue(getPath(this.state, path), rules[path], this.state);
+            
+            if (message) {
+                this.errors[path] = message;
+                valid = false;
+            } else {
+                delete this.errors[path];
+            }
+        }
+        
+        return valid;
     }
     
     /**
-     * Lifecycle hook - called before component is unmounted
+     * Whether no field currently has a validation error
+     * @returns {boolean} True when the errors object is empty
      */
-    onUnmount() {
-        // Override in child class
+    get isValid() {
+        return Object.keys(this.errors).length === 0;
     }
     
     /**
-     * Lifecycle hook - called after component updates
+     * Set error messages by field path (e.g. errors reported by the server)
+     * @param {Object} errors - Map of field path to message
      */
-    onUpdate() {
-        // Override in child class
+    setErrors(errors) {
+        for (const [path, message] of Object.entries(errors)) {
+            this.errors[path] = message;
+        }
     }
     
     /**
-     * Internal method to update the DOM
-     * @private
+     * Clear validation errors
+     * @param {Array<string>} paths - Field paths to clear (defaults to all)
      */
-    _update() {
-        if (this._element) {
-            const newHtml = this.render();
-            
-            // Parse the new HTML
-            const template = document.createElement('template');
-            template.innerHTML = newHtml.trim();
-            const newElement = template.content.firstChild;
-            
-            // Replace old element with new one
-            this._element.replaceWith(newElement);
-            this._element = newElement;
-            
-            // Re-bind events after update
-            this._bindEvents();
-            
-            // Call lifecycle hook
-            this.onUpdate();
+    clearErrors(paths) {
+        for (const path of paths || Object.keys(this.errors)) {
+            delete this.errors[path];
         }
     }
     
     /**
-     * Bind event handlers from data-joko-* attributes
-     * @private
+     * Embed a child component in this component's template
+     * The instance is created on first use and reused on later renders
+     * under the same key. Props starting with `on` + uppercase letter
+     * (e.g. `onChange`) are event listeners for `emit()`; they can be a
+     * function or the name of a method on this component.
+     * @param {string} key - Stable key identifying the child within this parent
+     * @param {Function} ComponentClass - JokoComponent subclass to instantiate
+     * @param {Object} props - Props passed down to the child
+     * @param {Object} slots - Named slot contents (html`` fragments or trusted HTML strings), `default` for the main one
+     * @returns {SafeHTML} Placeholder markup the child is mounted into
      */
-    _bindEvents() {
-        if (!this._element) return;
+    child(key, ComponentClass, props = {}, slots = {}) {
+        let instance = this._children.get(key);
         
-        // Find all elements with data-joko-click attribute
-        const clickables = this._element.querySelectorAll('[data-joko-click]');
-        clickables.forEach(el => {
-            const methodName = el.getAttribute('data-joko-click');
-            if (typeof this[methodName] === 'function') {
-                el.onclick = (e) => this[methodName](e);
-            }
-        });
+        // A different component class under the same key replaces the old child
+        if (instance && instance.constructor !== ComponentClass) {
+            unmount(instance);
+            instance = null;
+        }
         
-        // Find all elements with data-joko-input attribute
-        const inputs = this._element.querySelectorAll('[data-joko-input]');
-        inputs.forEach(el => {
-            const methodName = el.getAttribute('data-joko-input');
-            if (typeof this[methodName] === 'function') {
-                el.oninput = (e) => this[methodName](e);
-            }
-        });
+        if (!instance) {
+            instance = new ComponentClass(props);
+            instance._parent = this;
+            this._children.set(key, instance);
+        }
         
-        // Find all elements with data-joko-submit attribute
-        const forms = this._element.querySelectorAll('[data-joko-submit]');
-        forms.forEach(el => {
-            const methodName = el.getAttribute('data-joko-submit');
-            if (typeof this[methodName] === 'function') {
-                el.onsubmit = (e) => {
-                    e.preventDefault();
-                    this[methodName](e);
-                };
-            }
-        });
+        instance._receiveProps(props, this._captureSlots(slots));
+        
+        if (this._renderedChildren) {
+            this._renderedChildren.add(key);
+        }
+        
+        const escapedKey = escapeHtml(key);
+        return unsafeHTML(`<joko-child data-joko-child="${escapedKey}" data-joko-key="child:${escapedKey}"></joko-child>`);
     }
+    
+    /**
+     * Prepare slot content this component passes to a child
+     * The markup is still this component's, so it keeps this component's
+     * scoped styles and its handler names call this component's methods.
+     * @private
+     * @param {Object} slots - Named slot contents
+     * @returns {Object} Slots of SafeHTML markup
+     */
+    _captureSlots(slots) {
+        const depth = componentDepth(this);
+        const mark = markup => markOwner(scopeFragment(markup, this.constructor), depth);
+        const captured = {};
+        
+        for (const [name, content] of Object.entries(slots)) {
+            // Plain strings stay strings, so unchanged slots still compare equal
+            captured[name] = isSafeHTML(content)
+                ? unsafeHTML(mark(content.toString()))
+                : typeof content === 'string' ? mark(content) : content;
+        }
+        return captured;
+    }
+    
+    /**
+     * Get the content the parent passed for a slot
+     * @param {string} name - Slot name
+     * @param {string|SafeHTML} fallback - Content used when the parent passed nothing
+     * @returns {SafeHTML} Slot markup
+     */
+    slot(name = 'default', fallback = '') {
+        return unsafeHTML(this._slots[name] ?? fallback);
+    }
+    
+    /**
+     * Emit an event to the parent component
+     * Calls the `on<Event>` listener the parent passed in the child's props.
+     * @param {string} event - Event name (e.g. 'change' calls `onChange`)
+     * @param {...*} args - Arguments passed to the listener
+     * @returns {boolean} True if a listener handled the event
+     */
+    emit(event, ...args) {
+        const listener = this._listeners[`on${event.charAt(0).toUpperCase()}${event.slice(1)}`];
+        
+        if (typeof listener === 'function') {
+            listener(...args);
+            return true;
+        }
+        
+        if (typeof listener === 'string' && this._parent && typeof this._parent[listener] === 'function') {
+            this._parent[listener](...args);
+            return true;
+        }
+        
+        return false;
+    }
+    
+    /**
+     * Render method - must be implemented by child classes
+     * Return an html`` template to have interpolated values escaped;
+     * plain strings are inserted as-is.
+     * @returns {SafeHTML|string} HTML template
+     */
+    render() {
+        throw new Error('Component must implement render() method');
+    }
+    
+    /**
+     * Lifecycle hook - called after component is mounted to DOM
+     */
+    onMount() {
+        // Override in child class
+    }
+    
+    /**
+     * Lifecycle hook - called before component is unmounted
+     */
+    onUnmount() {
+        // Override in child class
+    }
+    
+    /**
+     * Lifecycle hook - called after component updates
+     */
+    onUpdate() {
+        // Override in child class
+    }
+    
+    /**
+     * Error hook - overriding it (or defining renderFallback(error, info))
+     * turns the component into an error boundary for itself and its
+     * children. Return false to pass the error on to the next boundary.
+     * @param {Error} error - Error thrown by render(), a handler or a lifecycle hook
+     * @param {Object} info - { phase, component, handler, hook }
+     * @returns {boolean|void}
+     */
+    onError(error, info) {
+        // Override in child class
+    }
+    
+    /**
+     * Drop the caught error and render normally again
+     */
+    resetError() {
+        if (this._failure) {
+            this._failure = null;
+            if (this._mounted) {
+                scheduleUpdate(this);
+            }
+        }
+    }
+    
+    /**
+     * React to a change in this component's reactive state
+     * @private
+     * @param {Object} change - Change details from createReactiveState
+     */
+    _onStateChange(change) {
+        for (const entry of this._computed.values()) {
+            if (!entry.dirty && dependsOn(entry.deps, change)) {
+                entry.dirty = true;
+            }
+        }
+        
+        this._runWatchers(change);
+        
+        if (this._mounted) {
+            scheduleUpdate(this);
+        }
+    }
+    
+    /**
+     * Define the getters declared in `static computed` on this instance
+     * Each value is cached and only recomputed after state it read changes.
+     * @private
+     */
+    _setupComputed() {
+        const definitions = this.constructor.computed || {};
+        
+        for (const [name, getter] of Object.entries(definitions)) {
+            // roots: other reactive objects (stores, resources) this value read from
+            const entry = { value: undefined, deps: [], dirty: true, roots: new Map() };
+            this._computed.set(name, entry);
+            
+            Object.defineProperty(this, name, {
+                configurable: true,
+                enumerable: false,
+                get: () => {
+                    if (entry.dirty) {
+                        const { value, deps } = trackDependencies(() => getter.call(this));
+                        entry.value = value;
+                        entry.deps = deps;
+                        entry.dirty = false;
+                        this._watchComputedRoots(entry);
+                    }
+                    
+                    recordDependencies(entry.deps);
+                    return entry.value;
+                }
+            });
+        }
+    }
+    
+    /**
+     * Invalidate a computed value when reactive objects other than
+     * this.state that it depends on change (until unmount)
+     * @private
+     * @param {Object} entry - Computed cache entry
+     */
+    _watchComputedRoots(entry) {
+        for (const { root } of entry.deps) {
+            if (root === this.state || entry.roots.has(root)) continue;
+            
+            const unsubscribe = subscribeState(root, change => {
+                if (!entry.dirty && dependsOn(entry.deps, change)) {
+                    entry.dirty = true;
+                }
+            });
+            entry.roots.set(root, unsubscribe);
+            
+            this.addCleanup(() => {
+                unsubscribe();
+                entry.roots.delete(root);
+                entry.dirty = true;
+            });
+        }
+    }
+    
+    /**
+     * Force every computed property to recompute on next read
+     * @private
+     */
+    _invalidateComputed() {
+        for (const entry of this._computed.values()) {
+            entry.dirty = true;
+        }
+    }
+    
+    /**
+     * Register the watchers declared in `static watch`
+     * Called on mount; they are removed again on unmount.
+     * @example
+     * static watch = {
+     *     count: 'onCountChange',
+     *     'user.company': { handler: 'saveCompany', deep: true, immediate: true }
+     * };
+     * @private
+     */
+    _setupWatchers() {
+        const definitions = this.constructor.watch || {};
+        
+        for (const [path, definition] of Object.entries(definitions)) {
+            const { handler, ...options } = (typeof definition === 'object' && definition !== null)
+                ? definition
+                : { handler: definition };
+            
+            this.watch(path, handler, options);
+        }
+    }
+    
+    /**
+     * Read the current value of a watcher's source
+     * @private
+     * @param {Object} watcher - Watcher record
+     * @returns {*} Current value
+     */
+    _readWatcher(watcher) {
+        if (typeof watcher.source === 'function') {
+            const { value, deps } = trackDependencies(() => watcher.source.call(this));
+            watcher.deps = deps;
+            return value;
+        }
+        
+        return getPath(this.state, watcher.source);
+    }
+    
+    /**
+     * Run the watchers affected by a state change
+     * @private
+     * @param {Object} change - Change details from createReactiveState
+     */
+    _runWatchers(change) {
+        for (const watcher of this._watchers.slice()) {
+            let affected;
+            let nested = false;
+            
+            if (typeof watcher.source === 'function') {
+                affected = dependsOn(watcher.deps, change);
+            } else {
+                affected = change.root === this.state && pathsOverlap(watcher.source, change.path);
+                nested = affected && change.path !== watcher.source && !watcher.source.startsWith(`${change.path}.`);
+            }
+            
+            // Changes below the watched value only count for deep watchers
+            if (!affected || (nested && !watcher.deep)) continue;
+            
+            const oldValue = watcher.value;
+            const newValue = this._readWatcher(watcher);
+            watcher.value = newValue;
+            
+            // Stepping through devtools history must not replay side effects
+            if (applyingSnapshot) continue;
+            
+            if (newValue !== oldValue || watcher.deep) {
+                this._guard(() => watcher.callback(newValue, oldValue), { phase: 'watcher' });
+            }
+        }
+    }
+    
+    /**
+     * Render the template while recording which children it used
+     * A boundary whose own render() throws renders its fallback instead;
+     * otherwise the error is routed to the nearest boundary and rethrown.
+     * @private
+     * @returns {string} HTML markup
+     */
+    _render() {
+        try {
+            return this._renderTemplate();
+        } catch (error) {
+            if (!this._failure && this._captureError(error, { phase: 'render' }) && this._failure) {
+                return this._renderTemplate();
+            }
+            throw error;
+        }
+    }
+    
+    /**
+     * Produce the markup of render() (or renderFallback() after an error)
+     * @private
+     * @returns {string} HTML markup
+     */
+    _renderTemplate() {
+        this._renderedChildren = new Set();
+        this._handlers = new Map();
+        this._autoKeys.clear();
+        
+        try {
+            // render() may return an html`` template, a string, or createElement() vnodes
+            const output = this._failure
+                ? this.renderFallback(this._failure.error, this._failure.info)
+                : this.render();
+            const markup = isVNode(output) || Array.isArray(output)
+                ? renderToString(output, this)
+                : toHtmlString(output);
+            
+            // Scoped `static styles` match on data-joko-style / data-joko-scope
+            this._html = scopeMarkup(markup, this.constructor);
+            return this._html;
+        } finally {
+            this._rendered = this._renderedChildren;
+            this._renderedChildren = null;
+        }
+    }
+    
+    /**
+     * Route an error to the nearest error boundary (this component or an
+     * ancestor) and report it to the global onError hook
+     * @private
+     * @param {*} error - Thrown value
+     * @param {Object} info - { phase, handler, hook }
+     * @returns {boolean} True if a boundary handled the error
+     */
+    _captureError(error, info) {
+        const key = Object(error);
+        if (capturedErrors.has(key)) {
+            return capturedErrors.get(key);
+        }
+        
+        const details = { ...info, component: this };
+        let handled = false;
+        
+        for (let component = this; component && !handled; component = component._parent) {
+            if (!component._isBoundary()) continue;
+            
+            try {
+                handled = component.onError(error, details) !== false;
+            } catch (hookError) {
+                reportError(hookError, { phase: 'onError', component });
+            }
+            
+            if (handled && typeof component.renderFallback === 'function') {
+                component._failure = { error, info: details };
+                
+                // A boundary can't re-render itself from inside its own render
+                if (component._mounted && component !== this) {
+                    scheduleUpdate(component);
+                }
+            }
+        }
+        
+        capturedErrors.set(key, handled);
+        reportError(error, { ...details, handled });
+        return handled;
+    }
+    
+    /**
+     * Whether this component catches errors (overrides onError or has a fallback)
+     * @private
+     * @returns {boolean}
+     */
+    _isBoundary() {
+        return this.onError !== JokoComponent.prototype.onError ||
+            typeof this.renderFallback === 'function';
+    }
+    
+    /**
+     * Start every effect (on mount)
+     * @private
+     */
+    _startEffects() {
+        this._effects.forEach(record => this._startEffect(record));
+    }
+    
+    /**
+     * Run one effect and stop it again on unmount
+     * @private
+     * @param {Object} record - { effect, deps, value, cleanup }
+     */
+    _startEffect(record) {
+        this._runEffect(record);
+        this.addCleanup(() => this._stopEffect(record));
+    }
+    
+    /**
+     * Re-run effects whose deps changed with the last render
+     * @private
+     */
+    _updateEffects() {
+        for (const record of this._effects) {
+            if (!record.deps || Object.is(this._guard(record.deps, { phase: 'lifecycle', hook: 'effect' }), record.value)) continue;
+            
+            this._stopEffect(record);
+            this._runEffect(record);
+        }
+    }
+    
+    /**
+     * Call an effect, remembering its deps and cleanup
+     * @private
+     * @param {Object} record - Effect record
+     */
+    _runEffect(record) {
+        const info = { phase: 'lifecycle', hook: 'effect' };
+        record.value = record.deps ? this._guard(record.deps, info) : undefined;
+        
+        const cleanup = this._guard(record.effect, info);
+        record.cleanup = typeof cleanup === 'function' ? cleanup : null;
+    }
+    
+    /**
+     * Run an effect's cleanup, if it has one
+     * @private
+     * @param {Object} record - Effect record
+     */
+    _stopEffect(record) {
+        const cleanup = record.cleanup;
+        record.cleanup = null;
+        
+        if (cleanup) {
+            this._guard(cleanup, { phase: 'lifecycle', hook: 'effect' });
+        }
+    }
+    
+    /**
+     * Call a lifecycle hook, capturing sync errors and async rejections
+     * @private
+     * @param {string} hook - Hook name (onMount, onUpdate, ...)
+     */
+    _runHook(hook) {
+        this._guard(() => this[hook](), { phase: 'lifecycle', hook });
+    }
+    
+    /**
+     * Run a function, routing a throw or a rejected promise to the boundaries
+     * @private
+     * @param {Function} fn - Function to run
+     * @param {Object} info - Error info ({ phase, handler, hook })
+     * @returns {*} The function's result, or undefined if it threw
+     */
+    _guard(fn, info) {
+        try {
+            const result = fn();
+            if (result && typeof result.then === 'function') {
+                result.then(null, error => this._captureError(error, info));
+            }
+            return result;
+        } catch (error) {
+            this._captureError(error, info);
+            return undefined;
+        }
+    }
+    
+    /**
+     * Accept new props and slots from the parent, re-rendering if they changed
+     * @private
+     * @param {Object} props - Props including `on*` listeners
+     * @param {Object} slots - Named slot contents
+     */
+    _receiveProps(props, slots) {
+        const nextProps = {};
+        const listeners = {};
+        
+        for (const [name, value] of Object.entries(props)) {
+            if (/^on[A-Z]/.test(name) && (typeof value === 'function' || typeof value === 'string')) {
+                listeners[name] = value;
+            } else {
+                nextProps[name] = value;
+            }
+        }
+        
+        // Listeners are swapped silently, they never affect the output
+        this._listeners = listeners;
+        
+        const changed = !shallowEqual(this.props, nextProps) || !shallowEqual(this._slots, slots);
+        this.props = nextProps;
+        this._slots = { ...slots };
+        
+        if (changed) {
+            this._invalidateComputed();
+        }
+        
+        if (changed && this._mounted) {
+            scheduleUpdate(this);
+        }
+    }
+    
+    /**
+     * Mount newly rendered children into their placeholders and unmount
+     * the ones the last render no longer used
+     * @private
+     */
+    _syncChildren() {
+        if (!this._element) return;
+        
+        const used = this._rendered || new Set();
+        
+        this._element.querySelectorAll('[data-joko-child]').forEach(host => {
+            if (!this._ownsElement(host)) return;
+            
+            const instance = this._children.get(host.getAttribute('data-joko-child'));
+            if (!instance) return;
+            
+            if (!instance._mounted) {
+                mount(instance, host);
+            } else if (instance._element.parentNode !== host) {
+                // The placeholder was re-created, carry the live child over
+                host.appendChild(instance._element);
+            }
+        });
+        
+        for (const [key, instance] of this._children) {
+            if (!used.has(key)) {
+                unmount(instance);
+                this._children.delete(key);
+            }
+        }
+    }
+    
+    /**
+     * Check whether an element belongs to this component rather than to
+     * one of its child components or a nested route view
+     * @private
+     * @param {Element} el - Element inside this component's root
+     * @returns {boolean} True if no child host or outlet sits between el and the root
+     */
+    _ownsElement(el) {
+        const host = el.parentElement && el.parentElement.closest(BOUNDARY_SELECTOR);
+        return !host || !this._element.contains(host);
+    }
+    
+    /**
+     * Internal method to update the DOM
+     * @private
+     */
+    _update() {
+        if (this._element) {
+            const start = devtoolsEnabled() ? performance.now() : null;
+            let html;
+            try {
+                html = this._render();
+            } catch (error) {
+                // Already routed to a boundary; keep the last good DOM
+                return;
+            }
+            
+            const newElement = htmlToElement(html);
+            
+            // Patch the live DOM against the new render
+            this._element = patch(this._element, newElement);
+            
+            // Re-bind events after update
+            this._bindEvents();
+            
+            // Reflect state into bound form controls
+            this._syncModels();
+            
+            // Mount new children, unmount removed ones
+            this._syncChildren();
+            
+            // Effects depending on props or state follow the new render
+            this._updateEffects();
+            
+            if (start !== null) {
+                notifyDevtools('render', { component: this, duration: performance.now() - start });
+            }
+            
+            // Call lifecycle hook
+            this._runHook('onUpdate');
+        }
+    }
+    
+    /**
+     * Attach delegated listeners for every data-joko-* event in the template
+     * A single listener per event type lives on the component root; it is
+     * only added the first time a render uses that event type.
+     * @private
+     */
+    _bindEvents() {
+        if (!this._element) return;
+        
+        // The root element was replaced (e.g. its tag changed), move the listeners
+        if (this._listenerRoot !== this._element) {
+            if (this._listenerRoot) {
+                for (const type of this._listenedEvents) {
+                    this._listenerRoot.removeEventListener(type, this._delegate, NON_BUBBLING_EVENTS.has(type));
+                }
+            }
+            this._listenerRoot = this._element;
+            this._listenedEvents = new Set();
+        }
+        
+        const types = extractEventTypes(this._html);
+        
+        // data-joko-model bindings listen for edits
+        if (this._html.includes('data-joko-model')) {
+            types.add('input');
+            types.add('change');
+        }
+        
+        for (const type of types) {
+            if (!this._listenedEvents.has(type)) {
+                this._element.addEventListener(type, this._delegate, NON_BUBBLING_EVENTS.has(type));
+                this._listenedEvents.add(type);
+            }
+        }
+    }
+    
+    /**
+     * Dispatch a DOM event to the handlers declared on its path
+     * Walks from the event target up to the component root, skipping
+     * anything that belongs to a child component.
+     * @private
+     * @param {Event} event - DOM event caught by the root listener
+     */
+    _handleEvent(event) {
+        const root = this._element;
+        if (!root) return;
+        
+        if (event.type === 'input' || event.type === 'change') {
+            this._handleModelEvent(event);
+        }
+        
+        // Elements inside a child component (or router outlet) are handled by that component
+        let start = event.target;
+        for (let el = event.target; el && el !== root; el = el.parentNode) {
+            if (el.nodeType === 1 && el.matches(BOUNDARY_SELECTOR)) {
+                start = el.parentNode;
+            }
+        }
+        
+        for (let el = start; el; el = el === root ? null : el.parentNode) {
+            if (el.nodeType !== 1) continue;
+            
+            let stopped = false;
+            
+            for (const { name, value } of Array.from(el.attributes)) {
+                const binding = parseEventAttribute(name);
+                if (!binding || binding.type !== event.type) continue;
+                
+                if (this._runHandler(el, name, value, binding.modifiers, event)) {
+                    stopped = stopped || binding.modifiers.includes('stop');
+                }
+            }
+            
+            if (stopped) break;
+        }
+    }
+    
+    /**
+     * Component whose methods an element's handler names refer to
+     * Slot content carries the depth of the ancestor that wrote it.
+     * @private
+     * @param {Element} el - Element carrying the handler attribute
+     * @returns {JokoComponent} This component or one of its ancestors
+     */
+    _handlerOwner(el) {
+        if (!el.hasAttribute(OWNER_ATTRIBUTE)) {
+            return this;
+        }
+        
+        const depth = Number(el.getAttribute(OWNER_ATTRIBUTE));
+        for (let component = this._parent; component; component = component._parent) {
+            if (componentDepth(component) === depth) {
+                return component;
+            }
+        }
+        return this;
+    }
+    
+    /**
+     * Find the function behind a handler name: a method of the owning
+     * component, or a function handler from a vnode render(). Slot content
+     * is rendered by the parent, so its function handlers are looked up on ancestors.
+     * @private
+     * @param {string} name - Handler name from the attribute
+     * @param {JokoComponent} owner - Component that wrote the markup (see _handlerOwner)
+     * @returns {Function|undefined} Handler
+     */
+    _resolveHandler(name, owner = this) {
+        if (!name.startsWith('$h')) {
+            return owner[name];
+        }
+        
+        for (let component = this; component; component = component._parent) {
+            if (component._handlers.has(name)) {
+                return component._handlers.get(name);
+            }
+        }
+        return undefined;
+    }
+    
+    /**
+     * Apply modifiers and invoke the handler method for one binding
+     * @private
+     * @param {Element} el - Element carrying the attribute
+     * @param {string} attribute - Attribute name (used for .once bookkeeping)
+     * @param {string} expression - Handler expression, e.g. "remove(3)"
+     * @param {Array<string>} modifiers - Modifiers from the attribute name
+     * @param {Event} event - DOM event
+     * @returns {boolean} True if the handler ran
+     */
+    _runHandler(el, attribute, expression, modifiers, event) {
+        if (modifiers.includes('self') && event.target !== el) return false;
+        if (!matchesModifiers(event, modifiers)) return false;
+        
+        const fired = this._firedOnce.get(el);
+        if (fired && fired.has(attribute)) return false;
+        
+        const { name, args } = parseHandler(expression);
+        const owner = this._handlerOwner(el);
+        const method = this._resolveHandler(name, owner);
+        
+        if (typeof method !== 'function') {
+            warn(`Handler "${name}" for "${attribute}" not found on ${owner.constructor.name}`, el);
+            return false;
+        }
+        
+        // Forms never do a full-page submit
+        if (modifiers.includes('prevent') || event.type === 'submit') {
+            event.preventDefault();
+        }
+        
+        // Submission is blocked until the form's bound fields are valid
+        if (event.type === 'submit' && !this.validate(this._modelPaths(el))) {
+            return false;
+        }
+        if (modifiers.includes('stop')) {
+            event.stopPropagation();
+        }
+        if (modifiers.includes('once')) {
+            this._firedOnce.set(el, (fired || new Set()).add(attribute));
+        }
+        
+        const callArgs = args === null
+            ? [event]
+            : args.map(arg => (arg === EVENT_ARG ? event : arg));
+        
+        const previousHandler = activeHandler;
+        activeHandler = `${owner.constructor.name}.${name}`;
+        
+        try {
+            owner._guard(() => method.apply(owner, callArgs), { phase: 'handler', handler: name });
+        } finally {
+            activeHandler = previousHandler;
+        }
+        return true;
+    }
+    
+    /**
+     * Write an edited form control back into state
+     * @private
+     * @param {Event} event - input or change event
+     */
+    _handleModelEvent(event) {
+        const el = event.target;
+        const binding = getModelBinding(el);
+        
+        if (!binding || !binding.path || !this._ownsElement(el)) return;
+        
+        // .lazy only syncs on change (blur/commit), not on every keystroke
+        if (binding.modifiers.includes('lazy') && event.type === 'input') return;
+        
+        const current = getPath(this.state, binding.path);
+        const previousHandler = activeHandler;
+        activeHandler = `${this.constructor.name} model:${binding.path}`;
+        
+        try {
+            setPath(this.state, binding.path, readModelValue(el, current, binding.modifiers));
+        } finally {
+            activeHandler = previousHandler;
+        }
+        
+        // Validate once the user commits a field, then live while it is invalid
+        if (event.type === 'change' || this.errors[binding.path]) {
+            this.validate([binding.path]);
+        }
+    }
+    
+    /**
+     * Push state values into every bound form control after a render
+     * @private
+     */
+    _syncModels() {
+        if (!this._element || !this._html.includes('data-joko-model')) return;
+        
+        this._element.querySelectorAll('input, select, textarea').forEach(el => {
+            const binding = getModelBinding(el);
+            
+            if (binding && binding.path && this._ownsElement(el)) {
+                writeModelValue(el, getPath(this.state, binding.path), binding.modifiers);
+            }
+        });
+    }
+    
+    /**
+     * Collect the state paths bound inside an element (e.g. a form)
+     * @private
+     * @param {Element} container - Element to search
+     * @returns {Array<string>} Bound state paths
+     */
+    _modelPaths(container) {
+        return Array.from(container.querySelectorAll('input, select, textarea'))
+            .filter(el => this._ownsElement(el))
+            .map(el => getModelBinding(el))
+            .filter(binding => binding && binding.path)
+            .map(binding => binding.path);
+    }
+}
+
+/**
+ * Compare two plain objects one level deep
+ * @private
+ * @param {Object} a - First object
+ * @param {Object} b - Second object
+ * @returns {boolean} True if both have the same keys with identical values
+ */
+function shallowEqual(a, b) {
+    const keysA = Object.keys(a || {});
+    const keysB = Object.keys(b || {});
+    
+    return keysA.length === keysB.length &&
+        keysA.every(key => Object.prototype.hasOwnProperty.call(b, key) && a[key] === b[key]);
 }
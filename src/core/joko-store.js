@@ -0,0 +1,158 @@
+/**
+ * JokoUI Store Module
+ * Shared global state with actions and memoized computed getters
+ */
+
+import {
+    createReactiveState,
+    subscribeState,
+    trackDependencies,
+    recordDependencies,
+    dependsOn
+} from './joko-state.js';
+
+/**
+ * Store holding state shared between components
+ */
+export class JokoStore {
+    /**
+     * Create a new JokoStore instance
+     * @param {Object} options - Store definition
+     * @param {Object} options.state - Initial state
+     * @param {Object} options.actions - Named actions: (store, ...args) => any (may be async)
+     * @param {Object} options.getters - Computed getters: (state, getters) => value
+     */
+    constructor(options = {}) {
+        this.state = createReactiveState(options.state || {}, null, { owner: this });
+        this.getters = {};
+        this.actions = {};
+
+        this._getterCache = new Map();
+
+        for (const [name, getter] of Object.entries(options.getters || {})) {
+            this._defineGetter(name, getter);
+        }
+
+        for (const [name, action] of Object.entries(options.actions || {})) {
+            this.actions[name] = (...args) => action(this, ...args);
+        }
+
+        // Invalidate getters whose dependencies changed
+        subscribeState(this.state, change => {
+            for (const entry of this._getterCache.values()) {
+                if (!entry.dirty && dependsOn(entry.deps, change)) {
+                    entry.dirty = true;
+                }
+            }
+        });
+    }
+
+    /**
+     * Run a named action
+     * @param {string} name - Action name
+     * @param {...*} args - Arguments passed after the store
+     * @returns {*} Whatever the action returns (a Promise for async actions)
+     */
+    dispatch(name, ...args) {
+        const action = this.actions[name];
+
+        if (!action) {
+            throw new Error(`JokoUI: Unknown store action "${name}"`);
+        }
+
+        return action(...args);
+    }
+
+    /**
+     * Listen to every state change in the store
+     * @param {Function} listener - Called with the change details
+     * @returns {Function} Function that removes the listener
+     */
+    subscribe(listener) {
+        return subscribeState(this.state, listener);
+    }
+
+    /**
+     * Listen to changes that affect a slice of the store
+     * The slice is either a list of state paths or a selector function;
+     * a selector's dependencies are tracked automatically.
+     * @param {Array<string>|Function} slice - Paths like ['user', 'cart.items'] or (state, getters) => value
+     * @param {Function} listener - Called with the change details
+     * @returns {Function} Function that removes the listener
+     */
+    watch(slice, listener) {
+        let deps = this._sliceDependencies(slice);
+
+        return this.subscribe(change => {
+            if (dependsOn(deps, change)) {
+                if (typeof slice === 'function') {
+                    deps = this._sliceDependencies(slice);
+                }
+                listener(change);
+            }
+        });
+    }
+
+    /**
+     * Work out which state paths a slice depends on
+     * @private
+     * @param {Array<string>|Function} slice - Paths or selector function
+     * @returns {Array<{root: Proxy, path: string}>} Dependencies
+     */
+    _sliceDependencies(slice) {
+        if (typeof slice === 'function') {
+            return trackDependencies(() => slice(this.state, this.getters)).deps;
+        }
+
+        return [].concat(slice).map(path => ({ root: this.state, path }));
+    }
+
+    /**
+     * Define a memoized getter, recomputed only when its dependencies change
+     * @private
+     * @param {string} name - Getter name
+     * @param {Function} getter - (state, getters) => value
+     */
+    _defineGetter(name, getter) {
+        const entry = { value: undefined, deps: [], dirty: true };
+        this._getterCache.set(name, entry);
+
+        Object.defineProperty(this.getters, name, {
+            enumerable: true,
+            get: () => {
+                if (entry.dirty) {
+                    const { value, deps } = trackDependencies(() => getter(this.state, this.getters));
+                    entry.value = value;
+                    entry.deps = deps;
+                    entry.dirty = false;
+                }
+
+                // Whoever reads this getter depends on what it depends on
+                recordDependencies(entry.deps);
+                return entry.value;
+            }
+        });
+    }
+}
+
+/**
+ * Create a store
+ * @example
+ * const session = createStore({
+ *     state: { user: null },
+ *     getters: { isLoggedIn: state => state.user !== null },
+ *     actions: {
+ *         async fetchUser(store, id) {
+ *             const response = await prabogoClient.get(`/users/${id}`);
+ *             store.state.user = response.data;
+ *         }
+ *     }
+ * });
+ * @param {Object} options - Store definition (state, actions, getters)
+ * @returns {JokoStore} The store
+ */
+export function createStore(options) {
+    return new JokoStore(options);
+}
+
+export default createStore;
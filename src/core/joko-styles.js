@@ -0,0 +1,346 @@
+/**
+ * JokoUI Styles Module
+ * Scoped component styles declared with `static styles`
+ *
+ * Each component class with styles gets a scope id. Its root element
+ * carries `data-joko-style="<id>"`, every element it renders carries
+ * `data-joko-scope="<id>"`, and every selector is narrowed to those
+ * elements. Class names can't leak into the rest of the page, nor into
+ * child components rendered inside it.
+ * The <style> tag is injected when the first instance mounts and removed
+ * when the last one unmounts.
+ */
+
+import { escapeHtml } from './joko-html.js';
+
+// Attribute marking a component root (and its <style> tag)
+export const STYLE_ATTRIBUTE = 'data-joko-style';
+
+// Attribute marking every element a component renders itself
+export const SCOPE_ATTRIBUTE = 'data-joko-scope';
+
+// Opening tags (group 1: name, group 2: attributes), skipping comments
+const TAG_PATTERN = /<!--[\s\S]*?-->|<([a-zA-Z][\w-]*)([^>]*)/g;
+
+// At-rules whose blocks contain style rules that need scoping
+const NESTING_AT_RULES = /^@(media|supports|container|layer|document)\b/i;
+
+// Scope info per component class: { id, css, count, element }
+const registry = new WeakMap();
+
+/**
+ * Tag for style blocks: joins the template like a plain string
+ * Exists so editors can highlight the CSS.
+ * @example
+ * static styles = css`
+ *     :host { display: block; }
+ *     .title { color: var(--color-primary); }
+ * `;
+ * @param {Array<string>} strings - Template string parts
+ * @param {...*} values - Interpolated values
+ * @returns {string} CSS text
+ */
+export function css(strings, ...values) {
+    return strings.reduce((result, string, index) =>
+        result + string + (index < values.length ? values[index] : ''), '');
+}
+
+/**
+ * Scope id of a component class, or null if it declares no styles
+ * @param {Function} ComponentClass - JokoComponent subclass
+ * @returns {string|null} Scope id
+ */
+export function styleScope(ComponentClass) {
+    return getEntry(ComponentClass)?.id || null;
+}
+
+/**
+ * Mark rendered markup with the class's scope id
+ * The root gets data-joko-style, every element data-joko-scope. Elements
+ * that already carry a scope (slot content, see scopeFragment) keep it.
+ * @param {string} markup - Component HTML
+ * @param {Function} ComponentClass - JokoComponent subclass
+ * @returns {string} Marked markup
+ */
+export function scopeMarkup(markup, ComponentClass) {
+    const id = styleScope(ComponentClass);
+    if (!id) return markup;
+
+    return markTags(markup, id, ` ${STYLE_ATTRIBUTE}="${escapeHtml(id)}"`);
+}
+
+/**
+ * Mark markup a component hands to another one (slot content) with its own scope
+ * The content is authored by that component, so its styles should keep applying.
+ * @param {string} markup - HTML fragment
+ * @param {Function} ComponentClass - Component class that wrote the markup
+ * @returns {string} Marked markup
+ */
+export function scopeFragment(markup, ComponentClass) {
+    const id = styleScope(ComponentClass);
+    return id ? markTags(markup, id, '') : markup;
+}
+
+/**
+ * Count a mounted instance, injecting the class's <style> on the first one
+ * @param {Function} ComponentClass - JokoComponent subclass
+ */
+export function acquireStyles(ComponentClass) {
+    const entry = getEntry(ComponentClass);
+    if (!entry || typeof document === 'undefined') return;
+
+    if (entry.count++ === 0) {
+        // Server-rendered pages already contain the tag (see renderStyles)
+        entry.element = document.head.querySelector(`style[${STYLE_ATTRIBUTE}="${entry.id}"]`);
+
+        if (!entry.element) {
+            entry.element = document.createElement('style');
+            entry.element.setAttribute(STYLE_ATTRIBUTE, entry.id);
+            entry.element.textContent = entry.css;
+            document.head.appendChild(entry.element);
+        }
+    }
+}
+
+/**
+ * Release a mounted instance, removing the <style> after the last one
+ * @param {Function} ComponentClass - JokoComponent subclass
+ */
+export function releaseStyles(ComponentClass) {
+    const entry = getEntry(ComponentClass);
+    if (!entry || entry.count === 0) return;
+
+    if (--entry.count === 0 && entry.element) {
+        entry.element.remove();
+        entry.element = null;
+    }
+}
+
+/**
+ * <style> tags for every styled component in a tree, for server rendering
+ * Call after renderToString() so child components exist.
+ * @param {JokoComponent} component - Root component
+ * @returns {string} HTML markup to put in <head>
+ */
+export function renderStyles(component) {
+    const seen = new Set();
+    const tags = [];
+
+    const visit = instance => {
+        const entry = getEntry(instance.constructor);
+        if (entry && !seen.has(entry.id)) {
+            seen.add(entry.id);
+            tags.push(`<style ${STYLE_ATTRIBUTE}="${escapeHtml(entry.id)}">${entry.css.replace(/<\/style/gi, '<\\/style')}</style>`);
+        }
+        instance._children.forEach(visit);
+    };
+    visit(component);
+
+    return tags.join('');
+}
+
+/**
+ * Narrow every selector in a stylesheet to one component's elements
+ * `:host` targets the scoped root itself; in other selectors the last
+ * compound must be an element the component rendered. Rules inside
+ * @media/@supports are scoped too, @keyframes and @font-face are left alone.
+ * @param {string} source - CSS text
+ * @param {string} id - Scope id
+ * @returns {string} Scoped CSS
+ */
+export function scopeCss(source, id) {
+    const text = source.replace(/\/\*[\s\S]*?\*\//g, '');
+    let output = '';
+    let index = 0;
+
+    while (index < text.length) {
+        const open = text.indexOf('{', index);
+        if (open === -1) break;
+
+        const prelude = text.slice(index, open).trim();
+        const close = findBlockEnd(text, open);
+        const body = text.slice(open + 1, close);
+
+        if (NESTING_AT_RULES.test(prelude)) {
+            output += `${prelude} {\n${scopeCss(body, id)}}\n`;
+        } else if (prelude.startsWith('@')) {
+            output += `${prelude} {${body}}\n`;
+        } else if (prelude) {
+            output += `${scopeSelectorList(prelude, id)} {${body}}\n`;
+        }
+
+        index = close + 1;
+    }
+
+    return output;
+}
+
+/**
+ * Get (and build once) the scope info of a component class
+ * @private
+ * @param {Function} ComponentClass - JokoComponent subclass
+ * @returns {Object|null} { id, css, count, element }
+ */
+function getEntry(ComponentClass) {
+    if (registry.has(ComponentClass)) {
+        return registry.get(ComponentClass);
+    }
+
+    const styles = ComponentClass.styles;
+    let entry = null;
+
+    if (styles) {
+        const source = [].concat(styles).join('\n');
+
+        // Deterministic, so server and client agree on the id
+        const id = `${ComponentClass.name || 'c'}-${hash(source)}`;
+        entry = { id, css: scopeCss(source, id), count: 0, element: null };
+    }
+
+    registry.set(ComponentClass, entry);
+    return entry;
+}
+
+/**
+ * Add a scope attribute to every opening tag that has none yet
+ * @private
+ * @param {string} markup - HTML
+ * @param {string} id - Scope id
+ * @param {string} rootAttribute - Extra attribute markup for the first tag
+ * @returns {string} Marked markup
+ */
+function markTags(markup, id, rootAttribute) {
+    const scope = ` ${SCOPE_ATTRIBUTE}="${escapeHtml(id)}"`;
+    let first = true;
+
+    return markup.replace(TAG_PATTERN, (match, tag, attributes) => {
+        if (!tag) return match;
+
+        const root = first ? rootAttribute : '';
+        first = false;
+
+        const own = attributes.includes(`${SCOPE_ATTRIBUTE}=`) ? '' : scope;
+        return `<${tag}${root}${own}${attributes}`;
+    });
+}
+
+/**
+ * Scope each selector of a comma-separated list
+ * @private
+ * @param {string} list - Selector list
+ * @param {string} id - Scope id
+ * @returns {string} Scoped selector list
+ */
+function scopeSelectorList(list, id) {
+    const root = `[${STYLE_ATTRIBUTE}="${id}"]`;
+    const scope = `[${SCOPE_ATTRIBUTE}="${id}"]`;
+
+    return splitTopLevel(list, ',')
+        .map(selector => selector.trim())
+        .filter(Boolean)
+        .map(selector => {
+            if (!selector.includes(':host')) {
+                return attachToLastCompound(selector, scope);
+            }
+
+            const hosted = selector
+                .replace(/:host\(([^)]*)\)/g, `${root}$1`)
+                .replace(/:host/g, root);
+
+            // `:host .title` also has to stop at child components
+            return lastCompound(hosted).includes(root) ? hosted : attachToLastCompound(hosted, scope);
+        })
+        .join(', ');
+}
+
+/**
+ * Add the scope to a selector's last compound (before any pseudo-element)
+ * @private
+ * @param {string} selector - Complex selector, e.g. `.card > h2`
+ * @param {string} scope - Scope attribute selector
+ * @returns {string} Selector matching only elements of the component
+ */
+function attachToLastCompound(selector, scope) {
+    const start = selector.length - lastCompound(selector).length;
+    const pseudoElement = selector.indexOf('::', start);
+    const insertAt = pseudoElement === -1 ? selector.length : pseudoElement;
+
+    return selector.slice(0, insertAt) + scope + selector.slice(insertAt);
+}
+
+/**
+ * The compound after a selector's last combinator
+ * @private
+ * @param {string} selector - Complex selector
+ * @returns {string} Last compound, e.g. `h2:hover` for `.card > h2:hover`
+ */
+function lastCompound(selector) {
+    let depth = 0;
+    let start = 0;
+
+    for (let i = 0; i < selector.length; i++) {
+        const char = selector[i];
+        if (char === '[' || char === '(') depth++;
+        else if (char === ']' || char === ')') depth--;
+        else if (depth === 0 && /[\s>+~]/.test(char)) start = i + 1;
+    }
+
+    return selector.slice(start);
+}
+
+/**
+ * Split on a separator outside of brackets and parentheses
+ * @private
+ * @param {string} text - Text to split
+ * @param {string} separator - Single character separator
+ * @returns {Array<string>} Parts
+ */
+function splitTopLevel(text, separator) {
+    const parts = [];
+    let depth = 0;
+    let start = 0;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (char === '[' || char === '(') depth++;
+        else if (char === ']' || char === ')') depth--;
+        else if (char === separator && depth === 0) {
+            parts.push(text.slice(start, i));
+            start = i + 1;
+        }
+    }
+    parts.push(text.slice(start));
+
+    return parts;
+}
+
+/**
+ * Find the `}` closing the block opened at `open`
+ * @private
+ * @param {string} text - CSS text
+ * @param {number} open - Index of the opening brace
+ * @returns {number} Index of the matching closing brace
+ */
+function findBlockEnd(text, open) {
+    let depth = 0;
+
+    for (let i = open; i < text.length; i++) {
+        if (text[i] === '{') depth++;
+        else if (text[i] === '}' && --depth === 0) return i;
+    }
+    return text.length;
+}
+
+/**
+ * Short string hash (djb2), base 36
+ * @private
+ * @param {string} text - Text to hash
+ * @returns {string} Hash
+ */
+function hash(text) {
+    let value = 5381;
+    for (let i = 0; i < text.length; i++) {
+        value = ((value << 5) + value + text.charCodeAt(i)) | 0;
+    }
+    return (value >>> 0).toString(36);
+}
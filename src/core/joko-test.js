@@ -0,0 +1,214 @@
+/**
+ * JokoUI Test Utilities
+ * Mount components headlessly, fire data-joko-* handlers, wait for
+ * renders and query the output. Works with any DOM implementation
+ * (jsdom, happy-dom) installed through installDom().
+ */
+
+import { mount, unmount } from './joko-dom.js';
+import { flushUpdates } from './joko-scheduler.js';
+import { parseEventAttribute, parseHandler } from './joko-events.js';
+
+export { MockTransport } from './prabogo-mock.js';
+
+// Globals JokoUI touches, copied from the DOM implementation's window
+const DOM_GLOBALS = [
+    'window', 'document', 'Node', 'Element', 'HTMLElement', 'HTMLInputElement', 'DocumentFragment',
+    'Event', 'CustomEvent', 'MouseEvent', 'KeyboardEvent', 'FocusEvent', 'InputEvent',
+    'localStorage', 'sessionStorage', 'location', 'history', 'navigator', 'getComputedStyle', 'matchMedia'
+];
+
+// Components mounted through renderComponent(), for cleanup()
+const mounted = new Set();
+
+/**
+ * Expose a DOM implementation's window as globals
+ * @example
+ * import { JSDOM } from 'jsdom';
+ * installDom(new JSDOM('<!DOCTYPE html>', { url: 'http://localhost/' }).window);
+ * @param {Window} window - Window from jsdom, happy-dom, ...
+ */
+export function installDom(window) {
+    for (const name of DOM_GLOBALS) {
+        if (window[name] === undefined) continue;
+
+        const value = name === 'window' ? window : window[name];
+        Object.defineProperty(globalThis, name, { value, configurable: true, writable: true });
+    }
+}
+
+/**
+ * Mount a component into a fresh container in document.body
+ * @param {Function|JokoComponent} Component - Component class or instance
+ * @param {Object} props - Props for a component class
+ * @returns {Object} Wrapper with query, trigger and settle helpers
+ */
+export function renderComponent(Component, props = {}) {
+    const component = typeof Component === 'function' ? new Component(props) : Component;
+    const container = document.createElement('div');
+    container.setAttribute('data-joko-test', '');
+    document.body.appendChild(container);
+
+    mount(component, container);
+    mounted.add(component);
+
+    return {
+        component,
+        container,
+
+        /** @returns {Element} The component's root element */
+        get element() {
+            return component._element;
+        },
+
+        /** @returns {string} Current markup */
+        html: () => container.innerHTML,
+
+        /** @returns {string} Current text content, whitespace collapsed */
+        text: () => container.textContent.replace(/\s+/g, ' ').trim(),
+
+        query: selector => container.querySelector(selector),
+        queryAll: selector => Array.from(container.querySelectorAll(selector)),
+        getByText: text => getByText(container, text),
+        trigger: (handler, options) => trigger(container, handler, options),
+        fire: (target, type, init) => fire(resolveTarget(container, target), type, init),
+        settle,
+        unmount: () => {
+            unmount(component);
+            mounted.delete(component);
+            container.remove();
+        }
+    };
+}
+
+/**
+ * Fire the event bound to a handler, e.g. trigger(root, 'increment')
+ * Finds the element carrying `data-joko-<event>="increment"` (with or
+ * without arguments), dispatches that event and waits for re-renders.
+ * @param {Element} root - Element to search
+ * @param {string} handler - Handler method name
+ * @param {Object} options - Options
+ * @param {string} options.event - Event type when the element binds several (e.g. 'keydown')
+ * @param {*} options.value - Value to put into an input before firing
+ * @param {Object} options.init - Extra event init (key, ctrlKey, ...)
+ * @param {number} options.index - Which match to use when several elements bind the handler
+ * @returns {Promise<Element>} The element the event was fired on
+ */
+export async function trigger(root, handler, options = {}) {
+    const matches = [];
+
+    for (const el of [root, ...root.querySelectorAll('*')]) {
+        if (el.nodeType !== 1) continue;
+
+        for (const { name, value } of Array.from(el.attributes)) {
+            const binding = parseEventAttribute(name);
+            if (binding && parseHandler(value).name === handler && (!options.event || binding.type === options.event)) {
+                matches.push({ el, type: binding.type });
+            }
+        }
+    }
+
+    const match = matches[options.index || 0];
+    if (!match) {
+        throw new Error(`JokoUI test: no element bound to handler "${handler}"`);
+    }
+
+    if (options.value !== undefined) {
+        setValue(match.el, options.value);
+    }
+
+    fire(match.el, match.type, options.init);
+    await settle();
+    return match.el;
+}
+
+/**
+ * Dispatch a DOM event with sensible defaults for its type
+ * @param {Element} el - Target element
+ * @param {string} type - Event type (click, input, submit, keydown, ...)
+ * @param {Object} init - Extra event init
+ * @returns {boolean} False if the event was cancelled
+ */
+export function fire(el, type, init = {}) {
+    const view = el.ownerDocument.defaultView;
+    const options = { bubbles: true, cancelable: true, ...init };
+
+    let EventClass = view.Event;
+    if (/^(click|dblclick|mouse|contextmenu)/.test(type)) EventClass = view.MouseEvent;
+    else if (/^key/.test(type)) EventClass = view.KeyboardEvent;
+    else if (/^(focus|blur)/.test(type)) EventClass = view.FocusEvent;
+
+    return el.dispatchEvent(new EventClass(type, options));
+}
+
+/**
+ * Set a form control's value (or checked state) like a user would
+ * Fires `input` and `change` so data-joko-model bindings pick it up.
+ * @param {Element} el - Input, select or textarea
+ * @param {*} value - New value (boolean for checkboxes/radios)
+ */
+export function setValue(el, value) {
+    if (el.type === 'checkbox' || el.type === 'radio') {
+        el.checked = !!value;
+    } else {
+        el.value = value;
+    }
+
+    fire(el, 'input');
+    fire(el, 'change');
+}
+
+/**
+ * Wait until pending renders, promises and zero-delay timers have settled
+ * @param {number} rounds - How many timer turns to wait (default 3)
+ * @returns {Promise<void>}
+ */
+export async function settle(rounds = 3) {
+    for (let i = 0; i < rounds; i++) {
+        await Promise.resolve();
+        flushUpdates();
+        await new Promise(resolve => setTimeout(resolve, 0));
+        flushUpdates();
+    }
+}
+
+/**
+ * Find the innermost element whose text contains a string
+ * @param {Element} root - Element to search
+ * @param {string|RegExp} text - Text to look for
+ * @returns {Element|null} Matching element
+ */
+export function getByText(root, text) {
+    const matches = el => (text instanceof RegExp ? text.test(el.textContent) : el.textContent.includes(text));
+    const candidates = Array.from(root.querySelectorAll('*')).filter(matches);
+
+    return candidates.find(el => !Array.from(el.children).some(matches)) || null;
+}
+
+/**
+ * Unmount everything mounted with renderComponent()
+ * Call it after each test.
+ */
+export function cleanup() {
+    for (const component of mounted) {
+        const container = component._element && component._element.parentNode;
+        unmount(component);
+        if (container) container.remove();
+    }
+    mounted.clear();
+}
+
+/**
+ * Resolve a selector or element inside a container
+ * @private
+ * @param {Element} container - Test container
+ * @param {string|Element} target - Selector or element
+ * @returns {Element} Target element
+ */
+function resolveTarget(container, target) {
+    const el = typeof target === 'string' ? container.querySelector(target) : target;
+    if (!el) {
+        throw new Error(`JokoUI test: no element matches "${target}"`);
+    }
+    return el;
+}
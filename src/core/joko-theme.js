@@ -0,0 +1,303 @@
+/**
+ * JokoUI Theme Module
+ * Design tokens as CSS custom properties, switchable at runtime
+ *
+ * style.css declares the dark tokens as the default. Applying a theme
+ * writes its tokens onto <html> (overriding :root) and sets
+ * `data-theme` so stylesheets can special-case a theme if they must.
+ */
+
+// localStorage key of the chosen theme
+const STORAGE_KEY = 'joko:theme';
+
+// Tokens every theme shares with dark, the base in style.css
+const DARK_TOKENS = {
+    'color-primary': '#6366f1',
+    'color-primary-dark': '#4f46e5',
+    'color-primary-light': '#818cf8',
+    'color-accent': '#10b981',
+    'color-accent-dark': '#059669',
+    'color-accent-light': '#34d399',
+    'color-warning': '#f59e0b',
+    'color-danger': '#ef4444',
+    'color-danger-bg': 'rgba(239, 68, 68, 0.1)',
+    'color-danger-border': 'rgba(239, 68, 68, 0.3)',
+    'color-on-primary': '#ffffff',
+    'color-bg-primary': '#0f0f1a',
+    'color-bg-secondary': '#1a1a2e',
+    'color-bg-card': '#16162b',
+    'color-bg-elevated': '#1f1f3a',
+    'color-text-primary': '#f8fafc',
+    'color-text-secondary': '#94a3b8',
+    'color-text-muted': '#64748b',
+    'color-border': 'rgba(99, 102, 241, 0.2)',
+    'color-border-hover': 'rgba(99, 102, 241, 0.4)',
+    'color-glow-primary': 'rgba(99, 102, 241, 0.1)',
+    'color-glow-accent': 'rgba(16, 185, 129, 0.08)',
+    'shadow-sm': '0 2px 8px rgba(0, 0, 0, 0.3)',
+    'shadow-md': '0 4px 16px rgba(0, 0, 0, 0.4)',
+    'shadow-lg': '0 8px 32px rgba(0, 0, 0, 0.5)',
+    'shadow-glow': '0 0 40px rgba(99, 102, 241, 0.15)',
+    'shadow-primary': '0 4px 15px rgba(99, 102, 241, 0.3)',
+    'shadow-primary-hover': '0 6px 20px rgba(99, 102, 241, 0.4)',
+    'shadow-accent': '0 4px 15px rgba(16, 185, 129, 0.3)',
+    'shadow-accent-hover': '0 6px 20px rgba(16, 185, 129, 0.4)'
+};
+
+// Registered themes: name -> { tokens, colorScheme }
+const themes = new Map([
+    ['dark', { tokens: DARK_TOKENS, colorScheme: 'dark' }],
+    ['light', {
+        colorScheme: 'light',
+        tokens: {
+            ...DARK_TOKENS,
+            'color-primary-dark': '#4338ca',
+            'color-accent': '#059669',
+            'color-accent-dark': '#047857',
+            'color-danger': '#dc2626',
+            'color-danger-bg': 'rgba(220, 38, 38, 0.08)',
+            'color-danger-border': 'rgba(220, 38, 38, 0.3)',
+            'color-bg-primary': '#f8fafc',
+            'color-bg-secondary': '#eef2ff',
+            'color-bg-card': '#ffffff',
+            'color-bg-elevated': '#f1f5f9',
+            'color-text-primary': '#0f172a',
+            'color-text-secondary': '#475569',
+            'color-text-muted': '#64748b',
+            'color-border': 'rgba(79, 70, 229, 0.18)',
+            'color-border-hover': 'rgba(79, 70, 229, 0.4)',
+            'color-glow-primary': 'rgba(99, 102, 241, 0.08)',
+            'color-glow-accent': 'rgba(16, 185, 129, 0.06)',
+            'shadow-sm': '0 2px 8px rgba(15, 23, 42, 0.06)',
+            'shadow-md': '0 4px 16px rgba(15, 23, 42, 0.08)',
+            'shadow-lg': '0 8px 32px rgba(15, 23, 42, 0.12)',
+            'shadow-glow': '0 0 40px rgba(99, 102, 241, 0.08)'
+        }
+    }],
+    ['high-contrast', {
+        colorScheme: 'dark',
+        tokens: {
+            ...DARK_TOKENS,
+            'color-primary': '#a5b4fc',
+            'color-primary-dark': '#818cf8',
+            'color-primary-light': '#c7d2fe',
+            'color-accent': '#6ee7b7',
+            'color-accent-dark': '#34d399',
+            'color-danger': '#fca5a5',
+            'color-danger-bg': '#000000',
+            'color-danger-border': '#fca5a5',
+            'color-on-primary': '#000000',
+            'color-bg-primary': '#000000',
+            'color-bg-secondary': '#000000',
+            'color-bg-card': '#000000',
+            'color-bg-elevated': '#111111',
+            'color-text-primary': '#ffffff',
+            'color-text-secondary': '#ffffff',
+            'color-text-muted': '#e5e5e5',
+            'color-border': '#ffffff',
+            'color-border-hover': '#ffff00',
+            'color-glow-primary': 'transparent',
+            'color-glow-accent': 'transparent',
+            'shadow-glow': 'none',
+            'shadow-primary': 'none',
+            'shadow-primary-hover': '0 0 0 2px #ffff00',
+            'shadow-accent': 'none',
+            'shadow-accent-hover': '0 0 0 2px #ffff00'
+        }
+    }]
+]);
+
+// Theme chosen by the user ('auto' follows the OS) and the one applied
+let current = 'auto';
+let resolved = null;
+
+// Change listeners and the media queries auto mode listens to
+const listeners = new Set();
+let mediaQueries = null;
+
+/**
+ * Register (or replace) a theme
+ * @example
+ * defineTheme('brand', { 'color-primary': '#e11d48' }, { extends: 'light' });
+ * @param {string} name - Theme name
+ * @param {Object} tokens - Token values keyed without the leading `--`
+ * @param {Object} options - Options
+ * @param {string} options.extends - Theme whose tokens fill in the rest (default 'dark')
+ * @param {string} options.colorScheme - 'dark' or 'light' (default: the extended theme's)
+ */
+export function defineTheme(name, tokens, options = {}) {
+    const base = themes.get(options.extends || 'dark');
+    if (!base) {
+        throw new Error(`JokoUI: Unknown theme "${options.extends}"`);
+    }
+
+    themes.set(name, {
+        tokens: { ...base.tokens, ...normalizeTokens(tokens) },
+        colorScheme: options.colorScheme || base.colorScheme
+    });
+
+    // Redefining the active theme takes effect right away
+    if (resolved === name) {
+        applyTheme(name);
+    }
+}
+
+/**
+ * Switch themes and remember the choice
+ * @param {string} name - Theme name, or 'auto' to follow prefers-color-scheme/prefers-contrast
+ */
+export function setTheme(name) {
+    if (name !== 'auto' && !themes.has(name)) {
+        throw new Error(`JokoUI: Unknown theme "${name}"`);
+    }
+
+    current = name;
+
+    try {
+        localStorage.setItem(STORAGE_KEY, name);
+    } catch {
+        // Storage disabled: the choice lasts until reload
+    }
+
+    applyTheme(resolveTheme());
+}
+
+/**
+ * Current theme
+ * @returns {Object} { name, resolved } - name may be 'auto', resolved never is
+ */
+export function getTheme() {
+    return { name: current, resolved: resolved || resolveTheme() };
+}
+
+/**
+ * Token values of a theme
+ * @param {string} name - Theme name (default: the active theme)
+ * @returns {Object} Tokens keyed without the leading `--`
+ */
+export function getTokens(name = getTheme().resolved) {
+    const theme = themes.get(name);
+    return theme ? { ...theme.tokens } : {};
+}
+
+/**
+ * Reference a token in CSS or inline styles
+ * @example
+ * html`<span style="color: ${token('color-accent')}">ok</span>`
+ * @param {string} name - Token name, with or without the leading `--`
+ * @param {string} fallback - Fallback value when the token is unset
+ * @returns {string} `var(--name)` expression
+ */
+export function token(name, fallback) {
+    const property = `--${name.replace(/^--/, '')}`;
+    return fallback === undefined ? `var(${property})` : `var(${property}, ${fallback})`;
+}
+
+/**
+ * Listen for theme changes
+ * @param {Function} listener - Called with { name, resolved }
+ * @returns {Function} Function that removes the listener
+ */
+export function onThemeChange(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+/**
+ * Apply the saved theme (or 'auto') and follow OS preference changes
+ * Call once at startup, before mounting, to avoid a flash of the default theme.
+ * @param {string} fallback - Theme used when nothing is saved (default 'auto')
+ * @returns {Object} { name, resolved }
+ */
+export function initTheme(fallback = 'auto') {
+    let saved = null;
+    try {
+        saved = localStorage.getItem(STORAGE_KEY);
+    } catch {
+        // Storage disabled
+    }
+
+    current = saved && (saved === 'auto' || themes.has(saved)) ? saved : fallback;
+    watchPreferences();
+    applyTheme(resolveTheme());
+
+    return getTheme();
+}
+
+/**
+ * Pick the concrete theme for the current choice
+ * @private
+ * @returns {string} Theme name
+ */
+function resolveTheme() {
+    if (current !== 'auto') {
+        return current;
+    }
+    if (typeof matchMedia !== 'function') {
+        return 'dark';
+    }
+    if (matchMedia('(prefers-contrast: more)').matches) {
+        return 'high-contrast';
+    }
+    return matchMedia('(prefers-color-scheme: light)').matches ? 'light' : 'dark';
+}
+
+/**
+ * Write a theme's tokens onto <html> and notify listeners
+ * @private
+ * @param {string} name - Theme name
+ */
+function applyTheme(name) {
+    const theme = themes.get(name);
+    resolved = name;
+
+    if (typeof document !== 'undefined') {
+        const root = document.documentElement;
+        root.setAttribute('data-theme', name);
+        root.style.colorScheme = theme.colorScheme;
+
+        for (const [key, value] of Object.entries(theme.tokens)) {
+            root.style.setProperty(`--${key}`, value);
+        }
+    }
+
+    const info = getTheme();
+    listeners.forEach(listener => listener(info));
+}
+
+/**
+ * Re-resolve 'auto' when the OS color scheme or contrast setting changes
+ * @private
+ */
+function watchPreferences() {
+    if (mediaQueries || typeof matchMedia !== 'function') return;
+
+    const onChange = () => {
+        if (current === 'auto') {
+            applyTheme(resolveTheme());
+        }
+    };
+
+    mediaQueries = ['(prefers-color-scheme: light)', '(prefers-contrast: more)'].map(query => matchMedia(query));
+    mediaQueries.forEach(query => {
+        if (query.addEventListener) {
+            query.addEventListener('change', onChange);
+        } else if (query.addListener) {
+            query.addListener(onChange);
+        }
+    });
+}
+
+/**
+ * Strip leading `--` from token names
+ * @private
+ * @param {Object} tokens - Token values
+ * @returns {Object} Tokens keyed without `--`
+ */
+function normalizeTokens(tokens) {
+    const normalized = {};
+    for (const [key, value] of Object.entries(tokens)) {
+        normalized[key.replace(/^--/, '')] = value;
+    }
+    return normalized;
+}
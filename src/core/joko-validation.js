@@ -0,0 +1,158 @@
+/**
+ * JokoUI Validation Module
+ * Declarative field rules for component forms
+ *
+ * A rule is a function (value, state) => error message, or null when valid.
+ */
+
+/**
+ * Check whether a value counts as empty
+ * @private
+ * @param {*} value - Value to check
+ * @returns {boolean} True for null, undefined, '', [] and false
+ */
+function isEmpty(value) {
+    return value === null ||
+        value === undefined ||
+        value === false ||
+        (typeof value === 'string' && value.trim() === '') ||
+        (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * Measure a value for the length rules
+ * @private
+ * @param {*} value - Value to measure
+ * @returns {number} Item count for arrays (checkbox groups, multi-selects), character count otherwise
+ */
+function lengthOf(value) {
+    return Array.isArray(value) ? value.length : String(value).length;
+}
+
+/**
+ * Field must have a value
+ * @param {string} message - Error message
+ * @returns {Function} Rule
+ */
+export function required(message = 'This field is required') {
+    return value => (isEmpty(value) ? message : null);
+}
+
+/**
+ * String or array must have at least `length` items/characters
+ * @param {number} length - Minimum length
+ * @param {string} message - Error message
+ * @returns {Function} Rule
+ */
+export function minLength(length, message = `Must be at least ${length} characters`) {
+    return value => (!isEmpty(value) && lengthOf(value) < length ? message : null);
+}
+
+/**
+ * String or array must have at most `length` items/characters
+ * @param {number} length - Maximum length
+ * @param {string} message - Error message
+ * @returns {Function} Rule
+ */
+export function maxLength(length, message = `Must be at most ${length} characters`) {
+    return value => (!isEmpty(value) && lengthOf(value) > length ? message : null);
+}
+
+/**
+ * Number must be greater than or equal to `limit`
+ * @param {number} limit - Minimum value
+ * @param {string} message - Error message
+ * @returns {Function} Rule
+ */
+export function min(limit, message = `Must be at least ${limit}`) {
+    return value => (!isEmpty(value) && Number(value) < limit ? message : null);
+}
+
+/**
+ * Number must be less than or equal to `limit`
+ * @param {number} limit - Maximum value
+ * @param {string} message - Error message
+ * @returns {Function} Rule
+ */
+export function max(limit, message = `Must be at most ${limit}`) {
+    return value => (!isEmpty(value) && Number(value) > limit ? message : null);
+}
+
+/**
+ * Value must match a regular expression
+ * @param {RegExp} regex - Pattern to test
+ * @param {string} message - Error message
+ * @returns {Function} Rule
+ */
+export function pattern(regex, message = 'Invalid format') {
+    return value => (!isEmpty(value) && !regex.test(String(value)) ? message : null);
+}
+
+/**
+ * Value must look like an email address
+ * @param {string} message - Error message
+ * @returns {Function} Rule
+ */
+export function email(message = 'Must be a valid email address') {
+    return pattern(/^[^\s@]+@[^\s@]+\.[^\s@]+$/, message);
+}
+
+/**
+ * Value must equal another field (e.g. password confirmation)
+ * @param {string} path - State path of the other field
+ * @param {string} message - Error message
+ * @returns {Function} Rule
+ */
+export function sameAs(path, message = 'Fields do not match') {
+    return (value, state) => {
+        const other = path.split('.').reduce((obj, key) => (obj == null ? obj : obj[key]), state);
+        return value !== other ? message : null;
+    };
+}
+
+/**
+ * Run a list of rules against a value
+ * @param {*} value - Field value
+ * @param {Function|Array<Function>} fieldRules - Rule or rules for the field
+ * @param {Object} state - Whole component state (for cross-field rules)
+ * @returns {string|null} First error message, or null if valid
+ */
+export function validateValue(value, fieldRules, state) {
+    for (const rule of [].concat(fieldRules || [])) {
+        const result = rule(value, state);
+        if (result && result !== true) {
+            return result;
+        }
+    }
+    return null;
+}
+
+/**
+ * Show field errors reported by the server next to the matching inputs
+ * Works with any error carrying a `fields` map, such as the
+ * ValidationError thrown by PrabogoClient.
+ * @example
+ * try {
+ *     await prabogoClient.post('/users', this.state.form);
+ * } catch (error) {
+ *     applyServerErrors(this, error, { prefix: 'form.', map: { user_email: 'form.email' } });
+ * }
+ * @param {JokoComponent} component - Component whose `errors` receive the messages
+ * @param {Error} error - Request error
+ * @param {Object} options - Options
+ * @param {string} options.prefix - Prepended to server field names to form state paths (e.g. 'form.')
+ * @param {Object} options.map - Server field name to state path, for names that differ
+ * @returns {boolean} True if at least one field error was applied
+ */
+export function applyServerErrors(component, error, options = {}) {
+    const { prefix = '', map = {} } = options;
+    const fields = (error && error.fields) || {};
+    const errors = {};
+
+    for (const [field, message] of Object.entries(fields)) {
+        errors[map[field] || prefix + field] = message;
+    }
+
+    component.setErrors(errors);
+    return Object.keys(errors).length > 0;
+}
@@ -0,0 +1,406 @@
+/**
+ * PrabogoConnect Auth
+ * Access/refresh token session for PrabogoClient: proactive refresh,
+ * 401 replay after a single shared refresh, events and persistence
+ */
+
+import { prabogoClient, AuthError, ValidationError } from './prabogo-connect.js';
+
+// Never refresh more often than this, whatever the token lifetime
+const MIN_REFRESH_INTERVAL = 5000;
+
+// Short-lived tokens are refreshed once this share of their lifetime is left at most
+const MAX_MARGIN_RATIO = 0.5;
+
+/**
+ * Auth session manager attached to a PrabogoClient
+ */
+export class PrabogoAuth {
+    /**
+     * Create a new PrabogoAuth instance
+     * @param {Object} config - Configuration options
+     * @param {PrabogoClient} config.client - Client to authenticate (default prabogoClient)
+     * @param {string} config.refreshEndpoint - Endpoint receiving { refreshToken } (default '/auth/refresh')
+     * @param {Function} config.refresh - Custom (refreshToken, client) => Promise<session>, replaces refreshEndpoint
+     * @param {number} config.refreshMargin - Refresh this many ms before the access token expires (default 30s,
+     *        at most half the token lifetime)
+     * @param {string|boolean} config.storage - 'local' (default), 'session' or false to keep the session in memory
+     * @param {string} config.storageKey - Storage key for the session (default 'prabogo:auth')
+     */
+    constructor(config = {}) {
+        this.client = config.client || prabogoClient;
+        this.refreshEndpoint = config.refreshEndpoint || '/auth/refresh';
+        this.refreshMargin = config.refreshMargin !== undefined ? config.refreshMargin : 30000;
+        this.storageKey = config.storageKey || 'prabogo:auth';
+        this.storage = resolveStorage(config.storage === undefined ? 'local' : config.storage);
+        this.session = null;
+
+        this._refreshHandler = config.refresh || null;
+        this._refreshing = null;
+        this._lastRefreshAt = 0;
+        this._timer = null;
+        this._listeners = new Map();
+
+        this.client.setAuth(this);
+        this._restore();
+    }
+
+    /**
+     * Whether there is a session with an access token
+     * @returns {boolean}
+     */
+    get isAuthenticated() {
+        return !!(this.session && this.session.accessToken);
+    }
+
+    /**
+     * Current access token, if any
+     * @returns {string|null}
+     */
+    get accessToken() {
+        return this.session ? this.session.accessToken : null;
+    }
+
+    /**
+     * Start a session
+     * @param {Object} session - Tokens from the login response
+     * @param {string} session.accessToken - Access token (access_token/token also accepted)
+     * @param {string} session.refreshToken - Refresh token (refresh_token also accepted)
+     * @param {number} session.expiresIn - Access token lifetime in seconds (or expiresAt in ms)
+     * @param {Object} session.user - Optional user data kept with the session
+     * @returns {Object} The normalized session
+     */
+    login(session) {
+        this._clearCache();
+        this._setSession(normalizeSession(session));
+        this._emit('login', this.session);
+        return this.session;
+    }
+
+    /**
+     * End the session, forget the tokens and drop cached responses
+     */
+    logout() {
+        const session = this.session;
+        this._clearCache();
+        this._setSession(null);
+        this._emit('logout', session);
+    }
+
+    /**
+     * Get a usable access token, refreshing first if it is about to expire
+     * Requests made while a refresh is running wait for it here.
+     * @returns {Promise<string|null>} Access token
+     */
+    async getAccessToken() {
+        if (this._refreshing) {
+            await this._refreshing.catch(() => {});
+        } else if (this._isExpiring() && this.session.refreshToken) {
+            await this.refresh().catch(() => {});
+        }
+        return this.accessToken;
+    }
+
+    /**
+     * Exchange the refresh token for a new access token
+     * Concurrent callers share one refresh call. When the refresh token is
+     * rejected the session ends with an 'expired' event.
+     * @returns {Promise<Object>} The new session
+     */
+    refresh() {
+        if (this._refreshing) {
+            return this._refreshing;
+        }
+
+        const refreshToken = this.session && this.session.refreshToken;
+        if (!refreshToken) {
+            return Promise.reject(new Error('No refresh token available'));
+        }
+
+        this._lastRefreshAt = Date.now();
+        this._refreshing = this._requestRefresh(refreshToken)
+            .then(result => {
+                // Servers that don't rotate refresh tokens omit it from the response
+                const session = normalizeSession({ refreshToken, user: this.session && this.session.user, ...result });
+                this._setSession(session);
+                this._emit('refresh', session);
+                return session;
+            }, error => {
+                // Rejected refresh token; server or network trouble keeps the session
+                if (error instanceof AuthError || error instanceof ValidationError) {
+                    this._expire(error);
+                }
+                throw error;
+            })
+            .finally(() => {
+                this._refreshing = null;
+            });
+
+        return this._refreshing;
+    }
+
+    /**
+     * Decide what to do with a 401 response (called by PrabogoClient)
+     * @param {string} usedToken - Authorization header the request was sent with
+     * @returns {Promise<boolean>} True when the request should be replayed
+     */
+    async handleUnauthorized(usedToken) {
+        if (!this.session) {
+            return false;
+        }
+
+        // Another request already refreshed the token meanwhile
+        if (this.accessToken && usedToken !== `Bearer ${this.accessToken}`) {
+            return true;
+        }
+
+        if (!this.session.refreshToken) {
+            this._expire();
+            return false;
+        }
+
+        try {
+            await this.refresh();
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * Listen to session events: 'login', 'logout', 'refresh', 'expired'
+     * @param {string} event - Event name
+     * @param {Function} handler - Called with the session (or error for 'expired')
+     * @returns {Function} Function that removes the listener
+     */
+    on(event, handler) {
+        if (!this._listeners.has(event)) {
+            this._listeners.set(event, new Set());
+        }
+        this._listeners.get(event).add(handler);
+
+        return () => this._listeners.get(event).delete(handler);
+    }
+
+    /**
+     * Call the refresh endpoint (or the custom refresh function)
+     * @private
+     * @param {string} refreshToken - Refresh token
+     * @returns {Promise<Object>} Raw session data
+     */
+    async _requestRefresh(refreshToken) {
+        if (this._refreshHandler) {
+            return this._refreshHandler(refreshToken, this.client);
+        }
+
+        const response = await this.client.post(
+            this.refreshEndpoint,
+            { refreshToken },
+            {},
+            { skipAuth: true, retry: false }
+        );
+        return response.data;
+    }
+
+    /**
+     * Replace the session, then persist it, update the client and reschedule
+     * @private
+     * @param {Object|null} session - New session
+     */
+    _setSession(session) {
+        this.session = session;
+        this._persist();
+        this._apply();
+        this._schedule();
+    }
+
+    /**
+     * End the session because it can no longer be refreshed
+     * @private
+     * @param {Error} error - Failure that ended the session, if any
+     */
+    _expire(error = null) {
+        const session = this.session;
+        this._clearCache();
+        this._setSession(null);
+        this._emit('expired', { session, error });
+    }
+
+    /**
+     * Drop the client's cached responses
+     * The cache is keyed by URL only, so one user's data must not be served to the next.
+     * @private
+     */
+    _clearCache() {
+        if (this.client.cache) {
+            this.client.cache.clear();
+        }
+    }
+
+    /**
+     * Write the Authorization header on the client
+     * @private
+     */
+    _apply() {
+        if (this.isAuthenticated) {
+            this.client.setAuthToken(this.session.accessToken);
+        } else {
+            this.client.clearAuthToken();
+        }
+    }
+
+    /**
+     * Schedule a refresh shortly before the access token expires
+     * @private
+     */
+    _schedule() {
+        clearTimeout(this._timer);
+        this._timer = null;
+
+        if (!this.session || !this.session.refreshToken || !this.session.expiresAt) {
+            return;
+        }
+
+        // Tokens living no longer than the margin would otherwise refresh in a tight loop
+        const delay = Math.max(MIN_REFRESH_INTERVAL, this._refreshAt() - Date.now());
+        this._timer = setTimeout(() => {
+            // Failures surface through the 'expired' event or the next request
+            this.refresh().catch(() => {});
+        }, delay);
+    }
+
+    /**
+     * Whether the access token expires within the refresh margin
+     * Right after a refresh it never is, so a server issuing short-lived
+     * tokens can't make every request refresh first.
+     * @private
+     * @returns {boolean}
+     */
+    _isExpiring() {
+        if (!this.session || !this.session.expiresAt) {
+            return false;
+        }
+        if (Date.now() - this._lastRefreshAt < MIN_REFRESH_INTERVAL) {
+            return false;
+        }
+        return this._refreshAt() <= Date.now();
+    }
+
+    /**
+     * Time to refresh the access token: refreshMargin before it expires,
+     * capped at a share of the token lifetime
+     * @private
+     * @returns {number} Timestamp in milliseconds
+     */
+    _refreshAt() {
+        const { expiresAt, issuedAt } = this.session;
+        const lifetime = Math.max(0, expiresAt - (issuedAt || Date.now()));
+        return expiresAt - Math.min(this.refreshMargin, lifetime * MAX_MARGIN_RATIO);
+    }
+
+    /**
+     * Save the session to storage
+     * @private
+     */
+    _persist() {
+        if (!this.storage) return;
+
+        try {
+            if (this.session) {
+                this.storage.setItem(this.storageKey, JSON.stringify(this.session));
+            } else {
+                this.storage.removeItem(this.storageKey);
+            }
+        } catch {
+            // Storage full or disabled: the session just won't survive a reload
+        }
+    }
+
+    /**
+     * Load a saved session from storage
+     * @private
+     */
+    _restore() {
+        if (!this.storage) return;
+
+        try {
+            const raw = this.storage.getItem(this.storageKey);
+            if (raw) {
+                this._setSession(JSON.parse(raw));
+            }
+        } catch {
+            this.storage.removeItem(this.storageKey);
+        }
+    }
+
+    /**
+     * Call the listeners of an event
+     * @private
+     * @param {string} event - Event name
+     * @param {*} payload - Listener argument
+     */
+    _emit(event, payload) {
+        const listeners = this._listeners.get(event);
+        if (!listeners) return;
+
+        for (const handler of [...listeners]) {
+            handler(payload);
+        }
+    }
+}
+
+/**
+ * Normalize the token fields of a login/refresh response
+ * @private
+ * @param {Object} data - Response data
+ * @returns {Object} { accessToken, refreshToken, expiresAt, issuedAt, user }
+ */
+function normalizeSession(data) {
+    const accessToken = data.accessToken || data.access_token || data.token || null;
+    const refreshToken = data.refreshToken || data.refresh_token || null;
+    const expiresIn = data.expiresIn !== undefined ? data.expiresIn : data.expires_in;
+
+    let expiresAt = data.expiresAt || null;
+    if (!expiresAt && expiresIn !== undefined) {
+        expiresAt = Date.now() + Number(expiresIn) * 1000;
+    }
+    if (!expiresAt && accessToken) {
+        expiresAt = jwtExpiry(accessToken);
+    }
+
+    return { accessToken, refreshToken, expiresAt, issuedAt: Date.now(), user: data.user || null };
+}
+
+/**
+ * Read the expiry (exp claim) of a JWT without verifying it
+ * @private
+ * @param {string} token - Access token
+ * @returns {number|null} Expiry in milliseconds, or null for opaque tokens
+ */
+function jwtExpiry(token) {
+    const parts = token.split('.');
+    if (parts.length !== 3) return null;
+
+    try {
+        const payload = JSON.parse(atob(parts[1].replace(/-/g, '+').replace(/_/g, '/')));
+        return typeof payload.exp === 'number' ? payload.exp * 1000 : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Pick the Web Storage used for persistence
+ * @private
+ * @param {string|boolean|Object} storage - 'local', 'session', false, or a Storage-like object
+ * @returns {Storage|null}
+ */
+function resolveStorage(storage) {
+    if (!storage) return null;
+    if (typeof storage === 'object') return storage;
+    if (typeof window === 'undefined') return null;
+
+    return storage === 'session' ? window.sessionStorage : window.localStorage;
+}
+
+export default PrabogoAuth;
@@ -0,0 +1,204 @@
+/**
+ * PrabogoConnect Cache
+ * Response cache for PrabogoClient with TTLs, ETags and pluggable storage
+ */
+
+/**
+ * In-memory cache storage (lost on reload)
+ */
+export class MemoryStorage {
+    constructor() {
+        this._entries = new Map();
+    }
+
+    get(key) {
+        return this._entries.has(key) ? this._entries.get(key) : null;
+    }
+
+    set(key, entry) {
+        this._entries.set(key, entry);
+    }
+
+    delete(key) {
+        this._entries.delete(key);
+    }
+
+    keys() {
+        return Array.from(this._entries.keys());
+    }
+}
+
+/**
+ * Cache storage backed by localStorage (survives reloads)
+ */
+export class LocalStorageAdapter {
+    /**
+     * @param {string} prefix - Prefix for localStorage keys
+     */
+    constructor(prefix = 'prabogo:cache:') {
+        this.prefix = prefix;
+    }
+
+    get(key) {
+        try {
+            const raw = localStorage.getItem(this.prefix + key);
+            return raw ? JSON.parse(raw) : null;
+        } catch {
+            return null;
+        }
+    }
+
+    set(key, entry) {
+        try {
+            localStorage.setItem(this.prefix + key, JSON.stringify(entry));
+        } catch {
+            // Quota exceeded or storage disabled: caching is best effort
+        }
+    }
+
+    delete(key) {
+        localStorage.removeItem(this.prefix + key);
+    }
+
+    keys() {
+        const keys = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (key && key.startsWith(this.prefix)) {
+                keys.push(key.slice(this.prefix.length));
+            }
+        }
+        return keys;
+    }
+}
+
+/**
+ * Response cache keyed by request URL
+ */
+export class PrabogoCache {
+    /**
+     * Create a new PrabogoCache instance
+     * @param {Object} config - Configuration options
+     * @param {number} config.ttl - Time to live in milliseconds (default 60s)
+     * @param {string|Object} config.storage - 'memory' (default), 'local', or a storage adapter
+     */
+    constructor(config = {}) {
+        this.ttl = config.ttl ?? 60000;
+
+        if (config.storage === 'local') {
+            this.storage = new LocalStorageAdapter();
+        } else if (config.storage && typeof config.storage === 'object') {
+            this.storage = config.storage;
+        } else {
+            this.storage = new MemoryStorage();
+        }
+    }
+
+    /**
+     * Get a cached entry, fresh or stale
+     * @param {string} key - Cache key (request URL)
+     * @returns {Object|null} Entry { response, etag, expiresAt, storedAt }
+     */
+    get(key) {
+        return this.storage.get(key);
+    }
+
+    /**
+     * Check whether an entry is still within its TTL
+     * @param {Object} entry - Cache entry
+     * @returns {boolean} True if the entry can be served without a request
+     */
+    isFresh(entry) {
+        return Boolean(entry) && entry.expiresAt > Date.now();
+    }
+
+    /**
+     * Store a response
+     * @param {string} key - Cache key (request URL)
+     * @param {Object} response - PrabogoClient response object
+     * @param {number} ttl - Time to live override in milliseconds
+     */
+    set(key, response, ttl = this.ttl) {
+        const now = Date.now();
+
+        this.storage.set(key, {
+            response: serializeResponse(response),
+            etag: response.headers && response.headers.get ? response.headers.get('etag') : null,
+            storedAt: now,
+            expiresAt: now + ttl
+        });
+    }
+
+    /**
+     * Mark an entry as fresh again (e.g. after a 304 Not Modified)
+     * @param {string} key - Cache key
+     * @param {number} ttl - Time to live in milliseconds
+     */
+    touch(key, ttl = this.ttl) {
+        const entry = this.storage.get(key);
+        if (entry) {
+            this.storage.set(key, { ...entry, expiresAt: Date.now() + ttl });
+        }
+    }
+
+    /**
+     * Remove a single entry
+     * @param {string} key - Cache key
+     */
+    invalidate(key) {
+        this.storage.delete(key);
+    }
+
+    /**
+     * Remove every entry whose key starts with a prefix
+     * @param {string} prefix - Key prefix, e.g. 'https://api.example.com/users'
+     */
+    invalidatePrefix(prefix) {
+        this.storage.keys()
+            .filter(key => key.startsWith(prefix))
+            .forEach(key => this.storage.delete(key));
+    }
+
+    /**
+     * Remove every entry
+     */
+    clear() {
+        this.invalidatePrefix('');
+    }
+}
+
+/**
+ * Turn a cache entry back into a response object
+ * @param {Object} entry - Cache entry
+ * @returns {Object} Response object flagged with fromCache
+ */
+export function reviveResponse(entry) {
+    return {
+        ...entry.response,
+        headers: new Headers(entry.response.headers),
+        fromCache: true
+    };
+}
+
+/**
+ * Convert a response object into plain JSON-safe data
+ * @private
+ * @param {Object} response - PrabogoClient response object
+ * @returns {Object} Serializable response
+ */
+function serializeResponse(response) {
+    const headers = {};
+    if (response.headers && typeof response.headers.forEach === 'function') {
+        response.headers.forEach((value, name) => {
+            headers[name] = value;
+        });
+    }
+
+    return {
+        ok: response.ok,
+        status: response.status,
+        statusText: response.statusText,
+        headers,
+        data: response.data
+    };
+}
@@ -1,8 +1,46 @@
 /**
  * PrabogoConnect - HTTP Client for Prabogo Backend
- * Dedicated API adapter with automatic JSON parsing
+ * Dedicated API adapter with automatic JSON parsing, raw bodies
+ * (FormData, Blob, ...) and upload/download progress
  */
 
+import {
+    PrabogoError,
+    HttpError,
+    ValidationError,
+    AuthError,
+    NotFoundError,
+    ServerError,
+    NetworkError,
+    TimeoutError,
+    CancelledError,
+    createHttpError
+} from './prabogo-errors.js';
+
+import { PrabogoCache, reviveResponse } from './prabogo-cache.js';
+
+export {
+    PrabogoError,
+    HttpError,
+    ValidationError,
+    AuthError,
+    NotFoundError,
+    ServerError,
+    NetworkError,
+    TimeoutError,
+    CancelledError
+};
+
+// Default retry policy: idempotent methods, transient statuses
+const DEFAULT_RETRY = {
+    retries: 2,
+    methods: ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'],
+    statusCodes: [408, 429, 500, 502, 503, 504],
+    baseDelay: 300,
+    maxDelay: 10000,
+    factor: 2
+};
+
 /**
  * PrabogoClient class for making HTTP requests to Prabogo Backend
  */
@@ -13,6 +51,9 @@ export class PrabogoClient {
      * @param {string} config.baseUrl - Base URL for the API
      * @param {Object} config.defaultHeaders - Default headers for all requests
      * @param {number} config.timeout - Request timeout in milliseconds
+     * @param {Object|number|boolean} config.retry - Retry policy (see DEFAULT_RETRY), a retry count, or false
+     * @param {Object} config.cache - Enable GET response caching ({ ttl, storage }, see PrabogoCache)
+     * @param {Function} config.transport - fetch-compatible (url, init) => Promise<Response> used instead of fetch()
      */
     constructor(config = {}) {
         this.baseUrl = config.baseUrl || '';
@@ -22,10 +63,65 @@ export class PrabogoClient {
             ...config.defaultHeaders
         };
         this.timeout = config.timeout || 30000;
+        this.retry = normalizeRetry(config.retry, DEFAULT_RETRY);
         this.interceptors = {
             request: [],
             response: []
         };
+
+        // In-flight GET requests shared between identical callers
+        this._inflight = new Map();
+
+        // GET response cache (disabled until configured)
+        this.cache = config.cache ? new PrabogoCache(config.cache) : null;
+
+        // Token session (see PrabogoAuth), attached with setAuth()
+        this.auth = null;
+
+        // Replaces fetch()/XHR when set, e.g. a MockTransport in tests
+        this.transport = config.transport || null;
+
+        // Request observers (see monitor()) and the id of the last request seen
+        this._monitors = new Set();
+        this._requestId = 0;
+    }
+
+    /**
+     * Send requests through a custom transport instead of fetch()
+     * @param {Function|null} transport - fetch-compatible (url, init) => Promise<Response>, or null for fetch()
+     */
+    setTransport(transport) {
+        this.transport = transport;
+    }
+
+    /**
+     * Enable GET response caching
+     * @param {Object} options - Cache options ({ ttl, storage }, see PrabogoCache)
+     * @returns {PrabogoCache} The cache
+     */
+    enableCache(options = {}) {
+        this.cache = new PrabogoCache(options);
+        return this.cache;
+    }
+
+    /**
+     * Drop the cached response for an endpoint
+     * @param {string} endpoint - API endpoint (including any query string)
+     */
+    invalidate(endpoint) {
+        if (this.cache) {
+            this.cache.invalidate(this._buildUrl(endpoint));
+        }
+    }
+
+    /**
+     * Drop every cached response under an endpoint prefix
+     * @param {string} prefix - Endpoint prefix, e.g. '/users'
+     */
+    invalidatePrefix(prefix) {
+        if (this.cache) {
+            this.cache.invalidatePrefix(this._buildUrl(prefix));
+        }
     }
 
     /**
@@ -53,6 +149,22 @@ export class PrabogoClient {
         this.defaultHeaders['Authorization'] = `Bearer ${token}`;
     }
 
+    /**
+     * Remove the authorization header
+     */
+    clearAuthToken() {
+        delete this.defaultHeaders['Authorization'];
+    }
+
+    /**
+     * Attach a token session that refreshes the access token before
+     * requests and replays requests rejected with 401
+     * @param {PrabogoAuth|null} auth - Session manager, or null to detach
+     */
+    setAuth(auth) {
+        this.auth = auth;
+    }
+
     /**
      * Add request interceptor
      * @param {Function} interceptor - Function to transform request config
@@ -69,17 +181,53 @@ export class PrabogoClient {
         this.interceptors.response.push(interceptor);
     }
 
+    /**
+     * Observe network requests without changing them (used by joko-devtools)
+     * The listener gets 'request' when a request starts, then 'response' or
+     * 'error' with the same id. Cache hits never reach the network and are
+     * not reported.
+     * @param {Function} listener - (type, entry) with entry { id, method, url, headers, body, status, duration, error }
+     * @returns {Function} Function that removes the listener
+     */
+    monitor(listener) {
+        this._monitors.add(listener);
+        return () => this._monitors.delete(listener);
+    }
+
     /**
      * Make an HTTP request
+     * Identical concurrent GETs share one network call, transient failures
+     * are retried with jittered exponential backoff, and failures reject
+     * with a typed error (ValidationError, AuthError, NotFoundError, ServerError,
+     * other HttpErrors, NetworkError, TimeoutError, CancelledError).
      * @param {string} endpoint - API endpoint (will be appended to baseUrl)
      * @param {string} method - HTTP method (GET, POST, PUT, DELETE, PATCH)
-     * @param {Object} body - Request body (will be JSON stringified)
+     * @param {*} body - Request body; FormData, URLSearchParams, Blob, ArrayBuffer(View) and
+     *                   ReadableStream are sent as-is, anything else is JSON stringified
      * @param {Object} customHeaders - Additional headers for this request
-     * @returns {Promise<Object>} Parsed JSON response
+     * @param {Object} options - Per-request options
+     * @param {Object|URLSearchParams} options.params - Query parameters appended to the URL
+     * @param {string} options.responseType - 'auto' (default, by Content-Type), 'json', 'text', 'blob', 'arrayBuffer' or 'stream'
+     * @param {Function} options.onUploadProgress - Called with { loaded, total, progress } while the body uploads
+     * @param {Function} options.onDownloadProgress - Called with { loaded, total, progress } while the response downloads
+     * @param {AbortSignal} options.signal - Cancels the request when aborted
+     * @param {number} options.timeout - Timeout per attempt in milliseconds
+     * @param {Object|number|boolean} options.retry - Retry policy override, a retry count, or false
+     * @param {boolean} options.dedupe - Share identical in-flight GETs (default true)
+     * @param {boolean|Object} options.cache - false to bypass the cache, or { ttl } to override it
+     * @param {boolean} options.revalidate - Ignore a fresh cache entry and ask the server (ETag still applies)
+     * @param {boolean} options.skipAuth - Don't refresh tokens or replay on 401 (e.g. for the login call)
+     * @returns {Promise<Object>} Response object; `data` holds the parsed body
      */
-    async request(endpoint, method = 'GET', body = null, customHeaders = {}) {
+    async request(endpoint, method = 'GET', body = null, customHeaders = {}, options = {}) {
         // Build full URL
-        const url = this._buildUrl(endpoint);
+        const url = this._buildUrl(endpoint, options.params);
+
+        // Wait for a pending or due token refresh before using the header
+        const useAuth = this.auth && !options.skipAuth;
+        if (useAuth) {
+            await this.auth.getAccessToken();
+        }
 
         // Build request config
         let config = {
@@ -91,8 +239,20 @@ export class PrabogoClient {
         };
 
         // Add body for non-GET requests
-        if (body && method.toUpperCase() !== 'GET') {
-            config.body = JSON.stringify(body);
+        if (body && config.method !== 'GET') {
+            if (isRawBody(body)) {
+                config.body = body;
+
+                // Let fetch set the type (and the multipart boundary) unless the caller did
+                if (!hasHeader(customHeaders, 'Content-Type')) {
+                    config.headers = withoutHeader(config.headers, 'Content-Type');
+                }
+                if (typeof ReadableStream !== 'undefined' && body instanceof ReadableStream) {
+                    config.duplex = 'half';
+                }
+            } else {
+                config.body = JSON.stringify(body);
+            }
         }
 
         // Apply request interceptors
@@ -100,28 +260,267 @@ export class PrabogoClient {
             config = await interceptor(config) || config;
         }
 
-        try {
-            // Create abort controller for timeout
+        // Serve fresh cached GETs, revalidate stale ones with If-None-Match
+        const responseType = options.responseType || 'auto';
+        const useCache = this.cache && config.method === 'GET' && options.cache !== false &&
+            ['auto', 'json', 'text'].includes(responseType);
+        const ttl = options.cache && options.cache.ttl !== undefined ? options.cache.ttl : undefined;
+        const cached = useCache ? this.cache.get(url) : null;
+
+        if (cached && this.cache.isFresh(cached) && !options.revalidate) {
+            return reviveResponse(cached);
+        }
+
+        if (cached && cached.etag) {
+            config.headers = { ...config.headers, 'If-None-Match': cached.etag };
+        }
+
+        const run = signal => this._observe(url, config, this._send(url, config, options, signal))
+            .then(async response => {
+                // Expired token: refresh once (shared) and replay with the new one
+                if (useAuth && response.status === 401 && !options._authRetried &&
+                    await this.auth.handleUnauthorized(config.headers['Authorization'])) {
+                    return this.request(endpoint, method, body, customHeaders, {
+                        ...options,
+                        signal,
+                        _authRetried: true
+                    });
+                }
+
+                if (cached && response.status === 304) {
+                    this.cache.touch(url, ttl);
+                    return reviveResponse(cached);
+                }
+
+                return this._handleResponse(response).then(result => {
+                    if (useCache) {
+                        this.cache.set(url, result, ttl);
+                    }
+                    return result;
+                });
+            });
+
+        // Streams can only be read once and progress callbacks belong to one caller
+        const shareable = responseType !== 'stream' && !options.onDownloadProgress;
+
+        if (config.method === 'GET' && !config.body && shareable && options.dedupe !== false) {
+            const key = `${config.method} ${url} ${responseType} ${JSON.stringify(config.headers)}`;
+            return this._dedupe(key, run, options.signal);
+        }
+
+        return run(options.signal);
+    }
+
+    /**
+     * Run response interceptors and reject non-2xx responses
+     * @private
+     * @param {Object} result - Response object from _send()
+     * @returns {Promise<Object>} The (intercepted) response object
+     */
+    async _handleResponse(result) {
+        const ok = result.ok;
+
+        // Apply response interceptors
+        for (const interceptor of this.interceptors.response) {
+            result = await interceptor(result) || result;
+        }
+
+        // Throw a typed error for non-2xx responses
+        if (!ok) {
+            throw createHttpError(result);
+        }
+
+        return result;
+    }
+
+    /**
+     * Share one in-flight request between identical callers
+     * Each caller can still cancel with its own signal; the shared request
+     * is only aborted once every caller has cancelled.
+     * @private
+     * @param {string} key - Request identity
+     * @param {Function} run - (signal) => Promise starting the request
+     * @param {AbortSignal} signal - This caller's signal
+     * @returns {Promise<Object>} Response object
+     */
+    _dedupe(key, run, signal) {
+        if (signal && signal.aborted) {
+            return Promise.reject(new CancelledError());
+        }
+
+        let entry = this._inflight.get(key);
+
+        if (!entry) {
             const controller = new AbortController();
-            const timeoutId = setTimeout(() => controller.abort(), this.timeout);
-            config.signal = controller.signal;
+            entry = { controller, callers: 0, promise: run(controller.signal) };
+            this._inflight.set(key, entry);
 
-            // Make the request
-            const response = await fetch(url, config);
-            clearTimeout(timeoutId);
+            const release = () => {
+                if (this._inflight.get(key) === entry) {
+                    this._inflight.delete(key);
+                }
+            };
+            entry.promise.then(release, release);
+        }
 
-            // Parse response
-            let data;
-            const contentType = response.headers.get('content-type');
+        const shared = entry;
+        shared.callers++;
 
-            if (contentType && contentType.includes('application/json')) {
-                data = await response.json();
+        if (!signal) {
+            return shared.promise;
+        }
+
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                reject(new CancelledError());
+                if (--shared.callers === 0) {
+                    shared.controller.abort();
+                }
+            };
+
+            signal.addEventListener('abort', onAbort, { once: true });
+            shared.promise
+                .then(resolve, reject)
+                .finally(() => signal.removeEventListener('abort', onAbort));
+        });
+    }
+
+    /**
+     * Report a request and its outcome to the monitors
+     * @private
+     * @param {string} url - Full URL
+     * @param {Object} config - fetch() init
+     * @param {Promise<Object>} pending - Result of _send()
+     * @returns {Promise<Object>} The same result
+     */
+    _observe(url, config, pending) {
+        if (this._monitors.size === 0) {
+            return pending;
+        }
+
+        const entry = {
+            id: ++this._requestId,
+            method: config.method,
+            url,
+            headers: { ...config.headers },
+            body: typeof config.body === 'string' ? config.body : config.body ? '[binary]' : null,
+            startedAt: Date.now()
+        };
+        const emit = type => {
+            for (const listener of [...this._monitors]) {
+                listener(type, { ...entry });
+            }
+        };
+
+        emit('request');
+
+        return pending.then(result => {
+            entry.status = result.status;
+            entry.duration = Date.now() - entry.startedAt;
+            emit('response');
+            return result;
+        }, error => {
+            entry.error = error;
+            entry.duration = Date.now() - entry.startedAt;
+            emit('error');
+            throw error;
+        });
+    }
+
+    /**
+     * Perform a request, retrying transient failures
+     * @private
+     * @param {string} url - Full URL
+     * @param {Object} config - fetch() init
+     * @param {Object} options - Per-request options
+     * @param {AbortSignal} signal - Caller (or shared) signal
+     * @returns {Promise<Object>} Response object
+     */
+    async _send(url, config, options, signal) {
+        // A stream body is consumed by the first attempt, so it can't be retried
+        const replayable = !(typeof ReadableStream !== 'undefined' && config.body instanceof ReadableStream);
+        const retry = normalizeRetry(replayable ? options.retry : false, this.retry);
+        const timeout = options.timeout || this.timeout;
+
+        for (let attempt = 0; ; attempt++) {
+            let result = null;
+            let error = null;
+
+            try {
+                result = await this._attempt(url, config, timeout, signal, options);
+            } catch (caught) {
+                error = caught;
+            }
+
+            const retryable = attempt < retry.retries &&
+                retry.methods.includes(config.method) &&
+                (error
+                    ? error instanceof NetworkError || error instanceof TimeoutError
+                    : retry.statusCodes.includes(result.status));
+
+            // A Retry-After longer than maxDelay means giving up now rather than hanging
+            const delay = retryable ? retryDelay(attempt, retry, result) : null;
+
+            if (delay === null) {
+                if (error) throw error;
+                return result;
+            }
+
+            await sleep(delay, signal);
+        }
+    }
+
+    /**
+     * Perform a single fetch attempt with its own timeout
+     * @private
+     * @param {string} url - Full URL
+     * @param {Object} config - fetch() init
+     * @param {number} timeout - Timeout in milliseconds
+     * @param {AbortSignal} signal - Caller signal, composed with the timeout
+     * @param {Object} options - Per-request options (responseType, progress callbacks)
+     * @returns {Promise<Object>} Response object
+     */
+    async _attempt(url, config, timeout, signal, options = {}) {
+        if (signal && signal.aborted) {
+            throw new CancelledError();
+        }
+
+        // Create abort controller for timeout, following the caller's signal too
+        const controller = new AbortController();
+        let timedOut = false;
+
+        const timeoutId = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, timeout);
+
+        const onAbort = () => controller.abort();
+        if (signal) {
+            signal.addEventListener('abort', onAbort, { once: true });
+        }
+
+        try {
+            // Make the request (fetch can't report upload progress, XHR can)
+            const init = { ...config, signal: controller.signal };
+            let response;
+
+            if (this.transport) {
+                response = await this.transport(url, init);
+            } else if (options.onUploadProgress && config.body) {
+                response = await xhrFetch(url, init, options.onUploadProgress);
             } else {
-                data = await response.text();
+                response = await fetch(url, init);
+            }
+
+            if (options.onDownloadProgress) {
+                response = trackDownload(response, options.onDownloadProgress);
             }
 
+            // Parse response (error bodies always by Content-Type, for the error envelope)
+            const data = await parseBody(response, response.ok ? options.responseType : 'auto');
+
             // Build response object
-            let result = {
+            return {
                 ok: response.ok,
                 status: response.status,
                 statusText: response.statusText,
@@ -129,25 +528,23 @@ export class PrabogoClient {
                 data
             };
 
-            // Apply response interceptors
-            for (const interceptor of this.interceptors.response) {
-                result = await interceptor(result) || result;
-            }
-
-            // Throw error for non-2xx responses
-            if (!response.ok) {
-                const error = new Error(`HTTP ${response.status}: ${response.statusText}`);
-                error.response = result;
-                throw error;
-            }
-
-            return result;
-
         } catch (error) {
+            if (timedOut) {
+                throw new TimeoutError(timeout, { cause: error });
+            }
             if (error.name === 'AbortError') {
-                throw new Error(`Request timeout after ${this.timeout}ms`);
+                throw new CancelledError('Request cancelled', { cause: error });
+            }
+            if (error instanceof TypeError) {
+                // fetch() rejects with TypeError when no response arrives
+                throw new NetworkError(error.message, { cause: error });
             }
             throw error;
+        } finally {
+            clearTimeout(timeoutId);
+            if (signal) {
+                signal.removeEventListener('abort', onAbort);
+            }
         }
     }
 
@@ -155,10 +552,11 @@ export class PrabogoClient {
      * GET request shorthand
      * @param {string} endpoint - API endpoint
      * @param {Object} headers - Additional headers
+     * @param {Object} options - Per-request options (params, signal, timeout, retry, dedupe, responseType, ...)
      * @returns {Promise<Object>} Response data
      */
-    async get(endpoint, headers = {}) {
-        return this.request(endpoint, 'GET', null, headers);
+    async get(endpoint, headers = {}, options = {}) {
+        return this.request(endpoint, 'GET', null, headers, options);
     }
 
     /**
@@ -166,10 +564,11 @@ export class PrabogoClient {
      * @param {string} endpoint - API endpoint
      * @param {Object} body - Request body
      * @param {Object} headers - Additional headers
+     * @param {Object} options - Per-request options (signal, timeout, retry)
      * @returns {Promise<Object>} Response data
      */
-    async post(endpoint, body = {}, headers = {}) {
-        return this.request(endpoint, 'POST', body, headers);
+    async post(endpoint, body = {}, headers = {}, options = {}) {
+        return this.request(endpoint, 'POST', body, headers, options);
     }
 
     /**
@@ -177,20 +576,22 @@ export class PrabogoClient {
      * @param {string} endpoint - API endpoint
      * @param {Object} body - Request body
      * @param {Object} headers - Additional headers
+     * @param {Object} options - Per-request options (signal, timeout, retry)
      * @returns {Promise<Object>} Response data
      */
-    async put(endpoint, body = {}, headers = {}) {
-        return this.request(endpoint, 'PUT', body, headers);
+    async put(endpoint, body = {}, headers = {}, options = {}) {
+        return this.request(endpoint, 'PUT', body, headers, options);
     }
 
     /**
      * DELETE request shorthand
      * @param {string} endpoint - API endpoint
      * @param {Object} headers - Additional headers
+     * @param {Object} options - Per-request options (signal, timeout, retry)
      * @returns {Promise<Object>} Response data
      */
-    async delete(endpoint, headers = {}) {
-        return this.request(endpoint, 'DELETE', null, headers);
+    async delete(endpoint, headers = {}, options = {}) {
+        return this.request(endpoint, 'DELETE', null, headers, options);
     }
 
     /**
@@ -198,30 +599,301 @@ export class PrabogoClient {
      * @param {string} endpoint - API endpoint
      * @param {Object} body - Request body
      * @param {Object} headers - Additional headers
+     * @param {Object} options - Per-request options (signal, timeout, retry)
      * @returns {Promise<Object>} Response data
      */
-    async patch(endpoint, body = {}, headers = {}) {
-        return this.request(endpoint, 'PATCH', body, headers);
+    async patch(endpoint, body = {}, headers = {}, options = {}) {
+        return this.request(endpoint, 'PATCH', body, headers, options);
     }
 
     /**
      * Build full URL from endpoint
      * @private
      * @param {string} endpoint - API endpoint
+     * @param {Object|URLSearchParams} params - Query parameters to append
      * @returns {string} Full URL
      */
-    _buildUrl(endpoint) {
+    _buildUrl(endpoint, params) {
+        const query = params ? serializeParams(params) : '';
+        const suffix = query ? (endpoint.includes('?') ? '&' : '?') + query : '';
+
         // Handle absolute URLs
         if (endpoint.startsWith('http://') || endpoint.startsWith('https://')) {
-            return endpoint;
+            return endpoint + suffix;
         }
 
         // Remove trailing slash from baseUrl and leading slash from endpoint
         const base = this.baseUrl.replace(/\/$/, '');
         const path = endpoint.replace(/^\//, '');
 
-        return base ? `${base}/${path}` : path;
+        return (base ? `${base}/${path}` : path) + suffix;
+    }
+}
+
+/**
+ * Serialize query parameters
+ * Arrays repeat the key (`tag=a&tag=b`), Dates become ISO strings and
+ * null/undefined values are skipped.
+ * @private
+ * @param {Object|URLSearchParams} params - Query parameters
+ * @returns {string} Query string without the leading '?'
+ */
+function serializeParams(params) {
+    if (params instanceof URLSearchParams) {
+        return params.toString();
+    }
+
+    const search = new URLSearchParams();
+
+    for (const [key, value] of Object.entries(params)) {
+        for (const item of [].concat(value)) {
+            if (item === undefined || item === null) continue;
+            search.append(key, item instanceof Date ? item.toISOString() : String(item));
+        }
+    }
+
+    return search.toString();
+}
+
+/**
+ * Check whether a body should be sent as-is instead of as JSON
+ * @private
+ * @param {*} body - Request body
+ * @returns {boolean}
+ */
+function isRawBody(body) {
+    return (typeof FormData !== 'undefined' && body instanceof FormData) ||
+        (typeof URLSearchParams !== 'undefined' && body instanceof URLSearchParams) ||
+        (typeof Blob !== 'undefined' && body instanceof Blob) ||
+        (typeof ReadableStream !== 'undefined' && body instanceof ReadableStream) ||
+        body instanceof ArrayBuffer ||
+        ArrayBuffer.isView(body);
+}
+
+/**
+ * Check for a header regardless of its casing
+ * @private
+ * @param {Object} headers - Header map
+ * @param {string} name - Header name
+ * @returns {boolean}
+ */
+function hasHeader(headers, name) {
+    return Object.keys(headers).some(key => key.toLowerCase() === name.toLowerCase());
+}
+
+/**
+ * Copy a header map without one header
+ * @private
+ * @param {Object} headers - Header map
+ * @param {string} name - Header to drop (any casing)
+ * @returns {Object} New header map
+ */
+function withoutHeader(headers, name) {
+    return Object.fromEntries(
+        Object.entries(headers).filter(([key]) => key.toLowerCase() !== name.toLowerCase())
+    );
+}
+
+/**
+ * Read a response body
+ * @private
+ * @param {Response} response - fetch() response
+ * @param {string} responseType - 'auto', 'json', 'text', 'blob', 'arrayBuffer' or 'stream'
+ * @returns {Promise<*>} Parsed body
+ */
+async function parseBody(response, responseType = 'auto') {
+    switch (responseType) {
+        case 'json':
+            return response.json();
+        case 'text':
+            return response.text();
+        case 'blob':
+            return response.blob();
+        case 'arrayBuffer':
+            return response.arrayBuffer();
+        case 'stream':
+            return response.body;
+        default: {
+            const contentType = response.headers.get('content-type');
+
+            if (contentType && contentType.includes('application/json')) {
+                return response.json();
+            }
+            return response.text();
+        }
+    }
+}
+
+/**
+ * Build a progress event payload
+ * @private
+ * @param {number} loaded - Bytes transferred so far
+ * @param {number|null} total - Total bytes, if known
+ * @returns {Object} { loaded, total, progress } where progress is 0..1 or null
+ */
+function progressEvent(loaded, total) {
+    return { loaded, total, progress: total ? Math.min(1, loaded / total) : null };
+}
+
+/**
+ * Wrap a response so reading its body reports download progress
+ * @private
+ * @param {Response} response - fetch() response
+ * @param {Function} onProgress - Called with { loaded, total, progress }
+ * @returns {Response} Response with a counting body
+ */
+function trackDownload(response, onProgress) {
+    if (!response.body) {
+        return response;
+    }
+
+    const length = Number(response.headers.get('content-length'));
+    const total = length > 0 ? length : null;
+    let loaded = 0;
+
+    const body = response.body.pipeThrough(new TransformStream({
+        transform(chunk, controller) {
+            loaded += chunk.byteLength;
+            onProgress(progressEvent(loaded, total));
+            controller.enqueue(chunk);
+        }
+    }));
+
+    return new Response(body, {
+        status: response.status,
+        statusText: response.statusText,
+        headers: response.headers
+    });
+}
+
+/**
+ * fetch() replacement built on XMLHttpRequest, for upload progress
+ * Resolves with a regular Response and rejects like fetch() does
+ * (TypeError on network failure, AbortError on abort).
+ * @private
+ * @param {string} url - Full URL
+ * @param {Object} init - fetch() init
+ * @param {Function} onProgress - Called with { loaded, total, progress }
+ * @returns {Promise<Response>}
+ */
+function xhrFetch(url, init, onProgress) {
+    return new Promise((resolve, reject) => {
+        const xhr = new XMLHttpRequest();
+        const signal = init.signal;
+
+        const onAbort = () => xhr.abort();
+
+        xhr.open(init.method, url);
+        xhr.responseType = 'arraybuffer';
+        Object.entries(init.headers || {}).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+
+        xhr.upload.onprogress = event => {
+            onProgress(progressEvent(event.loaded, event.lengthComputable ? event.total : null));
+        };
+
+        xhr.onload = () => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+
+            const headers = new Headers();
+            xhr.getAllResponseHeaders().trim().split(/[\r\n]+/).forEach(line => {
+                const index = line.indexOf(':');
+                if (index > 0) {
+                    headers.append(line.slice(0, index).trim(), line.slice(index + 1).trim());
+                }
+            });
+
+            // Null-body statuses can't carry even an empty buffer
+            const body = [101, 204, 205, 304].includes(xhr.status) ? null : xhr.response;
+            resolve(new Response(body, { status: xhr.status, statusText: xhr.statusText, headers }));
+        };
+        xhr.onerror = () => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            reject(new TypeError('Network request failed'));
+        };
+        xhr.onabort = () => {
+            reject(new DOMException('The request was aborted', 'AbortError'));
+        };
+
+        if (signal) {
+            if (signal.aborted) {
+                reject(new DOMException('The request was aborted', 'AbortError'));
+                return;
+            }
+            signal.addEventListener('abort', onAbort, { once: true });
+        }
+
+        xhr.send(init.body);
+    });
+}
+
+/**
+ * Merge a retry option into a base policy
+ * @private
+ * @param {Object|number|boolean|undefined} option - Policy, retry count, or false to disable
+ * @param {Object} base - Policy to extend
+ * @returns {Object} Complete retry policy
+ */
+function normalizeRetry(option, base) {
+    if (option === undefined || option === true) {
+        return base;
+    }
+    if (option === false) {
+        return { ...base, retries: 0 };
+    }
+    if (typeof option === 'number') {
+        return { ...base, retries: option };
+    }
+    return { ...base, ...option };
+}
+
+/**
+ * Compute how long to wait before the next attempt
+ * Honors Retry-After up to maxDelay, otherwise exponential backoff with jitter.
+ * @private
+ * @param {number} attempt - Zero-based attempt that just failed
+ * @param {Object} retry - Retry policy
+ * @param {Object|null} result - Response object of the failed attempt, if any
+ * @returns {number|null} Delay in milliseconds, or null when the server asks to wait longer than maxDelay
+ */
+function retryDelay(attempt, retry, result) {
+    const retryAfter = result && result.headers && result.headers.get('retry-after');
+
+    if (retryAfter) {
+        const seconds = Number(retryAfter);
+        const delay = Number.isNaN(seconds) ? Date.parse(retryAfter) - Date.now() : seconds * 1000;
+        if (!Number.isNaN(delay)) {
+            return delay > retry.maxDelay ? null : Math.max(0, delay);
+        }
     }
+
+    const exponential = Math.min(retry.maxDelay, retry.baseDelay * Math.pow(retry.factor, attempt));
+
+    // "Equal jitter": half fixed, half random, so retries spread out
+    return exponential / 2 + Math.random() * (exponential / 2);
+}
+
+/**
+ * Wait for a delay, rejecting early if the signal aborts
+ * @private
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} signal - Optional signal
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(new CancelledError());
+        };
+        const timer = setTimeout(() => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+
+        if (signal) {
+            signal.addEventListener('abort', onAbort, { once: true });
+        }
+    });
 }
 
 // Create a singleton instance for global usage
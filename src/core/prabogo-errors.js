@@ -0,0 +1,209 @@
+/**
+ * PrabogoConnect Errors
+ * Typed errors thrown by PrabogoClient requests
+ */
+
+/**
+ * Base class for every error thrown by PrabogoClient
+ */
+export class PrabogoError extends Error {
+    /**
+     * @param {string} message - Error message
+     * @param {Object} details - Extra details
+     * @param {string} details.code - Machine-readable error code
+     * @param {Error} details.cause - Underlying error, if any
+     */
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'PrabogoError';
+        this.code = details.code || 'PRABOGO_ERROR';
+        if (details.cause) {
+            this.cause = details.cause;
+        }
+    }
+}
+
+/**
+ * The server answered with a non-2xx status
+ */
+export class HttpError extends PrabogoError {
+    /**
+     * @param {string} message - Error message
+     * @param {Object} details - Extra details
+     * @param {Object} details.response - PrabogoClient response object
+     */
+    constructor(message, details = {}) {
+        super(message, { code: 'HTTP_ERROR', ...details });
+        this.name = 'HttpError';
+        this.response = details.response;
+        this.status = details.response ? details.response.status : 0;
+        this.fields = details.fields || {};
+        this.details = details.details !== undefined ? details.details : null;
+    }
+}
+
+/**
+ * The server rejected the request body (400, 422)
+ * Field-level messages are available in `fields`.
+ */
+export class ValidationError extends HttpError {
+    constructor(message, details = {}) {
+        super(message, { code: 'VALIDATION_ERROR', ...details });
+        this.name = 'ValidationError';
+    }
+}
+
+/**
+ * The request is not authenticated (401) or not allowed (403)
+ */
+export class AuthError extends HttpError {
+    constructor(message, details = {}) {
+        super(message, { code: 'AUTH_ERROR', ...details });
+        this.name = 'AuthError';
+        this.forbidden = this.status === 403;
+    }
+}
+
+/**
+ * The requested resource does not exist (404)
+ */
+export class NotFoundError extends HttpError {
+    constructor(message, details = {}) {
+        super(message, { code: 'NOT_FOUND', ...details });
+        this.name = 'NotFoundError';
+    }
+}
+
+/**
+ * The server failed to handle the request (5xx)
+ */
+export class ServerError extends HttpError {
+    constructor(message, details = {}) {
+        super(message, { code: 'SERVER_ERROR', ...details });
+        this.name = 'ServerError';
+    }
+}
+
+/**
+ * The request never got a response (offline, DNS, CORS, connection reset)
+ */
+export class NetworkError extends PrabogoError {
+    constructor(message = 'Network request failed', details = {}) {
+        super(message, { code: 'NETWORK_ERROR', ...details });
+        this.name = 'NetworkError';
+    }
+}
+
+/**
+ * The request took longer than the configured timeout
+ */
+export class TimeoutError extends PrabogoError {
+    /**
+     * @param {number} timeout - Timeout in milliseconds
+     * @param {Object} details - Extra details
+     */
+    constructor(timeout, details = {}) {
+        super(`Request timeout after ${timeout}ms`, { code: 'TIMEOUT', ...details });
+        this.name = 'TimeoutError';
+        this.timeout = timeout;
+    }
+}
+
+/**
+ * The caller aborted the request through its AbortSignal
+ */
+export class CancelledError extends PrabogoError {
+    constructor(message = 'Request cancelled', details = {}) {
+        super(message, { code: 'CANCELLED', ...details });
+        this.name = 'CancelledError';
+    }
+}
+
+/**
+ * Create the HttpError subclass matching a failed response
+ * The Prabogo error envelope supplies the message, code and field errors.
+ * @param {Object} response - PrabogoClient response object
+ * @returns {HttpError} Typed error
+ */
+export function createHttpError(response) {
+    const envelope = parseErrorEnvelope(response.data);
+    const message = envelope.message || `HTTP ${response.status}: ${response.statusText}`;
+    const details = { response, fields: envelope.fields, details: envelope.details };
+
+    if (envelope.code) {
+        details.code = envelope.code;
+    }
+
+    const status = response.status;
+    if (status === 400 || status === 422) return new ValidationError(message, details);
+    if (status === 401 || status === 403) return new AuthError(message, details);
+    if (status === 404) return new NotFoundError(message, details);
+    if (status >= 500) return new ServerError(message, details);
+    return new HttpError(message, details);
+}
+
+/**
+ * Read an error response body
+ * Accepts the Prabogo envelope `{ error: { code, message, details } }` as
+ * well as flat `{ code, message, errors }` bodies. Field errors may be an
+ * object (`{ email: 'taken' }` or `{ email: ['taken'] }`) or a list of
+ * `{ field, message }` items.
+ * @param {*} body - Response data
+ * @returns {Object} { code, message, fields, details }
+ */
+export function parseErrorEnvelope(body) {
+    const result = { code: null, message: null, fields: {}, details: null };
+
+    if (typeof body === 'string') {
+        result.message = body.trim().length > 0 && body.length <= 200 && !body.trim().startsWith('<')
+            ? body.trim()
+            : null;
+        return result;
+    }
+    if (!body || typeof body !== 'object') {
+        return result;
+    }
+
+    const source = body.error && typeof body.error === 'object' ? body.error : body;
+    const details = source.details !== undefined ? source.details
+        : source.errors !== undefined ? source.errors
+        : body.errors;
+
+    result.code = typeof source.code === 'string' ? source.code : null;
+    result.message = typeof source.message === 'string' ? source.message
+        : typeof body.error === 'string' ? body.error
+        : typeof body.message === 'string' ? body.message
+        : null;
+    result.details = details !== undefined ? details : null;
+    result.fields = collectFields(details);
+
+    return result;
+}
+
+/**
+ * Flatten field errors to { field: message }
+ * @private
+ * @param {*} details - Envelope details
+ * @returns {Object} Field messages
+ */
+function collectFields(details) {
+    const fields = {};
+
+    if (Array.isArray(details)) {
+        for (const item of details) {
+            const field = item && (item.field || item.path || item.key || item.name);
+            if (field) {
+                fields[field] = item.message || item.msg || item.error || item.code || 'Invalid value';
+            }
+        }
+    } else if (details && typeof details === 'object') {
+        for (const [field, value] of Object.entries(details)) {
+            const message = Array.isArray(value) ? value[0] : value;
+            if (typeof message === 'string') {
+                fields[field] = message;
+            }
+        }
+    }
+
+    return fields;
+}
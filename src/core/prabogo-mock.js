@@ -0,0 +1,271 @@
+/**
+ * PrabogoConnect Mock Transport
+ * Canned responses for PrabogoClient in tests, with request recording
+ */
+
+/**
+ * fetch-compatible transport answering from registered routes
+ * @example
+ * const mock = new MockTransport();
+ * mock.on('GET', '/users/:id', req => ({ body: { id: Number(req.params.id), name: 'Joko' } }));
+ * mock.on('POST', '/users', { status: 422, body: { message: 'Invalid', errors: { email: 'taken' } } });
+ * mock.networkError('GET', '/health');
+ * const restore = mock.install(prabogoClient);
+ */
+export class MockTransport {
+    constructor() {
+        this.routes = [];
+        this.requests = [];
+
+        // Bound so it can be handed to setTransport() directly
+        this.fetch = (url, init) => this._handle(url, init);
+    }
+
+    /**
+     * Register a response for a route
+     * Routes match the end of the URL path (`/users/:id` matches
+     * `https://api.example.com/v1/users/7`); later routes win over earlier
+     * ones, so tests can override shared defaults.
+     * @param {string} method - HTTP method, or '*' for any
+     * @param {string|RegExp} pattern - Path pattern with :params, or a RegExp tested against the full URL
+     * @param {Object|Function} response - { status, body, headers, delay } or (request) => that (may be async)
+     * @param {Object} options - Options
+     * @param {boolean} options.once - Only answer the first matching request
+     * @returns {MockTransport} This transport, for chaining
+     */
+    on(method, pattern, response, options = {}) {
+        this.routes.unshift({
+            method: method.toUpperCase(),
+            matcher: compilePattern(pattern),
+            response,
+            once: !!options.once
+        });
+        return this;
+    }
+
+    /**
+     * Make a route fail as if the network were down
+     * @param {string} method - HTTP method, or '*'
+     * @param {string|RegExp} pattern - Path pattern
+     * @param {Object} options - { once }
+     * @returns {MockTransport} This transport, for chaining
+     */
+    networkError(method, pattern, options = {}) {
+        return this.on(method, pattern, () => {
+            throw new TypeError('Failed to fetch');
+        }, options);
+    }
+
+    /**
+     * Make a route never answer, so the client's timeout (or an abort) ends it
+     * @param {string} method - HTTP method, or '*'
+     * @param {string|RegExp} pattern - Path pattern
+     * @param {Object} options - { once }
+     * @returns {MockTransport} This transport, for chaining
+     */
+    hang(method, pattern, options = {}) {
+        return this.on(method, pattern, { delay: Infinity }, options);
+    }
+
+    /**
+     * Recorded requests, optionally filtered
+     * @param {string} method - HTTP method to keep (optional)
+     * @param {string|RegExp} pattern - Path pattern to keep (optional)
+     * @returns {Array<Object>} { method, url, path, query, headers, body, params }
+     */
+    calls(method, pattern) {
+        const matcher = pattern ? compilePattern(pattern) : null;
+
+        return this.requests.filter(request =>
+            (!method || method === '*' || request.method === method.toUpperCase()) &&
+            (!matcher || matcher(request.url))
+        );
+    }
+
+    /**
+     * Use this transport for a client
+     * @param {PrabogoClient} client - Client to intercept
+     * @returns {Function} Restores the client's previous transport
+     */
+    install(client) {
+        const previous = client.transport;
+        client.setTransport(this.fetch);
+        return () => client.setTransport(previous);
+    }
+
+    /**
+     * Forget routes and recorded requests
+     */
+    reset() {
+        this.routes = [];
+        this.requests = [];
+    }
+
+    /**
+     * Answer one request
+     * @private
+     * @param {string} url - Full URL
+     * @param {Object} init - fetch() init
+     * @returns {Promise<Response>}
+     */
+    async _handle(url, init = {}) {
+        const request = await describeRequest(url, init);
+        this.requests.push(request);
+
+        const index = this.routes.findIndex(route =>
+            (route.method === '*' || route.method === request.method) && route.matcher(url)
+        );
+
+        if (index === -1) {
+            return toResponse({
+                status: 404,
+                body: { message: `MockTransport: no route for ${request.method} ${request.path}` }
+            });
+        }
+
+        const route = this.routes[index];
+        if (route.once) {
+            this.routes.splice(index, 1);
+        }
+
+        request.params = route.matcher(url).params;
+
+        const spec = typeof route.response === 'function'
+            ? await route.response(request)
+            : route.response;
+
+        await wait(spec && spec.delay, init.signal);
+        return toResponse(spec || {});
+    }
+}
+
+/**
+ * Compile a route pattern into a URL matcher
+ * @private
+ * @param {string|RegExp} pattern - Path pattern or RegExp
+ * @returns {Function} (url) => { params } or null
+ */
+function compilePattern(pattern) {
+    if (pattern instanceof RegExp) {
+        return url => {
+            const match = pattern.exec(url);
+            return match ? { params: { ...match.groups } } : null;
+        };
+    }
+
+    const keys = [];
+    const source = pattern
+        .replace(/\?.*$/, '')
+        .replace(/[.+*?^${}()|[\]\\]/g, '\\$&')
+        .replace(/:(\w+)/g, (match, key) => {
+            keys.push(key);
+            return '([^/]+)';
+        });
+    const regex = new RegExp(`${source}$`);
+
+    return url => {
+        const match = regex.exec(new URL(url, 'http://localhost').pathname);
+        if (!match) return null;
+
+        const params = {};
+        keys.forEach((key, index) => {
+            params[key] = decodeURIComponent(match[index + 1]);
+        });
+        return { params };
+    };
+}
+
+/**
+ * Record what a request looked like
+ * @private
+ * @param {string} url - Full URL
+ * @param {Object} init - fetch() init
+ * @returns {Promise<Object>} { method, url, path, query, headers, body }
+ */
+async function describeRequest(url, init) {
+    const parsed = new URL(url, 'http://localhost');
+    let body = init.body === undefined ? null : init.body;
+
+    if (typeof body === 'string') {
+        try {
+            body = JSON.parse(body);
+        } catch {
+            // Not JSON, keep the text
+        }
+    }
+
+    return {
+        method: (init.method || 'GET').toUpperCase(),
+        url,
+        path: parsed.pathname,
+        query: Object.fromEntries(parsed.searchParams),
+        headers: { ...init.headers },
+        body
+    };
+}
+
+/**
+ * Build a fetch Response from a route spec
+ * @private
+ * @param {Object} spec - { status, body, headers }
+ * @returns {Response}
+ */
+function toResponse(spec) {
+    const status = spec.status || 200;
+    const headers = new Headers(spec.headers || {});
+    let body = spec.body === undefined ? null : spec.body;
+
+    if (body !== null && typeof body === 'object' && !isRawBody(body)) {
+        body = JSON.stringify(body);
+        if (!headers.has('content-type')) headers.set('content-type', 'application/json');
+    } else if (typeof body === 'string' && !headers.has('content-type')) {
+        headers.set('content-type', 'text/plain');
+    }
+
+    // Null-body statuses can't carry a body at all
+    if ([204, 205, 304].includes(status)) {
+        body = null;
+    }
+
+    return new Response(body, { status, statusText: spec.statusText || '', headers });
+}
+
+/**
+ * Check for bodies Response accepts as-is
+ * @private
+ * @param {Object} body - Body value
+ * @returns {boolean}
+ */
+function isRawBody(body) {
+    return body instanceof Blob || body instanceof ArrayBuffer || ArrayBuffer.isView(body) ||
+        (typeof ReadableStream !== 'undefined' && body instanceof ReadableStream);
+}
+
+/**
+ * Wait before answering, rejecting like fetch() if the request is aborted
+ * @private
+ * @param {number} delay - Milliseconds (Infinity to wait for an abort)
+ * @param {AbortSignal} signal - Request signal
+ * @returns {Promise<void>}
+ */
+function wait(delay, signal) {
+    if (signal && signal.aborted) {
+        return Promise.reject(new DOMException('The operation was aborted.', 'AbortError'));
+    }
+    if (!delay) {
+        return Promise.resolve();
+    }
+
+    return new Promise((resolve, reject) => {
+        const timer = delay === Infinity ? null : setTimeout(resolve, delay);
+
+        if (signal) {
+            signal.addEventListener('abort', () => {
+                clearTimeout(timer);
+                reject(new DOMException('The operation was aborted.', 'AbortError'));
+            }, { once: true });
+        }
+    });
+}
+
+export default MockTransport;
@@ -0,0 +1,473 @@
+/**
+ * PrabogoConnect Realtime
+ * WebSocket / Server-Sent Events channels sharing PrabogoClient's
+ * baseUrl and auth token, with reconnect and state binding
+ *
+ * WebSocket frames are JSON:
+ *   client -> server  { type: 'subscribe' | 'unsubscribe', channel }
+ *                     { type: 'publish', channel, data }
+ *   server -> client  { channel, data }
+ * SSE connects to `path?channels=a,b` and accepts either events named
+ * after the channel, or plain messages carrying `{ channel, data }`.
+ */
+
+import { prabogoClient } from './prabogo-connect.js';
+import { getPath, setPath } from './joko-state.js';
+
+// Default reconnect policy: unlimited attempts, exponential backoff
+const DEFAULT_RECONNECT = {
+    retries: Infinity,
+    baseDelay: 500,
+    maxDelay: 30000,
+    factor: 2
+};
+
+/**
+ * Realtime connection with named channels
+ */
+export class PrabogoRealtime {
+    /**
+     * Create a new PrabogoRealtime instance
+     * @param {Object} config - Configuration options
+     * @param {PrabogoClient} config.client - Client whose baseUrl and token are used (default prabogoClient)
+     * @param {string} config.transport - 'websocket' (default) or 'sse'
+     * @param {string} config.path - Endpoint path, relative to the client's baseUrl (default '/realtime')
+     * @param {string} config.tokenParam - Query parameter carrying the access token (default 'token')
+     * @param {Object|boolean} config.reconnect - Reconnect policy (see DEFAULT_RECONNECT) or false
+     * @param {boolean} config.autoConnect - Connect on the first subscribe() (default true)
+     */
+    constructor(config = {}) {
+        this.client = config.client || prabogoClient;
+        this.transport = config.transport || 'websocket';
+        this.path = config.path || '/realtime';
+        this.tokenParam = config.tokenParam || 'token';
+        this.reconnect = config.reconnect === false ? null : { ...DEFAULT_RECONNECT, ...config.reconnect };
+        this.autoConnect = config.autoConnect !== false;
+
+        // 'idle' | 'connecting' | 'open' | 'reconnecting' | 'closed'
+        this.status = 'idle';
+
+        this._socket = null;
+        this._channels = new Map();
+        this._listeners = new Map();
+        this._queue = [];
+        this._attempt = 0;
+        this._timer = null;
+        this._manualClose = false;
+    }
+
+    /**
+     * Open the connection (no-op when already open or connecting)
+     */
+    connect() {
+        if (this._socket) return;
+
+        this._manualClose = false;
+        clearTimeout(this._timer);
+        this._timer = null;
+        this._setStatus(this._attempt > 0 ? 'reconnecting' : 'connecting');
+
+        if (this.transport === 'sse') {
+            this._openEventSource();
+        } else {
+            this._openWebSocket();
+        }
+    }
+
+    /**
+     * Close the connection and stop reconnecting
+     * Subscriptions are kept and restored by the next connect().
+     */
+    disconnect() {
+        this._manualClose = true;
+        clearTimeout(this._timer);
+        this._timer = null;
+        this._attempt = 0;
+        this._closeSocket();
+        this._setStatus('closed');
+    }
+
+    /**
+     * Listen to a channel
+     * @param {string} channel - Channel name
+     * @param {Function} handler - Called with (data, message) for each message
+     * @returns {Function} Function that removes the handler
+     */
+    subscribe(channel, handler) {
+        const isNew = !this._channels.has(channel);
+        if (isNew) {
+            this._channels.set(channel, new Set());
+        }
+        this._channels.get(channel).add(handler);
+
+        if (isNew && this._socket) {
+            this._subscribeChannel(channel);
+        } else if (!this._socket) {
+            this._autoConnect();
+        }
+
+        return () => this._unsubscribe(channel, handler);
+    }
+
+    /**
+     * Send a message to a channel (WebSocket only)
+     * Messages sent while disconnected are queued until the connection opens.
+     * @param {string} channel - Channel name
+     * @param {*} data - JSON-serializable payload
+     */
+    publish(channel, data) {
+        if (this.transport === 'sse') {
+            throw new Error('PrabogoRealtime: publish() needs the websocket transport, use PrabogoClient.post() with SSE');
+        }
+        this._send({ type: 'publish', channel, data });
+    }
+
+    /**
+     * Write a channel's messages into reactive state (component or store)
+     * @example
+     * // Replace: state.stats = data
+     * this.addCleanup(realtime.bind('stats', this.state, 'stats'));
+     * // Custom: push each message into a list
+     * this.addCleanup(realtime.bind('notifications', this.state, (state, data) => {
+     *     state.notifications.unshift(data);
+     * }));
+     * @param {string} channel - Channel name
+     * @param {Object} state - Reactive state object
+     * @param {string|Function} target - State path to replace, or (state, data, message) => void
+     * @returns {Function} Function that removes the binding
+     */
+    bind(channel, state, target) {
+        return this.subscribe(channel, (data, message) => {
+            if (typeof target === 'function') {
+                target(state, data, message);
+            } else if (getPath(state, target) !== data) {
+                setPath(state, target, data);
+            }
+        });
+    }
+
+    /**
+     * Listen to connection events: 'open', 'close', 'error', 'reconnecting', 'message', 'status'
+     * @param {string} event - Event name
+     * @param {Function} handler - Event listener
+     * @returns {Function} Function that removes the listener
+     */
+    on(event, handler) {
+        if (!this._listeners.has(event)) {
+            this._listeners.set(event, new Set());
+        }
+        this._listeners.get(event).add(handler);
+
+        return () => this._listeners.get(event).delete(handler);
+    }
+
+    /**
+     * Remove a channel handler, leaving the channel when it was the last one
+     * @private
+     * @param {string} channel - Channel name
+     * @param {Function} handler - Handler to remove
+     */
+    _unsubscribe(channel, handler) {
+        const handlers = this._channels.get(channel);
+        if (!handlers || !handlers.delete(handler) || handlers.size > 0) return;
+
+        this._channels.delete(channel);
+
+        if (this.transport === 'sse') {
+            this._reopen();
+        } else if (this._isOpen()) {
+            this._socket.send(JSON.stringify({ type: 'unsubscribe', channel }));
+        }
+    }
+
+    /**
+     * Join a channel on the current connection
+     * @private
+     * @param {string} channel - Channel name
+     */
+    _subscribeChannel(channel) {
+        if (this.transport === 'sse') {
+            // The channel list is part of the EventSource URL
+            this._reopen();
+        } else if (this._isOpen()) {
+            this._socket.send(JSON.stringify({ type: 'subscribe', channel }));
+        }
+    }
+
+    /**
+     * Send a frame now, or queue it until the socket opens
+     * @private
+     * @param {Object} frame - Frame to send
+     */
+    _send(frame) {
+        if (this._isOpen()) {
+            this._socket.send(JSON.stringify(frame));
+            return;
+        }
+
+        this._queue.push(frame);
+        if (!this._socket) {
+            this._autoConnect();
+        }
+    }
+
+    /**
+     * Connect on demand, unless a reconnect is already scheduled
+     * The pending backoff timer restores channels and flushes the queue
+     * when it fires, so connecting early would only skip the backoff.
+     * @private
+     */
+    _autoConnect() {
+        if (this.autoConnect && !this._timer && this.status !== 'closed') {
+            this.connect();
+        }
+    }
+
+    /**
+     * Whether the WebSocket can send right now
+     * @private
+     * @returns {boolean}
+     */
+    _isOpen() {
+        return !!this._socket && this.transport !== 'sse' && this._socket.readyState === 1;
+    }
+
+    /**
+     * Open a WebSocket and wire its events
+     * @private
+     */
+    _openWebSocket() {
+        const socket = new WebSocket(this._buildUrl());
+        this._socket = socket;
+
+        socket.onopen = () => {
+            // Restore channels first, then flush what was published while offline
+            for (const channel of this._channels.keys()) {
+                socket.send(JSON.stringify({ type: 'subscribe', channel }));
+            }
+            for (const frame of this._queue.splice(0)) {
+                socket.send(JSON.stringify(frame));
+            }
+            this._handleOpen();
+        };
+        socket.onmessage = event => this._handleRaw(event.data);
+        socket.onerror = event => this._emit('error', event);
+        socket.onclose = event => {
+            if (this._socket === socket) {
+                this._handleClose(event);
+            }
+        };
+    }
+
+    /**
+     * Open an EventSource for the current channels and wire its events
+     * @private
+     */
+    _openEventSource() {
+        const channels = Array.from(this._channels.keys());
+        const source = new EventSource(this._buildUrl({ channels: channels.join(',') }));
+        this._socket = source;
+
+        source.onopen = () => this._handleOpen();
+        source.onmessage = event => this._handleRaw(event.data);
+        source.onerror = event => {
+            this._emit('error', event);
+
+            // EventSource retries by itself, but without our token refresh and backoff
+            if (this._socket === source) {
+                this._handleClose(event);
+            }
+        };
+
+        for (const channel of channels) {
+            source.addEventListener(channel, event => this._dispatch(channel, parseData(event.data), event));
+        }
+    }
+
+    /**
+     * Reconnect so the EventSource URL matches the channel list
+     * @private
+     */
+    _reopen() {
+        if (!this._socket) return;
+
+        this._closeSocket();
+        this.connect();
+    }
+
+    /**
+     * Close the current socket without triggering a reconnect
+     * @private
+     */
+    _closeSocket() {
+        const socket = this._socket;
+        this._socket = null;
+
+        if (socket) {
+            socket.close();
+        }
+    }
+
+    /**
+     * Connection established
+     * @private
+     */
+    _handleOpen() {
+        this._attempt = 0;
+        this._setStatus('open');
+        this._emit('open');
+    }
+
+    /**
+     * Connection lost: schedule a reconnect with backoff
+     * @private
+     * @param {Event} event - Close or error event
+     */
+    _handleClose(event) {
+        this._closeSocket();
+        this._emit('close', event);
+
+        if (this._manualClose || !this.reconnect || this._attempt >= this.reconnect.retries) {
+            this._setStatus('closed');
+            return;
+        }
+
+        const delay = backoffDelay(this._attempt++, this.reconnect);
+        this._setStatus('reconnecting');
+        this._emit('reconnecting', { attempt: this._attempt, delay });
+
+        this._timer = setTimeout(() => {
+            this._timer = null;
+            this.connect();
+        }, delay);
+    }
+
+    /**
+     * Route a raw `{ channel, data }` message
+     * @private
+     * @param {string} raw - Message text
+     */
+    _handleRaw(raw) {
+        const message = parseData(raw);
+        this._emit('message', message);
+
+        if (message && typeof message === 'object' && message.channel) {
+            this._dispatch(message.channel, message.data, message);
+        }
+    }
+
+    /**
+     * Call the handlers of a channel
+     * @private
+     * @param {string} channel - Channel name
+     * @param {*} data - Message payload
+     * @param {Object} message - Full message
+     */
+    _dispatch(channel, data, message) {
+        const handlers = this._channels.get(channel);
+        if (!handlers) return;
+
+        for (const handler of [...handlers]) {
+            handler(data, message);
+        }
+    }
+
+    /**
+     * Build the connection URL from the client's baseUrl and token
+     * Browsers can't set headers on WebSocket/EventSource, so the token
+     * travels as a query parameter.
+     * @private
+     * @param {Object} params - Extra query parameters
+     * @returns {string} Connection URL
+     */
+    _buildUrl(params = {}) {
+        let url = this.client._buildUrl(this.path, params.channels ? params : null);
+
+        // Relative baseUrl: resolve against the page
+        if (!/^[a-z]+:\/\//i.test(url) && typeof location !== 'undefined') {
+            url = new URL(url, location.href).href;
+        }
+
+        const token = this._token();
+        if (token) {
+            url += `${url.includes('?') ? '&' : '?'}${encodeURIComponent(this.tokenParam)}=${encodeURIComponent(token)}`;
+        }
+
+        if (this.transport !== 'sse') {
+            url = url.replace(/^http/, 'ws');
+        }
+        return url;
+    }
+
+    /**
+     * Current access token of the client
+     * @private
+     * @returns {string|null}
+     */
+    _token() {
+        if (this.client.auth && this.client.auth.accessToken) {
+            return this.client.auth.accessToken;
+        }
+
+        const header = this.client.defaultHeaders['Authorization'];
+        return header ? header.replace(/^Bearer\s+/i, '') : null;
+    }
+
+    /**
+     * Update the connection status
+     * @private
+     * @param {string} status - New status
+     */
+    _setStatus(status) {
+        if (this.status !== status) {
+            this.status = status;
+            this._emit('status', status);
+        }
+    }
+
+    /**
+     * Call the listeners of an event
+     * @private
+     * @param {string} event - Event name
+     * @param {*} payload - Listener argument
+     */
+    _emit(event, payload) {
+        const listeners = this._listeners.get(event);
+        if (!listeners) return;
+
+        for (const handler of [...listeners]) {
+            handler(payload);
+        }
+    }
+}
+
+/**
+ * Parse a message body as JSON, falling back to the raw text
+ * @private
+ * @param {string} raw - Message text
+ * @returns {*} Parsed data
+ */
+function parseData(raw) {
+    try {
+        return JSON.parse(raw);
+    } catch {
+        return raw;
+    }
+}
+
+/**
+ * Delay before the next reconnect attempt (exponential backoff with jitter)
+ * @private
+ * @param {number} attempt - Zero-based attempt
+ * @param {Object} policy - Reconnect policy
+ * @returns {number} Delay in milliseconds
+ */
+function backoffDelay(attempt, policy) {
+    const exponential = Math.min(policy.maxDelay, policy.baseDelay * Math.pow(policy.factor, attempt));
+    return exponential / 2 + Math.random() * (exponential / 2);
+}
+
+// Realtime connection for prabogoClient
+export const prabogoRealtime = new PrabogoRealtime();
+
+export default PrabogoRealtime;
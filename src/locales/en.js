@@ -0,0 +1,40 @@
+/**
+ * English messages
+ * Loaded on demand by joko-i18n (see defineLocale in main.js)
+ */
+
+export default {
+    app: {
+        tagline: 'A lightweight vanilla JS framework for Prabogo Backend',
+        footer: 'Built with {heart} using JokoUI Framework',
+        switchTheme: 'Switch theme',
+        switchLanguage: 'Switch language',
+        themeAuto: 'auto ({theme})'
+    },
+    counter: {
+        title: '⚡ Reactive Counter',
+        description: 'Test the reactivity system using ES6 Proxy',
+        decrease: 'Decrease',
+        reset: 'Reset',
+        increase: 'Increase',
+        summary: '{count, plural, =0 {Nothing counted yet} one {# step from zero} other {# steps from zero}}'
+    },
+    user: {
+        title: '🌐 Prabogo API Demo',
+        description: 'Test the PrabogoConnect HTTP client',
+        loading: '⏳ Loading...',
+        fetch: '📡 Fetch User Profile',
+        clear: '🗑️ Clear',
+        placeholder: 'Click "Fetch User Profile" to load data from Prabogo Backend',
+        unknown: 'Unknown',
+        notAvailable: 'N/A',
+        crashed: 'This card crashed: {message}',
+        tryAgain: '🔄 Try Again',
+        errors: {
+            notFound: 'User #{id} does not exist',
+            network: 'You appear to be offline',
+            timeout: 'The server took too long to respond',
+            server: 'The server ran into a problem, please try again'
+        }
+    }
+};
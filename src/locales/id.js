@@ -0,0 +1,40 @@
+/**
+ * Indonesian messages (Bahasa Indonesia)
+ * Loaded on demand by joko-i18n (see defineLocale in main.js)
+ */
+
+export default {
+    app: {
+        tagline: 'Framework vanilla JS yang ringan untuk Prabogo Backend',
+        footer: 'Dibuat dengan {heart} menggunakan JokoUI Framework',
+        switchTheme: 'Ganti tema',
+        switchLanguage: 'Ganti bahasa',
+        themeAuto: 'otomatis ({theme})'
+    },
+    counter: {
+        title: '⚡ Penghitung Reaktif',
+        description: 'Uji sistem reaktivitas menggunakan ES6 Proxy',
+        decrease: 'Kurangi',
+        reset: 'Atur Ulang',
+        increase: 'Tambah',
+        summary: '{count, plural, =0 {Belum ada hitungan} other {# langkah dari nol}}'
+    },
+    user: {
+        title: '🌐 Demo API Prabogo',
+        description: 'Uji klien HTTP PrabogoConnect',
+        loading: '⏳ Memuat...',
+        fetch: '📡 Ambil Profil Pengguna',
+        clear: '🗑️ Hapus',
+        placeholder: 'Klik "Ambil Profil Pengguna" untuk memuat data dari Prabogo Backend',
+        unknown: 'Tidak diketahui',
+        notAvailable: 'T/A',
+        crashed: 'Kartu ini gagal ditampilkan: {message}',
+        tryAgain: '🔄 Coba Lagi',
+        errors: {
+            notFound: 'Pengguna #{id} tidak ditemukan',
+            network: 'Sepertinya Anda sedang offline',
+            timeout: 'Server terlalu lama merespons',
+            server: 'Server mengalami masalah, silakan coba lagi'
+        }
+    }
+};
@@ -0,0 +1,75 @@
+/**
+ * App tests - fetching a user through the demo app
+ * Run with `node --test test/*.test.js` (needs jsdom: `npm install --no-save jsdom`)
+ */
+
+import { test, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+import { installDom, renderComponent, trigger, settle, cleanup, MockTransport } from '../src/core/joko-test.js';
+
+installDom(new JSDOM('<!DOCTYPE html>', { url: 'http://localhost/' }).window);
+
+// Components read the DOM globals when they load, so import them afterwards
+const { prabogoClient } = await import('../src/core/prabogo-connect.js');
+const { nextTick } = await import('../src/core/joko-scheduler.js');
+const { clearResourceCache } = await import('../src/core/joko-resource.js');
+const { defineLocale, initI18n } = await import('../src/core/joko-i18n.js');
+const { App } = await import('../src/components/App.js');
+
+defineLocale('en', () => import('../src/locales/en.js'));
+await initI18n({ fallback: 'en' });
+
+const mock = new MockTransport();
+const restore = mock.install(prabogoClient);
+
+afterEach(() => {
+    cleanup();
+    mock.reset();
+    prabogoClient.cache?.clear();
+    clearResourceCache();
+});
+
+test('fetching a user shows loading, then the user', async () => {
+    // Hold the response until the loading state has been checked
+    let respond;
+    const response = new Promise(resolve => {
+        respond = resolve;
+    });
+    mock.on('GET', '/users/:id', req => response.then(() => ({
+        body: { id: Number(req.params.id), name: 'Joko Widodo', email: 'joko@example.com' }
+    })));
+
+    const app = renderComponent(App);
+    assert.match(app.text(), /Fetch User Profile/);
+
+    await trigger(app.container, 'fetchUser');
+    await nextTick();
+
+    const button = app.query('[data-joko-click="fetchUser"]');
+    assert.equal(button.disabled, true);
+    assert.match(button.textContent, /Loading/);
+    assert.equal(mock.calls('GET', '/users/:id').length, 1);
+    assert.equal(mock.calls('GET', '/users/:id')[0].params.id, '1');
+
+    respond();
+    await settle();
+
+    assert.equal(app.query('.user-info h3').textContent, 'Joko Widodo');
+    assert.match(app.query('.user-email').textContent, /joko@example\.com/);
+    assert.equal(app.query('.user-avatar').textContent.trim(), 'J');
+    assert.equal(app.query('[data-joko-click="fetchUser"]').disabled, false);
+});
+
+test('a failed fetch shows the error next to the button', async () => {
+    mock.on('GET', '/users/:id', { status: 404, body: { message: 'Not found' } });
+
+    const app = renderComponent(App);
+    await app.trigger('fetchUser');
+    await app.settle();
+
+    assert.match(app.query('.error-message').textContent, /User #1 does not exist/);
+    assert.equal(app.query('.user-card'), null);
+});
+
+after(() => restore());
@@ -0,0 +1,42 @@
+/**
+ * PrabogoClient tests - retries and Retry-After
+ * Run with `node --test test/*.test.js`
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+const { PrabogoClient } = await import('../src/core/prabogo-connect.js');
+const { ServerError } = await import('../src/core/prabogo-errors.js');
+const { MockTransport } = await import('../src/core/prabogo-mock.js');
+
+/**
+ * Client answering from a fresh MockTransport
+ * @returns {Object} { client, mock }
+ */
+function mockedClient() {
+    const client = new PrabogoClient({ baseUrl: 'https://api.test', retry: { retries: 2, maxDelay: 1000 } });
+    const mock = new MockTransport();
+    mock.install(client);
+    return { client, mock };
+}
+
+test('a Retry-After within maxDelay is honoured', async () => {
+    const { client, mock } = mockedClient();
+    mock.on('GET', '/stats', { body: { online: 3 } });
+    mock.on('GET', '/stats', { status: 503, headers: { 'Retry-After': '0' } }, { once: true });
+
+    const { data } = await client.get('/stats');
+    assert.deepEqual(data, { online: 3 });
+    assert.equal(mock.calls('GET', '/stats').length, 2);
+});
+
+test('a Retry-After beyond maxDelay fails right away', async () => {
+    const { client, mock } = mockedClient();
+    mock.on('GET', '/stats', { status: 503, headers: { 'Retry-After': '120' } });
+
+    // Waiting out the two minutes would end in a cancel instead
+    const signal = AbortSignal.timeout(2000);
+    await assert.rejects(client.get('/stats', {}, { signal }), ServerError);
+    assert.equal(mock.calls('GET', '/stats').length, 1);
+});
@@ -0,0 +1,94 @@
+/**
+ * Devtools tests - state timeline and time travel
+ * Run with `node --test test/*.test.js` (needs jsdom: `npm install --no-save jsdom`)
+ */
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+import { installDom, renderComponent, settle, cleanup } from '../src/core/joko-test.js';
+
+installDom(new JSDOM('<!DOCTYPE html>', { url: 'http://localhost/' }).window);
+
+const { JokoComponent } = await import('../src/core/joko-state.js');
+const { JokoStore } = await import('../src/core/joko-store.js');
+const { useResource, clearResourceCache } = await import('../src/core/joko-resource.js');
+const { persist } = await import('../src/core/joko-persist.js');
+const { installDevtools, uninstallDevtools } = await import('../src/core/joko-devtools.js');
+const { html } = await import('../src/core/joko-html.js');
+
+const hook = installDevtools({ overlay: false, clients: [] });
+const store = new JokoStore({ state: { count: 0 } });
+
+after(() => {
+    cleanup();
+    clearResourceCache();
+    uninstallDevtools();
+});
+
+class Profile extends JokoComponent {
+    constructor(props) {
+        super(props);
+        this.watched = 0;
+        this.setState({ name: 'Joko' });
+        this.watch('name', () => this.watched++);
+        this.user = useResource(this, '/users/1', { fetcher: async () => ({ id: 1 }), revalidateOnFocus: false });
+        persist(this, { key: 'profile', debounce: 0 });
+    }
+
+    render() {
+        return html`<p>${this.state.name} ${store.state.count}</p>`;
+    }
+}
+
+/**
+ * Wait for renders and the persist write
+ * @returns {Promise<void>}
+ */
+async function flush() {
+    await settle();
+    await new Promise(resolve => setTimeout(resolve, 10));
+}
+
+/**
+ * Name saved in storage by persist()
+ * @returns {string}
+ */
+function savedName() {
+    return JSON.parse(localStorage.getItem('joko:persist:profile')).state.name;
+}
+
+test('stores, resources and errors are recorded; watchers and persist stay quiet while travelling', async () => {
+    const view = renderComponent(Profile);
+    const profile = view.component;
+    await flush();
+
+    store.state.count = 5;
+    profile.errors.email = 'Invalid';
+    profile.state.name = 'Widodo';
+    await flush();
+
+    const timeline = hook.getTimeline();
+    assert.ok(timeline.some(entry => entry.componentName === 'JokoStore' && entry.path === 'count'));
+    assert.ok(timeline.some(entry => entry.source === 'resource' && entry.path === 'data'));
+    assert.ok(timeline.some(entry => entry.source === 'errors' && entry.path === 'email'));
+    assert.equal(profile.watched, 1);
+    assert.equal(savedName(), 'Widodo');
+
+    hook.travelTo(0);
+    await flush();
+    assert.equal(profile.state.name, 'Joko');
+    assert.equal(store.state.count, 0);
+    assert.equal('email' in profile.errors, false);
+    assert.equal(profile.watched, 1);
+    assert.equal(savedName(), 'Widodo');
+
+    hook.resume();
+    await flush();
+    assert.equal(view.text(), 'Widodo 5');
+
+    profile.state.name = 'Prabogo';
+    await flush();
+    assert.equal(profile.watched, 2);
+    assert.equal(savedName(), 'Prabogo');
+});
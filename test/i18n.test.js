@@ -0,0 +1,52 @@
+/**
+ * i18n tests - falling back when a catalog fails to load
+ * Run with `node --test test/*.test.js` (needs jsdom: `npm install --no-save jsdom`)
+ */
+
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+import { installDom } from '../src/core/joko-test.js';
+
+installDom(new JSDOM('<!DOCTYPE html>', { url: 'http://localhost/' }).window);
+
+const { initI18n, t } = await import('../src/core/joko-i18n.js');
+const { configure } = await import('../src/core/joko-config.js');
+
+const reported = [];
+configure({ onError: (error, info) => reported.push(info) });
+
+afterEach(() => {
+    reported.length = 0;
+});
+
+/**
+ * Catalog loader that fails like a stale chunk
+ * @returns {Promise<never>}
+ */
+const brokenLoader = () => Promise.reject(new Error('Failed to fetch dynamically imported module'));
+
+test('a catalog that fails to load falls back to the fallback locale', async () => {
+    const locale = await initI18n({
+        locales: { en: { greeting: 'Hello' }, id: brokenLoader },
+        locale: 'id',
+        fallback: 'en',
+        clients: []
+    });
+
+    assert.equal(locale, 'en');
+    assert.equal(t('greeting'), 'Hello');
+    assert.deepEqual(reported, [{ phase: 'i18n', locale: 'id' }]);
+});
+
+test('initI18n() resolves even when the fallback fails too', async () => {
+    await initI18n({
+        locales: { fr: brokenLoader, nl: brokenLoader },
+        locale: 'fr',
+        fallback: 'nl',
+        clients: []
+    });
+
+    assert.deepEqual(reported.map(info => info.locale), ['fr', 'nl']);
+    assert.equal(t('farewell'), 'farewell');
+});
@@ -0,0 +1,145 @@
+/**
+ * Mount tests - first mounts that fail, their fallbacks and retries
+ * Run with `node --test test/*.test.js` (needs jsdom: `npm install --no-save jsdom`)
+ */
+
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+import { installDom, settle } from '../src/core/joko-test.js';
+
+installDom(new JSDOM('<!DOCTYPE html>', { url: 'http://localhost/' }).window);
+
+const { JokoComponent } = await import('../src/core/joko-state.js');
+const { mount, unmount } = await import('../src/core/joko-dom.js');
+const { html } = await import('../src/core/joko-html.js');
+const { configure } = await import('../src/core/joko-config.js');
+
+// Silence the error hook's default logging
+configure({ onError: () => {} });
+
+const targets = [];
+
+/**
+ * Fresh mount target in document.body
+ * @returns {Element}
+ */
+function createTarget() {
+    const target = document.createElement('div');
+    document.body.appendChild(target);
+    targets.push(target);
+    return target;
+}
+
+afterEach(() => {
+    targets.splice(0).forEach(target => target.remove());
+});
+
+test('a failed first mount leaves no declared watchers behind', async () => {
+    const seen = [];
+
+    class Flaky extends JokoComponent {
+        static watch = {
+            count(value) {
+                seen.push(value);
+            }
+        };
+
+        constructor(props) {
+            super(props);
+            this.setState({ count: 0, broken: true });
+        }
+
+        render() {
+            if (this.state.broken) throw new Error('not yet');
+            return html`<p>${this.state.count}</p>`;
+        }
+    }
+
+    const component = new Flaky();
+    const target = createTarget();
+
+    mount(component, target);
+    assert.equal(component._mounted, false);
+    assert.match(target.textContent, /not yet/);
+
+    component.state.broken = false;
+    mount(component, target);
+    assert.equal(target.textContent, '0');
+
+    component.state.count = 1;
+    await settle();
+    assert.deepEqual(seen, [1]);
+    assert.equal(target.textContent, '1');
+
+    unmount(component);
+    component.state.count = 2;
+    assert.deepEqual(seen, [1]);
+});
+
+test('immediate watchers run once, after the first render', () => {
+    const calls = [];
+
+    class Eager extends JokoComponent {
+        static watch = {
+            name: {
+                handler(value) {
+                    calls.push([value, this._element !== null]);
+                },
+                immediate: true
+            }
+        };
+
+        constructor(props) {
+            super(props);
+            this.setState({ name: 'Joko' });
+        }
+
+        render() {
+            return html`<p>${this.state.name}</p>`;
+        }
+    }
+
+    const component = mount(new Eager(), createTarget());
+    assert.deepEqual(calls, [['Joko', true]]);
+    unmount(component);
+});
+
+test('an onError hook without renderFallback still shows the default error', () => {
+    const caught = [];
+
+    class Logged extends JokoComponent {
+        onError(error) {
+            caught.push(error.message);
+        }
+
+        render() {
+            throw new Error('broken');
+        }
+    }
+
+    const target = createTarget();
+    mount(new Logged(), target);
+
+    assert.deepEqual(caught, ['broken']);
+    assert.ok(target.querySelector('.joko-error'));
+});
+
+test('a component with renderFallback shows its fallback instead', () => {
+    class Guarded extends JokoComponent {
+        renderFallback(error) {
+            return html`<p class="fallback">${error.message}</p>`;
+        }
+
+        render() {
+            throw new Error('broken');
+        }
+    }
+
+    const target = createTarget();
+    const component = mount(new Guarded(), target);
+
+    assert.equal(target.querySelector('.joko-error'), null);
+    assert.equal(target.textContent, 'broken');
+    unmount(component);
+});
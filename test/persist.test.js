@@ -0,0 +1,70 @@
+/**
+ * Persist tests - pausing while unmounted
+ * Run with `node --test test/*.test.js` (needs jsdom: `npm install --no-save jsdom`)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+import { installDom, settle } from '../src/core/joko-test.js';
+
+installDom(new JSDOM('<!DOCTYPE html>', { url: 'http://localhost/' }).window);
+
+const { JokoComponent } = await import('../src/core/joko-state.js');
+const { mount, unmount } = await import('../src/core/joko-dom.js');
+const { persist } = await import('../src/core/joko-persist.js');
+const { html } = await import('../src/core/joko-html.js');
+
+class Draft extends JokoComponent {
+    constructor(props) {
+        super(props);
+        this.setState({ title: '' });
+        persist(this, { key: 'draft', debounce: 0, sync: false });
+    }
+
+    render() {
+        return html`<p>${this.state.title}</p>`;
+    }
+}
+
+/**
+ * Title saved in storage
+ * @returns {string}
+ */
+function savedTitle() {
+    return JSON.parse(localStorage.getItem('joko:persist:draft')).state.title;
+}
+
+test('saving pauses while unmounted and the saved data is reloaded on remount', async () => {
+    const draft = new Draft();
+    const target = document.createElement('div');
+    document.body.appendChild(target);
+
+    // Saving starts once the saved data has been read
+    mount(draft, target);
+    await settle();
+    draft.state.title = 'First';
+    await settle();
+    assert.equal(savedTitle(), 'First');
+
+    // Moving a custom element unmounts and remounts its component
+    unmount(draft);
+    draft.state.title = 'Detached';
+    await settle();
+    assert.equal(savedTitle(), 'First');
+
+    // Written elsewhere while this one was away
+    localStorage.setItem('joko:persist:draft', JSON.stringify({ version: 1, state: { title: 'Elsewhere' } }));
+
+    mount(draft, target);
+    await settle();
+    assert.equal(draft.state.title, 'Elsewhere');
+    assert.equal(target.textContent, 'Elsewhere');
+
+    draft.state.title = 'Again';
+    await settle();
+    assert.equal(savedTitle(), 'Again');
+
+    unmount(draft);
+    target.remove();
+});
@@ -0,0 +1,82 @@
+/**
+ * Realtime tests - reconnect backoff
+ * Run with `node --test test/*.test.js` (needs jsdom: `npm install --no-save jsdom`)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+import { installDom } from '../src/core/joko-test.js';
+
+installDom(new JSDOM('<!DOCTYPE html>', { url: 'http://localhost/' }).window);
+
+const { PrabogoClient } = await import('../src/core/prabogo-connect.js');
+const { PrabogoRealtime } = await import('../src/core/prabogo-realtime.js');
+
+// Every socket opened, newest last
+const sockets = [];
+
+/**
+ * WebSocket stand-in that opens and closes on demand
+ */
+class FakeSocket {
+    constructor(url) {
+        this.url = url;
+        this.readyState = 0;
+        this.sent = [];
+        sockets.push(this);
+    }
+
+    send(text) {
+        this.sent.push(JSON.parse(text));
+    }
+
+    close() {
+        this.readyState = 3;
+    }
+
+    open() {
+        this.readyState = 1;
+        this.onopen();
+    }
+
+    drop() {
+        this.readyState = 3;
+        this.onclose({ code: 1006 });
+    }
+}
+
+globalThis.WebSocket = FakeSocket;
+
+test('subscribe() and publish() wait for the pending reconnect', t => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    sockets.length = 0;
+
+    const realtime = new PrabogoRealtime({
+        client: new PrabogoClient({ baseUrl: 'http://api.test' }),
+        reconnect: { baseDelay: 1000, factor: 2 }
+    });
+
+    realtime.subscribe('orders', () => {});
+    sockets[0].open();
+    sockets[0].drop();
+    assert.equal(realtime.status, 'reconnecting');
+
+    // Neither call may cut the backoff short
+    realtime.subscribe('chat', () => {});
+    realtime.publish('chat', { text: 'Halo!' });
+    assert.equal(sockets.length, 1);
+
+    t.mock.timers.tick(1000);
+    assert.equal(sockets.length, 2);
+
+    // The new socket joins both channels, then flushes the queue
+    sockets[1].open();
+    assert.deepEqual(sockets[1].sent, [
+        { type: 'subscribe', channel: 'orders' },
+        { type: 'subscribe', channel: 'chat' },
+        { type: 'publish', channel: 'chat', data: { text: 'Halo!' } }
+    ]);
+
+    realtime.disconnect();
+});
@@ -0,0 +1,91 @@
+/**
+ * Resource tests - shared fetches and the reactive state
+ * Run with `node --test test/*.test.js` (needs jsdom: `npm install --no-save jsdom`)
+ */
+
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+import { installDom, renderComponent, settle, cleanup } from '../src/core/joko-test.js';
+
+installDom(new JSDOM('<!DOCTYPE html>', { url: 'http://localhost/' }).window);
+
+const { JokoComponent, toRaw, isReactive } = await import('../src/core/joko-state.js');
+const { useResource, clearResourceCache } = await import('../src/core/joko-resource.js');
+const { html } = await import('../src/core/joko-html.js');
+
+afterEach(() => {
+    cleanup();
+    clearResourceCache();
+});
+
+/**
+ * Fetcher whose requests stay pending until resolved by hand
+ * @returns {Object} { fetcher, requests: [{ signal, resolve }] }
+ */
+function manualFetcher() {
+    const requests = [];
+    const fetcher = (key, { signal }) => new Promise((resolve, reject) => {
+        requests.push({ signal, resolve });
+        signal.addEventListener('abort', () => reject(new Error('aborted')));
+    });
+    return { fetcher, requests };
+}
+
+/**
+ * Component showing one resource
+ * @param {Function} fetcher - Resource fetcher
+ * @returns {Function} Component class
+ */
+function profileComponent(fetcher) {
+    return class Profile extends JokoComponent {
+        constructor(props) {
+            super(props);
+            this.profile = useResource(this, '/users/1', { fetcher, revalidateOnFocus: false });
+        }
+
+        render() {
+            return html`<p>${this.profile.data ? this.profile.data.name : '…'}</p>`;
+        }
+    };
+}
+
+test('the last resource to unmount aborts the fetch in flight, whoever started it', async () => {
+    const { fetcher, requests } = manualFetcher();
+    const Profile = profileComponent(fetcher);
+
+    // A starts the first fetch, which completes
+    const first = renderComponent(Profile);
+    requests[0].resolve({ name: 'Joko' });
+    await settle();
+    assert.equal(first.text(), 'Joko');
+
+    // B starts the second one
+    const second = renderComponent(Profile);
+    assert.equal(requests.length, 2);
+
+    second.unmount();
+    assert.equal(requests[1].signal.aborted, false);
+
+    first.unmount();
+    assert.equal(requests[1].signal.aborted, true);
+});
+
+test('methods are not part of the reactive state', async () => {
+    const { fetcher, requests } = manualFetcher();
+    const view = renderComponent(profileComponent(fetcher));
+    const { profile } = view.component;
+
+    requests[0].resolve({ name: 'Joko' });
+    await settle();
+
+    assert.equal(typeof profile.refetch, 'function');
+    assert.equal(typeof profile.mutate, 'function');
+    assert.equal(isReactive(profile), true);
+    assert.deepEqual(Object.keys(toRaw(profile)).sort(), ['data', 'error', 'loading', 'updatedAt', 'validating']);
+    assert.doesNotMatch(JSON.stringify(profile), /refetch|mutate|_sync/);
+
+    profile.mutate({ name: 'Widodo' });
+    await settle();
+    assert.equal(view.text(), 'Widodo');
+});
@@ -0,0 +1,52 @@
+/**
+ * Router tests - route records and lazy components
+ * Run with `node --test test/*.test.js` (needs jsdom: `npm install --no-save jsdom`)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+import { installDom } from '../src/core/joko-test.js';
+
+installDom(new JSDOM('<!DOCTYPE html><div id="app"></div>', { url: 'http://localhost/' }).window);
+
+const { JokoComponent } = await import('../src/core/joko-state.js');
+const { JokoRouter } = await import('../src/core/joko-router.js');
+const { html } = await import('../src/core/joko-html.js');
+
+class Home extends JokoComponent {
+    render() {
+        return html`<h1>Home</h1>`;
+    }
+}
+
+class About extends JokoComponent {
+    render() {
+        return html`<h1>About</h1>`;
+    }
+}
+
+test('resolving components leaves the route records untouched', async () => {
+    let loads = 0;
+    const routes = Object.freeze([
+        Object.freeze({ path: '/', component: Home }),
+        Object.freeze({ path: '/about', component: async () => { loads++; return { default: About }; } })
+    ]);
+    const router = new JokoRouter({ routes });
+    const app = document.getElementById('app');
+
+    await router.start('app');
+    assert.equal(app.textContent, 'Home');
+
+    assert.ok(await router.push('/about'));
+    assert.equal(app.textContent, 'About');
+
+    // The lazy component is loaded once and reused
+    await router.push('/');
+    await router.push('/about');
+    assert.equal(app.textContent, 'About');
+    assert.equal(loads, 1);
+
+    assert.deepEqual(Object.keys(routes[1]), ['path', 'component']);
+    router.stop();
+});
@@ -0,0 +1,92 @@
+/**
+ * Scheduler tests - flush order and runaway updates
+ * Run with `node --test test/*.test.js` (needs jsdom: `npm install --no-save jsdom`)
+ */
+
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+import { installDom, renderComponent, cleanup } from '../src/core/joko-test.js';
+
+installDom(new JSDOM('<!DOCTYPE html>', { url: 'http://localhost/' }).window);
+
+const { JokoComponent } = await import('../src/core/joko-state.js');
+const { scheduleUpdate, nextTick, componentDepth } = await import('../src/core/joko-scheduler.js');
+const { configure } = await import('../src/core/joko-config.js');
+const { html } = await import('../src/core/joko-html.js');
+
+const reported = [];
+configure({ onError: (error, info) => reported.push({ error, info }) });
+
+afterEach(() => {
+    cleanup();
+    reported.length = 0;
+});
+
+test('a component that never settles is reported through onError', async () => {
+    class Restless extends JokoComponent {
+        constructor(props) {
+            super(props);
+            this.setState({ renders: 0 });
+        }
+
+        render() {
+            return html`<p>${this.state.renders}</p>`;
+        }
+
+        onUpdate() {
+            this.state.renders++;
+        }
+    }
+
+    const view = renderComponent(Restless);
+    view.component.state.renders++;
+    await nextTick();
+
+    assert.equal(reported.length, 1);
+    assert.equal(reported[0].info.phase, 'update');
+    assert.match(reported[0].error.message, /Maximum update depth exceeded/);
+});
+
+test('parents re-render before their children', async () => {
+    const order = [];
+
+    class Leaf extends JokoComponent {
+        render() {
+            return html`<i>${this.props.label}</i>`;
+        }
+
+        onUpdate() {
+            order.push('leaf');
+        }
+    }
+
+    class Branch extends JokoComponent {
+        constructor(props) {
+            super(props);
+            this.setState({ label: 'a' });
+        }
+
+        render() {
+            return html`<div>${this.child('leaf', Leaf, { label: this.state.label })}</div>`;
+        }
+
+        onUpdate() {
+            order.push('branch');
+        }
+    }
+
+    const view = renderComponent(Branch);
+    const leaf = view.component._children.get('leaf');
+    assert.equal(componentDepth(view.component), 0);
+    assert.equal(componentDepth(leaf), 1);
+
+    // Queue the child first; the parent still renders first
+    scheduleUpdate(leaf);
+    view.component.state.label = 'b';
+    await nextTick();
+
+    assert.equal(order[0], 'branch');
+    assert.ok(order.includes('leaf'));
+    assert.equal(view.text(), 'b');
+});
@@ -0,0 +1,65 @@
+/**
+ * Reactive state tests - Map and Set keys
+ * Run with `node --test test/*.test.js`
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+const { createReactiveState, subscribeState, trackDependencies, dependsOn } = await import('../src/core/joko-state.js');
+
+test('has() finds a reactive object that was added', () => {
+    const state = createReactiveState({ items: [{ id: 1 }], picked: new Set() });
+    const item = state.items[0];
+
+    state.picked.add(item);
+    assert.equal(state.picked.has(item), true);
+    assert.equal(state.picked.has({ id: 1 }), false);
+
+    state.picked.delete(item);
+    assert.equal(state.picked.has(item), false);
+});
+
+test('has() is tracked by key', () => {
+    const state = createReactiveState({ flags: new Map() });
+    const changes = [];
+    subscribeState(state, change => changes.push(change));
+
+    // Reading `state.flags` itself would depend on the whole collection
+    const flags = state.flags;
+    const { value, deps } = trackDependencies(() => flags.has('dark'));
+    assert.equal(value, false);
+    assert.deepEqual(deps.map(dep => dep.path), ['flags.dark']);
+
+    state.flags.set('compact', true);
+    assert.equal(dependsOn(deps, changes.at(-1)), false);
+
+    state.flags.set('dark', true);
+    assert.equal(dependsOn(deps, changes.at(-1)), true);
+
+    state.flags.clear();
+    assert.equal(dependsOn(deps, changes.at(-1)), true);
+});
+
+test('object keys get paths of their own', () => {
+    const a = { name: 'a' };
+    const b = { name: 'b' };
+    const state = createReactiveState({ scores: new Map([[a, 1], [b, 2]]) });
+    const changes = [];
+    subscribeState(state, change => changes.push(change));
+
+    const scores = state.scores;
+    const { deps } = trackDependencies(() => scores.get(a));
+
+    state.scores.set(b, 3);
+    state.scores.set(a, 4);
+
+    assert.notEqual(changes[0].path, changes[1].path);
+    assert.doesNotMatch(changes[0].path, /object Object/);
+    assert.equal(dependsOn(deps, changes[0]), false);
+    assert.equal(dependsOn(deps, changes[1]), true);
+
+    // The same key always maps to the same path
+    state.scores.set(a, 5);
+    assert.equal(changes[2].path, changes[1].path);
+});
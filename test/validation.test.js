@@ -0,0 +1,96 @@
+/**
+ * Validation tests - length rules on array-bound models
+ * Run with `node --test test/*.test.js` (needs jsdom: `npm install --no-save jsdom`)
+ */
+
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+import { installDom, renderComponent, fire, settle, cleanup } from '../src/core/joko-test.js';
+
+installDom(new JSDOM('<!DOCTYPE html>', { url: 'http://localhost/' }).window);
+
+const { JokoComponent } = await import('../src/core/joko-state.js');
+const { html } = await import('../src/core/joko-html.js');
+const { minLength, maxLength } = await import('../src/core/joko-validation.js');
+
+class TagPicker extends JokoComponent {
+    static rules = {
+        tags: [minLength(2, 'Pick two'), maxLength(2, 'Two at most')]
+    };
+
+    constructor(props) {
+        super(props);
+        this.setState({ tags: [], colors: [] });
+    }
+
+    render() {
+        return html`
+            <form>
+                ${['a', 'b', 'c'].map(tag => html`<input type="checkbox" value="${tag}" data-joko-model="tags">`)}
+                <select multiple data-joko-model="colors">
+                    <option value="red">red</option>
+                    <option value="green">green</option>
+                </select>
+                <p class="error">${this.errors.tags || ''}</p>
+            </form>
+        `;
+    }
+}
+
+afterEach(() => cleanup());
+
+/**
+ * Tick a checkbox like a user would
+ * @param {Element} box - Checkbox
+ */
+async function check(box) {
+    box.checked = true;
+    fire(box, 'change');
+    await settle();
+}
+
+test('maxLength counts the items of a checkbox group', async () => {
+    const picker = renderComponent(TagPicker);
+    const [a, b, c] = picker.queryAll('input[type="checkbox"]');
+
+    await check(a);
+    assert.equal(picker.component.errors.tags, 'Pick two');
+    await check(b);
+    assert.deepEqual([...picker.component.state.tags], ['a', 'b']);
+    assert.equal(picker.component.errors.tags, undefined);
+    assert.equal(picker.query('.error').textContent, '');
+
+    await check(c);
+    assert.equal(picker.component.errors.tags, 'Two at most');
+    assert.equal(picker.query('.error').textContent, 'Two at most');
+});
+
+test('minLength counts the items of an array', () => {
+    const picker = renderComponent(TagPicker);
+
+    picker.component.state.tags = ['a'];
+    assert.equal(picker.component.validate(['tags']), false);
+    assert.equal(picker.component.errors.tags, 'Pick two');
+
+    // Two short items would be three characters as a joined string
+    picker.component.state.tags = ['a', 'b'];
+    assert.equal(picker.component.validate(['tags']), true);
+});
+
+test('length rules measure multi-select values by item count', async () => {
+    const oneColor = maxLength(1, 'One color');
+    const picker = renderComponent(TagPicker);
+    const element = picker.query('select');
+
+    Array.from(element.options).forEach(option => {
+        option.selected = true;
+    });
+    fire(element, 'change');
+    await settle();
+
+    assert.deepEqual([...picker.component.state.colors], ['red', 'green']);
+    assert.equal(oneColor(picker.component.state.colors), 'One color');
+    assert.equal(maxLength(2)(picker.component.state.colors), null);
+    assert.equal(maxLength(3)('abcd'), 'Must be at most 3 characters');
+});
@@ -0,0 +1,33 @@
+/**
+ * Vnode rendering tests - the slot prop
+ * Run with `node --test test/*.test.js`
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+const { createElement: h, renderToString } = await import('../src/core/joko-dom.js');
+const { JokoComponent } = await import('../src/core/joko-state.js');
+const { html } = await import('../src/core/joko-html.js');
+
+class Card extends JokoComponent {
+    render() {
+        return html`<section><header>${this.slot('header')}</header><main>${this.slot()}</main></section>`;
+    }
+}
+
+test('plain elements keep their slot attribute', () => {
+    const markup = renderToString(h('div', { slot: 'header', class: 'title' }, 'Hello'));
+    assert.equal(markup, '<div slot="header" class="title">Hello</div>');
+});
+
+test('the slot prop picks a component slot without being rendered', () => {
+    const markup = renderToString(h(Card, null,
+        h('h2', { slot: 'header' }, 'Title'),
+        h('p', null, 'Body')
+    ));
+
+    assert.match(markup, /<header><h2>Title<\/h2><\/header>/);
+    assert.match(markup, /<main><p>Body<\/p><\/main>/);
+    assert.doesNotMatch(markup, /slot=/);
+});
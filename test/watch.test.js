@@ -0,0 +1,84 @@
+/**
+ * Watcher tests - which watchers survive unmount and remount
+ * Run with `node --test test/*.test.js` (needs jsdom: `npm install --no-save jsdom`)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+import { installDom } from '../src/core/joko-test.js';
+
+installDom(new JSDOM('<!DOCTYPE html>', { url: 'http://localhost/' }).window);
+
+const { JokoComponent } = await import('../src/core/joko-state.js');
+const { mount, unmount } = await import('../src/core/joko-dom.js');
+const { html } = await import('../src/core/joko-html.js');
+
+class Tracker extends JokoComponent {
+    static watch = {
+        count() {
+            this.calls.push('static');
+        }
+    };
+
+    constructor(props) {
+        super(props);
+        this.calls = [];
+        this.setState({ count: 0 });
+
+        this.watch('count', () => this.calls.push('constructor'));
+    }
+
+    onMount() {
+        this.watch('count', () => this.calls.push('onMount'));
+    }
+
+    render() {
+        return html`<p>${this.state.count}</p>`;
+    }
+}
+
+/**
+ * Change the count and return the watchers it fired
+ * @param {Tracker} tracker - Component
+ * @returns {Array<string>}
+ */
+function bump(tracker) {
+    tracker.calls = [];
+    tracker.state.count++;
+    return tracker.calls.sort();
+}
+
+test('constructor watchers survive unmount and remount', () => {
+    const tracker = new Tracker();
+    const target = document.createElement('div');
+    document.body.appendChild(target);
+
+    mount(tracker, target);
+    assert.deepEqual(bump(tracker), ['constructor', 'onMount', 'static']);
+
+    // Moving a custom element unmounts and remounts its component
+    unmount(tracker);
+    assert.deepEqual(bump(tracker), ['constructor']);
+
+    mount(tracker, target);
+    assert.deepEqual(bump(tracker), ['constructor', 'onMount', 'static']);
+
+    unmount(tracker);
+    target.remove();
+});
+
+test('the function returned by watch() stops a constructor watcher', () => {
+    const tracker = new Tracker();
+    const target = document.createElement('div');
+    const seen = [];
+    const unwatch = tracker.watch('count', value => seen.push(value));
+
+    mount(tracker, target);
+    tracker.state.count = 1;
+    unwatch();
+    tracker.state.count = 2;
+
+    assert.deepEqual(seen, [1]);
+    unmount(tracker);
+});